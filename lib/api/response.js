@@ -153,6 +153,24 @@ export function conflict(res, message, data = null, status = 109) {
   return createResponse(res, 409, status, message, data);
 }
 
+/**
+ * Too Many Requests error (429)
+ * Sets the Retry-After header so clients know when to try again
+ * @param {object} res - Express response object
+ * @param {string} message - Error message
+ * @param {number} retryAfterSeconds - Seconds until the client may retry
+ * @param {number} status - Response status code (default: 107 for throttled)
+ * @returns {object} Express response
+ *
+ * @example
+ * return tooManyRequests(res, 'Too many attempts', 30);
+ * // HTTP 429 (Retry-After: 30): { status: 107, message: '...', data: null }
+ */
+export function tooManyRequests(res, message, retryAfterSeconds, status = 107) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return createResponse(res, 429, status, message, null);
+}
+
 /**
  * Internal Server Error (500)
  * @param {object} res - Express response object
@@ -198,6 +216,7 @@ export default {
   forbidden,
   notFound,
   conflict,
+  tooManyRequests,
   internalError,
   error
 };
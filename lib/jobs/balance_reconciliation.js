@@ -0,0 +1,42 @@
+/**
+ * Balance Reconciliation Job
+ * Recomputes every balance from the opening balance and user_transactions and
+ * logs users whose user_balance differs. It only reports: drifts are fixed with
+ * bin/reconcile --fix
+ */
+
+import * as ledgerService from '#lib/routes/ledger/ledger.service.js';
+import { toBalanceDriftReportDTO } from '#lib/routes/admin/admin.dto.js';
+import logger from '#lib/util/logger.js';
+
+export const name = 'balance-reconciliation';
+
+/**
+ * Get job interval in seconds from environment
+ * Defaults to 86400 seconds (1 day)
+ *
+ * @returns {number} Interval in seconds
+ */
+export function getIntervalSeconds() {
+  const seconds = parseInt(process.env.BALANCE_RECONCILIATION_INTERVAL || '86400', 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error('BALANCE_RECONCILIATION_INTERVAL must be a positive number of seconds');
+  }
+  return seconds;
+}
+
+/**
+ * Run the reconciliation once
+ *
+ * @param {object} state - Application state (see createAppState)
+ * @returns {Promise<object>} BalanceDriftReportDTO
+ */
+export async function run(state) {
+  const report = toBalanceDriftReportDTO(await ledgerService.getBalanceDrift(state.db_conn), new Date());
+
+  if (report.drift_count > 0) {
+    logger.warn('Balance drift detected', report);
+  }
+
+  return report;
+}
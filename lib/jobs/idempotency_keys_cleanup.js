@@ -0,0 +1,40 @@
+/**
+ * Idempotency Keys Cleanup Job
+ * Removes Idempotency-Keys older than IDEMPOTENCY_KEY_EXPIRES_IN, their
+ * responses are no longer replayed
+ */
+
+import * as transactionService from '#lib/routes/transaction/transaction.service.js';
+import logger from '#lib/util/logger.js';
+
+export const name = 'idempotency-keys-cleanup';
+
+/**
+ * Get job interval in seconds from environment
+ * Defaults to 3600 seconds (1 hour)
+ *
+ * @returns {number} Interval in seconds
+ */
+export function getIntervalSeconds() {
+  const seconds = parseInt(process.env.IDEMPOTENCY_KEYS_CLEANUP_INTERVAL || '3600', 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error('IDEMPOTENCY_KEYS_CLEANUP_INTERVAL must be a positive number of seconds');
+  }
+  return seconds;
+}
+
+/**
+ * Run the cleanup once
+ *
+ * @param {object} state - Application state (see createAppState)
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function run(state) {
+  const deletedCount = await transactionService.deleteExpiredIdempotencyKeys(state.db_conn);
+
+  if (deletedCount > 0) {
+    logger.info('Expired idempotency keys removed', { deletedCount });
+  }
+
+  return deletedCount;
+}
@@ -0,0 +1,54 @@
+/**
+ * Login Attempts Cleanup Job
+ * Removes login attempt history older than the retention period
+ * (LOGIN_ATTEMPTS_RETENTION_DAYS), only recent failures are used for throttling
+ */
+
+import * as membershipService from '#lib/routes/membership/membership.service.js';
+import logger from '#lib/util/logger.js';
+
+export const name = 'login-attempts-cleanup';
+
+/**
+ * Get job interval in seconds from environment
+ * Defaults to 86400 seconds (1 day)
+ *
+ * @returns {number} Interval in seconds
+ */
+export function getIntervalSeconds() {
+  const seconds = parseInt(process.env.LOGIN_ATTEMPTS_CLEANUP_INTERVAL || '86400', 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error('LOGIN_ATTEMPTS_CLEANUP_INTERVAL must be a positive number of seconds');
+  }
+  return seconds;
+}
+
+/**
+ * Get retention period in days from environment
+ * Defaults to 30 days
+ *
+ * @returns {number} Retention in days
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.LOGIN_ATTEMPTS_RETENTION_DAYS || '30', 10);
+  if (isNaN(days) || days <= 0) {
+    throw new Error('LOGIN_ATTEMPTS_RETENTION_DAYS must be a positive number of days');
+  }
+  return days;
+}
+
+/**
+ * Run the cleanup once
+ *
+ * @param {object} state - Application state (see createAppState)
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function run(state) {
+  const deletedCount = await membershipService.deleteOldLoginAttempts(state.db_conn, getRetentionDays());
+
+  if (deletedCount > 0) {
+    logger.info('Old login attempts removed', { deletedCount });
+  }
+
+  return deletedCount;
+}
@@ -0,0 +1,40 @@
+/**
+ * Revoked Tokens Cleanup Job
+ * Removes revocation entries for tokens that have expired on their own,
+ * keeping the revoked_tokens lookup in the auth middleware small
+ */
+
+import * as sessionService from '#lib/routes/session/session.service.js';
+import logger from '#lib/util/logger.js';
+
+export const name = 'revoked-tokens-cleanup';
+
+/**
+ * Get job interval in seconds from environment
+ * Defaults to 3600 seconds (1 hour)
+ *
+ * @returns {number} Interval in seconds
+ */
+export function getIntervalSeconds() {
+  const seconds = parseInt(process.env.REVOCATION_CLEANUP_INTERVAL || '3600', 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error('REVOCATION_CLEANUP_INTERVAL must be a positive number of seconds');
+  }
+  return seconds;
+}
+
+/**
+ * Run the cleanup once
+ *
+ * @param {object} state - Application state (see createAppState)
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function run(state) {
+  const deletedCount = await sessionService.deleteExpiredRevocations(state.db_conn);
+
+  if (deletedCount > 0) {
+    logger.info('Expired token revocations removed', { deletedCount });
+  }
+
+  return deletedCount;
+}
@@ -0,0 +1,74 @@
+/**
+ * Background Job Scheduler
+ * Runs periodic maintenance jobs inside the API process
+ *
+ * Each job module exports:
+ * - name: string used in logs
+ * - getIntervalSeconds(): how often the job runs
+ * - run(state): async function doing the work, receives the application state
+ *
+ * Usage:
+ * ```js
+ * const stopJobs = startScheduledJobs(app.locals.state);
+ * // on shutdown
+ * stopJobs();
+ * ```
+ */
+
+import { catchError } from '#lib/util/result.js';
+import logger from '#lib/util/logger.js';
+import * as revokedTokensCleanup from './revoked_tokens_cleanup.js';
+import * as loginAttemptsCleanup from './login_attempts_cleanup.js';
+import * as idempotencyKeysCleanup from './idempotency_keys_cleanup.js';
+import * as balanceReconciliation from './balance_reconciliation.js';
+
+const jobs = [
+  revokedTokensCleanup,
+  loginAttemptsCleanup,
+  idempotencyKeysCleanup,
+  balanceReconciliation
+];
+
+/**
+ * Start all scheduled jobs
+ * Timers are unref'd so they never keep the process alive on their own
+ *
+ * @param {object} state - Application state (see createAppState)
+ * @returns {function} Function that stops all scheduled jobs
+ */
+export function startScheduledJobs(state) {
+  const timers = jobs.map((job) => {
+    const intervalSeconds = job.getIntervalSeconds();
+    let running = false;
+
+    const timer = setInterval(async () => {
+      // Skip this tick if the previous run has not finished yet
+      if (running) {
+        return;
+      }
+      running = true;
+
+      const [err] = await catchError(job.run(state));
+
+      if (err) {
+        logger.error('Scheduled job failed', {
+          job: job.name,
+          error: err.message,
+          stack: err.stack
+        });
+      }
+
+      running = false;
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+
+    logger.info('Scheduled job started', { job: job.name, intervalSeconds });
+
+    return timer;
+  });
+
+  return () => {
+    timers.forEach(timer => clearInterval(timer));
+  };
+}
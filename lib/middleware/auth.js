@@ -10,10 +10,19 @@
  *   // req.middleware.auth will contain the auth context
  *   res.json({ message: 'Protected resource', user: req.middleware.auth.user });
  * });
+ *
+ * // Additionally require a verified email address
+ * router.post('/topup', authenticate, requireVerifiedEmail, controller);
+ *
+ * // Restrict a route to some roles
+ * router.post('/admin/banners', authenticate, authorize(USER_ROLE.ADMIN), controller);
  */
 
 import { verifyToken } from '#lib/util/jwt.js';
-import { unauthorized } from '#lib/api/response.js';
+import { unauthorized, forbidden, error } from '#lib/api/response.js';
+import { catchError } from '#lib/util/result.js';
+import * as sessionService from '#lib/routes/session/session.service.js';
+import * as membershipService from '#lib/routes/membership/membership.service.js';
 import logger from '#lib/util/logger.js';
 
 /**
@@ -39,17 +48,38 @@ function extractTokenFromHeader(req) {
   return parts[1];
 }
 
+/**
+ * Check a verified token payload against the revocation store and its session
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {object} payload - Decoded JWT payload
+ * @returns {Promise<boolean>} True if the token may be used
+ */
+async function isTokenActive(db_conn, payload) {
+  if (await sessionService.isTokenRevoked(db_conn, payload.jti, payload.sid)) {
+    return false;
+  }
+
+  // Tokens issued before sessions existed carry no sid
+  if (!payload.sid) {
+    return true;
+  }
+
+  return await sessionService.touchSession(db_conn, payload.sid);
+}
+
 /**
  * Authentication Middleware
  * Verifies JWT token and attaches decoded payload to req.middleware.auth
  *
- * If token is invalid or expired, returns 401 Unauthorized
+ * If token is invalid, expired, revoked (via /logout) or belongs to a terminated
+ * session, returns 401 Unauthorized. Also refreshes the session's last-seen time.
  *
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next function
  */
-export function authenticate(req, res, next) {
+export async function authenticate(req, res, next) {
   // Initialize middleware namespace if not exists
   if (!req.middleware) {
     req.middleware = {};
@@ -70,37 +100,73 @@ export function authenticate(req, res, next) {
   // Verify token
   const result = verifyToken(token);
 
-  return result.match({
-    ok: (payload) => {
-      // Attach auth context to req.middleware.auth (namespaced to avoid conflicts)
-      req.middleware.auth = {
-        user: payload,
-        token: token
-      };
+  if (result.isErr()) {
+    logger.warn('Authentication failed: Invalid or expired token', {
+      error: result.unwrapErr().message,
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
 
-      logger.debug('Authentication successful', {
-        userId: payload.userId || payload.id,
-        path: req.path
-      });
+    return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+  }
 
-      next();
-    },
-    err: (err) => {
-      logger.warn('Authentication failed: Invalid or expired token', {
-        error: err.message,
-        path: req.path,
-        method: req.method,
-        ip: req.ip
-      });
+  const payload = result.unwrap();
+  const { db_conn } = req.app.locals.state;
 
-      return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
-    }
+  // Purpose tokens (e.g. the 2FA login challenge) are not access tokens
+  if (payload.purpose) {
+    logger.warn('Authentication failed: Purpose token used as access token', {
+      purpose: payload.purpose,
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+  }
+
+  // Reject tokens that were revoked or whose session was terminated before they expired
+  const [activeErr, isActive] = await catchError(isTokenActive(db_conn, payload));
+
+  if (activeErr) {
+    logger.error('Failed to check token revocation', {
+      error: activeErr.message,
+      stack: activeErr.stack,
+      path: req.path
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  if (!isActive) {
+    logger.warn('Authentication failed: Revoked token or terminated session', {
+      userId: payload.userId || payload.id,
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+  }
+
+  // Attach auth context to req.middleware.auth (namespaced to avoid conflicts)
+  req.middleware.auth = {
+    user: payload,
+    token: token
+  };
+
+  logger.debug('Authentication successful', {
+    userId: payload.userId || payload.id,
+    path: req.path
   });
+
+  next();
 }
 
 /**
  * Optional Authentication Middleware
  * Attaches user info if token is valid, but doesn't reject request if token is missing/invalid
+ * Revoked tokens are treated the same as invalid ones (request continues as anonymous)
  *
  * Useful for routes that have different behavior for authenticated vs anonymous users
  *
@@ -108,7 +174,7 @@ export function authenticate(req, res, next) {
  * @param {object} res - Express response object
  * @param {function} next - Express next function
  */
-export function optionalAuthenticate(req, res, next) {
+export async function optionalAuthenticate(req, res, next) {
   // Initialize middleware namespace if not exists
   if (!req.middleware) {
     req.middleware = {};
@@ -125,18 +191,116 @@ export function optionalAuthenticate(req, res, next) {
   // Try to verify token
   const result = verifyToken(token);
 
-  result.match({
-    ok: (payload) => {
-      req.middleware.auth = {
-        user: payload,
-        token: token
-      };
-    },
-    err: () => {
-      // Invalid token, continue as anonymous
-      req.middleware.auth = null;
-    }
-  });
+  if (result.isErr()) {
+    // Invalid token, continue as anonymous
+    req.middleware.auth = null;
+    return next();
+  }
+
+  const payload = result.unwrap();
+  const { db_conn } = req.app.locals.state;
+
+  if (payload.purpose) {
+    // Purpose token, not an access token: continue as anonymous
+    req.middleware.auth = null;
+    return next();
+  }
+
+  const [activeErr, isActive] = await catchError(isTokenActive(db_conn, payload));
+
+  if (activeErr) {
+    logger.error('Failed to check token revocation', {
+      error: activeErr.message,
+      stack: activeErr.stack,
+      path: req.path
+    });
+  }
+
+  // Revoked (or unverifiable) token, continue as anonymous
+  req.middleware.auth = activeErr || !isActive
+    ? null
+    : { user: payload, token: token };
+
+  next();
+}
+
+/**
+ * Verified Email Middleware
+ * Must run after authenticate. Rejects users that have not verified their
+ * email address yet with 403 Forbidden (status 105)
+ *
+ * Checked against the database rather than the token, so a user can continue
+ * right after opening the verification link without logging in again
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+export async function requireVerifiedEmail(req, res, next) {
+  const userId = req.middleware.auth.user.userId || req.middleware.auth.user.id;
+  const { db_conn } = req.app.locals.state;
+
+  const [err, isVerified] = await catchError(membershipService.isEmailVerified(db_conn, userId));
+
+  if (err) {
+    logger.error('Failed to check email verification', {
+      error: err.message,
+      stack: err.stack,
+      userId,
+      path: req.path
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  if (!isVerified) {
+    logger.warn('Access denied: Email not verified', {
+      userId,
+      path: req.path
+    });
+    return forbidden(res, 'Email belum diverifikasi', 105);
+  }
 
   next();
-}
\ No newline at end of file
+}
+
+/**
+ * Role Authorization Middleware
+ * Must run after authenticate. Rejects users whose token `role` claim is not
+ * one of the allowed roles with 403 Forbidden (status 103)
+ *
+ * Tokens issued before roles existed carry no role claim and count as USER.
+ * Role changes apply to tokens issued afterwards (next login or refresh).
+ *
+ * @param {...string} roles - Allowed roles (see USER_ROLE)
+ * @returns {function} Express middleware
+ *
+ * @example
+ * router.get('/admin/users', authenticate, authorize(USER_ROLE.ADMIN, USER_ROLE.SUPPORT), controller);
+ */
+export function authorize(...roles) {
+  if (roles.length === 0) {
+    throw new Error('authorize requires at least one role');
+  }
+
+  return function authorizeRole(req, res, next) {
+    const user = req.middleware?.auth?.user;
+
+    if (!user) {
+      return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+    }
+
+    const role = user.role || membershipService.USER_ROLE.USER;
+
+    if (!roles.includes(role)) {
+      logger.warn('Access denied: Insufficient role', {
+        userId: user.userId || user.id,
+        role,
+        allowedRoles: roles,
+        path: req.path
+      });
+      return forbidden(res, 'Anda tidak memiliki akses ke resource ini');
+    }
+
+    next();
+  };
+}
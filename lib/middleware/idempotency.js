@@ -0,0 +1,171 @@
+/**
+ * Idempotency Middleware
+ * Makes money-moving endpoints safe to retry with an Idempotency-Key header
+ *
+ * Usage:
+ * import { idempotent } from '#lib/middleware/idempotency.js';
+ *
+ * // After authenticate (keys are scoped per user), before validation
+ * router.post('/topup', authenticate, idempotent, validateTopUp, handleValidationErrors, controller);
+ *
+ * // In the controller, last step of the transaction that moves the money
+ * await storeIdempotentResponse(tx, req, 'Top Up Balance berhasil', topUpResponse);
+ *
+ * Behaviour when the header is sent:
+ * - New key: the request runs; its success response is stored with the key in the
+ *   same transaction as the balance change, so a committed top up or payment always
+ *   has its response. Any other response releases the key so the client can fix the
+ *   request and retry
+ * - Same key, same request: the stored response is replayed (Idempotent-Replayed: true)
+ *   without running the request again
+ * - Same key, different request: 409 Conflict
+ * - Same key while the first request is still running: 409 Conflict
+ *
+ * Requests without the header are not affected. Keys are remembered for
+ * IDEMPOTENCY_KEY_EXPIRES_IN seconds.
+ */
+
+import crypto from 'crypto';
+import { badRequest, conflict, error } from '#lib/api/response.js';
+import { catchError } from '#lib/util/result.js';
+import * as transactionService from '#lib/routes/transaction/transaction.service.js';
+import logger from '#lib/util/logger.js';
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Body fields left out of the fingerprint: the PIN is not stored, even hashed
+const UNFINGERPRINTED_FIELDS = ['pin'];
+
+/**
+ * JSON serialization with object keys sorted, so key order does not change the fingerprint
+ *
+ * @param {any} value - Parsed JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Fingerprint of a request: method, path and body (without UNFINGERPRINTED_FIELDS)
+ *
+ * @param {object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintRequest(req) {
+  const body = { ...(req.body ?? {}) };
+  UNFINGERPRINTED_FIELDS.forEach(field => delete body[field]);
+
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(body)}`)
+    .digest('hex');
+}
+
+/**
+ * Idempotency Middleware
+ * Requires req.middleware.auth (use after authenticate)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+export async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return badRequest(res, 'Idempotency-Key harus 1-255 karakter ASCII tanpa spasi', null, 102);
+  }
+
+  const { db_conn } = req.app.locals.state;
+  const userId = req.middleware.auth.user.userId;
+  const fingerprint = fingerprintRequest(req);
+
+  const [claimErr, claim] = await catchError(
+    transactionService.claimIdempotencyKey(db_conn, userId, key, fingerprint)
+  );
+
+  if (claimErr) {
+    logger.error('Failed to claim idempotency key', { error: claimErr.message, stack: claimErr.stack, userId });
+    return error(res, 'Internal server error', 500);
+  }
+
+  if (!claim.claimed) {
+    const { record } = claim;
+
+    if (record.fingerprint !== fingerprint) {
+      return conflict(res, 'Idempotency-Key sudah digunakan untuk request yang berbeda');
+    }
+
+    if (record.response_status === null) {
+      return conflict(res, 'Request dengan Idempotency-Key ini masih diproses');
+    }
+
+    logger.info('Idempotent response replayed', { userId, path: req.originalUrl });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response_status).json(record.response_body);
+  }
+
+  req.idempotency = { key, stored: false };
+
+  // Release the key of a failed request; a success response the controller did not
+  // store in its transaction is stored here before it is sent
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const succeeded = statusCode >= 200 && statusCode < 300;
+
+    if (succeeded && req.idempotency.stored) {
+      return sendJson(body);
+    }
+
+    const settle = succeeded
+      ? transactionService.saveIdempotentResponse(db_conn, userId, key, statusCode, body)
+      : transactionService.releaseIdempotencyKey(db_conn, userId, key);
+
+    catchError(settle).then(([settleErr]) => {
+      if (settleErr) {
+        logger.error('Failed to settle idempotency key', { error: settleErr.message, userId, statusCode });
+      }
+      sendJson(body);
+    });
+
+    return res;
+  };
+
+  next();
+}
+
+/**
+ * Store the success response of a request made with an Idempotency-Key
+ * Call it as the last step of the transaction that moves the money: the response
+ * is committed (or rolled back) together with it. Does nothing without a claimed key.
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} req - Express request object (passed through idempotent)
+ * @param {string} message - Success message, as sent with success()
+ * @param {any} data - Response data, as sent with success()
+ * @returns {Promise<void>}
+ */
+export async function storeIdempotentResponse(tx, req, message, data) {
+  if (!req.idempotency) {
+    return;
+  }
+
+  const userId = req.middleware.auth.user.userId;
+  await transactionService.saveIdempotentResponse(tx, userId, req.idempotency.key, 200, { status: 0, message, data });
+  req.idempotency.stored = true;
+}
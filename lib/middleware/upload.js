@@ -0,0 +1,61 @@
+/**
+ * Upload Middleware
+ * Parses a single image from multipart/form-data into req.file (memory storage)
+ *
+ * Usage:
+ * ```js
+ * router.put('/admin/services/:code/icon', authenticate, uploadImage('file'), controller);
+ * // controller: req.file.buffer, req.file.mimetype
+ * ```
+ */
+
+import multer from 'multer';
+import { badRequest, error } from '#lib/api/response.js';
+import logger from '#lib/util/logger.js';
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Create a middleware accepting one JPEG or PNG image (max 5MB)
+ * Responds 400 (status 102) when the file is missing, too large or not an image
+ *
+ * @param {string} field - Form field holding the file (default: 'file')
+ * @returns {function} Express middleware
+ */
+export function uploadImage(field = 'file') {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_IMAGE_SIZE,
+    }
+  }).single(field);
+
+  return function uploadImageMiddleware(req, res, next) {
+    upload(req, res, (err) => {
+      // Handle multer errors
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          logger.warn('File size exceeds limit', { path: req.path });
+          return badRequest(res, 'File size exceeds 5MB limit', null, 102);
+        }
+        logger.error('Multer error', { error: err.message, path: req.path });
+        return badRequest(res, err.message, null, 102);
+      } else if (err) {
+        logger.error('Upload error', { error: err.message, path: req.path });
+        return error(res, 'Internal server error', 500);
+      }
+
+      if (!req.file) {
+        return badRequest(res, 'File is required', null, 102);
+      }
+
+      if (!ALLOWED_IMAGE_TYPES.includes(req.file.mimetype)) {
+        logger.warn('Invalid file format', { mimetype: req.file.mimetype, path: req.path });
+        return badRequest(res, 'Format Image tidak sesuai', null, 102);
+      }
+
+      next();
+    });
+  };
+}
@@ -0,0 +1,21 @@
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+import { journalEntries } from './journal_entries.js';
+
+// Audit trail of balances corrected by the reconciliation (bin/reconcile --fix).
+// When the WALLET account also differed from the recomputed balance, its
+// correction is posted to the ledger as journal_entry_id, against the
+// BALANCE_ADJUSTMENT account; null when only user_balance was off.
+export const balanceAdjustments = pgTable('balance_adjustments', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  previousBalance: integer('previous_balance').notNull(),
+  newBalance: integer('new_balance').notNull(),
+  reason: text('reason').notNull(),
+  // Who or what made the correction, e.g. the operating system user running the script
+  adjustedBy: text('adjusted_by').notNull(),
+  journalEntryId: integer('journal_entry_id').references(() => journalEntries.id),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  index('balance_adjustments_user_id_idx').on(table.userId),
+]);
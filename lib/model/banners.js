@@ -1,8 +1,16 @@
-import { pgTable, serial, text } from 'drizzle-orm/pg-core';
+import { pgTable, serial, text, integer, timestamp } from 'drizzle-orm/pg-core';
 
 export const banners = pgTable('banners', {
   id: serial('id').primaryKey(),
   name: text('name').notNull(),
   imageUrl: text('image_url').notNull(),
   description: text('description').notNull(),
+  // Lower values are shown first, ties fall back to id
+  sortOrder: integer('sort_order').notNull().default(0),
+  // Live window, a missing bound means "no limit"
+  activeFrom: timestamp('active_from', { withTimezone: true }),
+  activeUntil: timestamp('active_until', { withTimezone: true }),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  updatedOn: timestamp('updated_on', { withTimezone: true }).notNull().defaultNow(),
+  retiredOn: timestamp('retired_on', { withTimezone: true }),
 });
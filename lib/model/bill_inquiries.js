@@ -0,0 +1,22 @@
+import { pgTable, text, integer, timestamp, uuid, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+import { services } from './services.js';
+import { userTransactions } from './user_transactions.js';
+
+// Amount due returned by a biller for a customer number, paid at most once
+// through POST /transaction before it expires
+export const billInquiries = pgTable('bill_inquiries', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  serviceId: integer('service_id').notNull().references(() => services.id),
+  customerNumber: text('customer_number').notNull(),
+  customerName: text('customer_name').notNull(),
+  amount: integer('amount').notNull(),
+  billerReference: text('biller_reference').notNull(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  paidOn: timestamp('paid_on', { withTimezone: true }),
+  transactionId: integer('transaction_id').references(() => userTransactions.id),
+}, (table) => [
+  index('bill_inquiries_user_id_idx').on(table.userId),
+]);
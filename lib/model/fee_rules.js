@@ -0,0 +1,24 @@
+import { sql } from 'drizzle-orm';
+import { pgTable, serial, text, integer, timestamp, uniqueIndex, check } from 'drizzle-orm/pg-core';
+import { services } from './services.js';
+
+// Admin fee added on top of a payment. A rule targets a service, a user tier,
+// both or neither (null = any); the most specific rule that matches applies.
+// fee_value is rupiah for FLAT and basis points for PERCENTAGE (150 = 1.5%).
+export const feeRules = pgTable('fee_rules', {
+  id: serial('id').primaryKey(),
+  serviceId: integer('service_id').references(() => services.id),
+  tier: text('tier'),
+  feeType: text('fee_type').notNull(),
+  feeValue: integer('fee_value').notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  updatedOn: timestamp('updated_on', { withTimezone: true }).notNull().defaultNow(),
+  // Soft delete: rows stay for user_transactions.fee_rule_id
+  deletedOn: timestamp('deleted_on', { withTimezone: true }),
+}, (table) => [
+  uniqueIndex('fee_rules_scope_active_unique')
+    .on(sql`COALESCE(${table.serviceId}, 0)`, sql`COALESCE(${table.tier}, '')`)
+    .where(sql`${table.deletedOn} IS NULL`),
+  check('fee_rules_fee_type_check', sql`${table.feeType} IN ('FLAT', 'PERCENTAGE')`),
+  check('fee_rules_tier_check', sql`${table.tier} IS NULL OR ${table.tier} IN ('REGULAR', 'PREMIUM')`),
+]);
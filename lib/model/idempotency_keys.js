@@ -0,0 +1,18 @@
+import { pgTable, serial, text, integer, timestamp, jsonb, uniqueIndex } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+// Idempotency-Key sent with a money-moving request, with a fingerprint of the
+// request and, once it succeeded, the response to replay on retries.
+// response_status is null while the first request is still being processed.
+export const idempotencyKeys = pgTable('idempotency_keys', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  key: text('key').notNull(),
+  fingerprint: text('fingerprint').notNull(),
+  responseStatus: integer('response_status'),
+  responseBody: jsonb('response_body'),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  completedOn: timestamp('completed_on', { withTimezone: true }),
+}, (table) => [
+  uniqueIndex('idempotency_keys_user_id_key_unique').on(table.userId, table.key),
+]);
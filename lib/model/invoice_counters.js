@@ -0,0 +1,10 @@
+import { pgTable, text, integer, timestamp } from 'drizzle-orm/pg-core';
+
+// Last invoice sequence handed out per period. period is the invoice number
+// without its sequence (prefix + formatted date, e.g. INV19102026), so the
+// sequence restarts whenever the formatted date changes.
+export const invoiceCounters = pgTable('invoice_counters', {
+  period: text('period').primaryKey(),
+  lastSequence: integer('last_sequence').notNull(),
+  updatedOn: timestamp('updated_on', { withTimezone: true }).notNull().defaultNow(),
+});
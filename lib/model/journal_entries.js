@@ -0,0 +1,13 @@
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { userTransactions } from './user_transactions.js';
+
+// One balanced set of ledger postings. transaction_id links the entry to the
+// user transaction that caused it; it is null for opening balances.
+export const journalEntries = pgTable('journal_entries', {
+  id: serial('id').primaryKey(),
+  transactionId: integer('transaction_id').references(() => userTransactions.id),
+  description: text('description').notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  index('journal_entries_transaction_id_idx').on(table.transactionId),
+]);
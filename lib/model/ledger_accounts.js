@@ -0,0 +1,18 @@
+import { sql } from 'drizzle-orm';
+import { pgTable, serial, text, integer, timestamp, check } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+// Accounts of the double-entry ledger. Every user has one WALLET account
+// (user_id set, code WALLET-{user_id}); system accounts have no user_id.
+// The account type decides which side its balance is normally on:
+// ASSET is debit-normal, LIABILITY / EQUITY / REVENUE are credit-normal.
+export const ledgerAccounts = pgTable('ledger_accounts', {
+  id: serial('id').primaryKey(),
+  code: text('code').notNull().unique(),
+  name: text('name').notNull(),
+  accountType: text('account_type').notNull(),
+  userId: integer('user_id').unique().references(() => users.id),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  check('ledger_accounts_account_type_check', sql`${table.accountType} IN ('ASSET', 'LIABILITY', 'EQUITY', 'REVENUE')`),
+]);
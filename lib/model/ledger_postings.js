@@ -0,0 +1,18 @@
+import { sql } from 'drizzle-orm';
+import { pgTable, serial, integer, index, check } from 'drizzle-orm/pg-core';
+import { journalEntries } from './journal_entries.js';
+import { ledgerAccounts } from './ledger_accounts.js';
+
+// A debit (positive amount) or credit (negative amount) on one account.
+// The postings of a journal entry always sum to zero; a deferred constraint
+// trigger checks this when the surrounding transaction commits.
+export const ledgerPostings = pgTable('ledger_postings', {
+  id: serial('id').primaryKey(),
+  journalEntryId: integer('journal_entry_id').notNull().references(() => journalEntries.id),
+  accountId: integer('account_id').notNull().references(() => ledgerAccounts.id),
+  amount: integer('amount').notNull(),
+}, (table) => [
+  index('ledger_postings_journal_entry_id_idx').on(table.journalEntryId),
+  index('ledger_postings_account_id_idx').on(table.accountId),
+  check('ledger_postings_amount_check', sql`${table.amount} <> 0`),
+]);
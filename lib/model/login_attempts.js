@@ -0,0 +1,12 @@
+import { pgTable, serial, text, boolean, timestamp, index } from 'drizzle-orm/pg-core';
+
+export const loginAttempts = pgTable('login_attempts', {
+  id: serial('id').primaryKey(),
+  email: text('email').notNull(),
+  ipAddress: text('ip_address'),
+  succeeded: boolean('succeeded').notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  index('login_attempts_ip_address_created_on_idx').on(table.ipAddress, table.createdOn),
+  index('login_attempts_created_on_idx').on(table.createdOn),
+]);
@@ -0,0 +1,16 @@
+import { pgTable, serial, text, integer, timestamp, uuid, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+import { userSessions } from './user_sessions.js';
+
+export const refreshTokens = pgTable('refresh_tokens', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  familyId: uuid('family_id').notNull().references(() => userSessions.id),
+  tokenHash: text('token_hash').notNull().unique(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  usedOn: timestamp('used_on', { withTimezone: true }),
+  revokedOn: timestamp('revoked_on', { withTimezone: true }),
+}, (table) => [
+  index('refresh_tokens_family_id_idx').on(table.familyId),
+]);
@@ -0,0 +1,13 @@
+import { pgTable, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+export const revokedTokens = pgTable('revoked_tokens', {
+  // Access token jti or session (refresh token family) id
+  tokenId: text('token_id').primaryKey(),
+  tokenType: text('token_type').notNull(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  revokedOn: timestamp('revoked_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  index('revoked_tokens_expires_at_idx').on(table.expiresAt),
+]);
@@ -0,0 +1,9 @@
+import { pgTable, serial, text, integer } from 'drizzle-orm/pg-core';
+
+export const serviceCategories = pgTable('service_categories', {
+  id: serial('id').primaryKey(),
+  code: text('code').notNull().unique(),
+  name: text('name').notNull(),
+  // Lower values are shown first, ties fall back to id
+  sortOrder: integer('sort_order').notNull().default(0),
+});
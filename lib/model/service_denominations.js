@@ -0,0 +1,17 @@
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { services } from './services.js';
+
+// Fixed amounts a user picks from when paying a DENOMINATION service (PULSA, VOUCHER_GAME, ...)
+export const serviceDenominations = pgTable('service_denominations', {
+  id: serial('id').primaryKey(),
+  serviceId: integer('service_id').notNull().references(() => services.id),
+  name: text('name').notNull(),
+  amount: integer('amount').notNull(),
+  // Lower values are shown first, ties fall back to id
+  sortOrder: integer('sort_order').notNull().default(0),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  // Soft delete: rows stay for user_transactions.service_denomination_id
+  deletedOn: timestamp('deleted_on', { withTimezone: true }),
+}, (table) => [
+  index('service_denominations_service_id_idx').on(table.serviceId),
+]);
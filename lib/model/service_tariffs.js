@@ -0,0 +1,14 @@
+import { pgTable, serial, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { services } from './services.js';
+
+// Append-only price list: the tariff of a service at a given time is the row
+// with the latest effective_from at or before that time
+export const serviceTariffs = pgTable('service_tariffs', {
+  id: serial('id').primaryKey(),
+  serviceId: integer('service_id').notNull().references(() => services.id),
+  tariff: integer('tariff').notNull(),
+  effectiveFrom: timestamp('effective_from', { withTimezone: true }).notNull().defaultNow(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => [
+  index('service_tariffs_service_id_effective_from_idx').on(table.serviceId, table.effectiveFrom),
+]);
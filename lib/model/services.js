@@ -1,9 +1,30 @@
-import { pgTable, serial, text, integer } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
+import { pgTable, serial, text, integer, boolean, timestamp, uniqueIndex, check } from 'drizzle-orm/pg-core';
+import { serviceCategories } from './service_categories.js';
 
 export const services = pgTable('services', {
   id: serial('id').primaryKey(),
   code: text('code').notNull(),
   name: text('name').notNull(),
   iconUrl: text('icon_url').notNull(),
-  tariff: integer('tariff').notNull(),
-});
+  // Grouping for the home screen, null = uncategorized
+  categoryId: integer('category_id').references(() => serviceCategories.id),
+  // Inactive services and services inside their maintenance window cannot be paid for
+  isActive: boolean('is_active').notNull().default(true),
+  // Billed services (PLN, PDAM, ...) are paid through a bill inquiry instead of a fixed tariff
+  requiresInquiry: boolean('requires_inquiry').notNull().default(false),
+  // How the amount of a payment is chosen: FIXED = current tariff,
+  // DENOMINATION = one of service_denominations, RANGE = user amount within min/max
+  amountType: text('amount_type').notNull().default('FIXED'),
+  minAmount: integer('min_amount'),
+  maxAmount: integer('max_amount'),
+  maintenanceFrom: timestamp('maintenance_from', { withTimezone: true }),
+  maintenanceUntil: timestamp('maintenance_until', { withTimezone: true }),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  updatedOn: timestamp('updated_on', { withTimezone: true }).notNull().defaultNow(),
+  // Soft delete: rows stay for user_transactions.service_id
+  deletedOn: timestamp('deleted_on', { withTimezone: true }),
+}, (table) => [
+  uniqueIndex('services_code_active_unique').on(table.code).where(sql`${table.deletedOn} IS NULL`),
+  check('services_amount_type_check', sql`${table.amountType} IN ('FIXED', 'DENOMINATION', 'RANGE')`),
+]);
@@ -0,0 +1,13 @@
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+// Single-use 2FA recovery codes, stored hashed
+export const userRecoveryCodes = pgTable('user_recovery_codes', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  codeHash: text('code_hash').notNull().unique(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  usedOn: timestamp('used_on', { withTimezone: true }),
+}, (table) => [
+  index('user_recovery_codes_user_id_idx').on(table.userId),
+]);
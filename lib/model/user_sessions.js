@@ -0,0 +1,15 @@
+import { pgTable, text, integer, timestamp, uuid, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+export const userSessions = pgTable('user_sessions', {
+  // Also used as the refresh token family id and the `sid` access token claim
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  userAgent: text('user_agent'),
+  ipAddress: text('ip_address'),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  lastSeenOn: timestamp('last_seen_on', { withTimezone: true }).notNull().defaultNow(),
+  terminatedOn: timestamp('terminated_on', { withTimezone: true }),
+}, (table) => [
+  index('user_sessions_user_id_idx').on(table.userId),
+]);
@@ -0,0 +1,15 @@
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
+import { users } from './users.js';
+
+// Single-use tokens sent to users out of band (password reset links, etc.)
+export const userTokens = pgTable('user_tokens', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').notNull().references(() => users.id),
+  purpose: text('purpose').notNull(),
+  tokenHash: text('token_hash').notNull().unique(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  createdOn: timestamp('created_on', { withTimezone: true }).notNull().defaultNow(),
+  usedOn: timestamp('used_on', { withTimezone: true }),
+}, (table) => [
+  index('user_tokens_user_id_purpose_idx').on(table.userId, table.purpose),
+]);
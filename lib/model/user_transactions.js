@@ -1,15 +1,30 @@
-import { pgTable, serial, text, integer, timestamp } from 'drizzle-orm/pg-core';
+import { pgTable, serial, text, integer, timestamp, index } from 'drizzle-orm/pg-core';
 import { services } from './services.js';
+import { serviceTariffs } from './service_tariffs.js';
+import { serviceDenominations } from './service_denominations.js';
+import { feeRules } from './fee_rules.js';
 import { transactionTypeEnum } from './transaction_type_enum.js';
 import { users } from './users.js';
 
 export const userTransactions = pgTable('user_transactions', {
   id: serial('id').primaryKey().notNull(),
   userId: integer('user_id').notNull().references(() => users.id),
-  invoiceNumber: text('invoice_number').notNull(),
+  invoiceNumber: text('invoice_number').notNull().unique(),
   serviceId: integer('service_id').references(() => services.id),
+  // Tariff applied to a payment, null for top ups
+  serviceTariffId: integer('service_tariff_id').references(() => serviceTariffs.id),
+  // Denomination picked for DENOMINATION services, null otherwise
+  serviceDenominationId: integer('service_denomination_id').references(() => serviceDenominations.id),
   description: text('description').notNull(),
+  // total_amount = base amount + fee_amount
   totalAmount: integer('total_amount').notNull(),
+  feeAmount: integer('fee_amount').notNull().default(0),
+  // Fee rule applied to a payment, null when no rule matched
+  feeRuleId: integer('fee_rule_id').references(() => feeRules.id),
+  // Payment a REFUND gives money back for, null for other transaction types
+  originalTransactionId: integer('original_transaction_id').references(() => userTransactions.id),
   createdOn: timestamp('created_on', { withTimezone: true }),
   transactionTypeId: integer('transaction_type_id').notNull().references(() => transactionTypeEnum.id),
-});
+}, (table) => [
+  index('user_transactions_original_transaction_id_idx').on(table.originalTransactionId),
+]);
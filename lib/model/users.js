@@ -1,4 +1,5 @@
-import { pgTable, serial, text } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
+import { pgTable, serial, text, timestamp, integer, check } from 'drizzle-orm/pg-core';
 
 export const users = pgTable('users', {
   id: serial('id').primaryKey(),
@@ -7,4 +8,20 @@ export const users = pgTable('users', {
   firstName: text('first_name').notNull(),
   lastName: text('last_name').notNull(),
   profileImage: text('profile_image').notNull(),
-});
\ No newline at end of file
+  emailVerifiedAt: timestamp('email_verified_at', { withTimezone: true }),
+  failedLoginCount: integer('failed_login_count').notNull().default(0),
+  lastFailedLoginOn: timestamp('last_failed_login_on', { withTimezone: true }),
+  lockedUntil: timestamp('locked_until', { withTimezone: true }),
+  twoFactorSecret: text('two_factor_secret'),
+  twoFactorEnabledAt: timestamp('two_factor_enabled_at', { withTimezone: true }),
+  twoFactorLastStep: integer('two_factor_last_step'),
+  pinHash: text('pin_hash'),
+  pinFailedCount: integer('pin_failed_count').notNull().default(0),
+  pinLockedUntil: timestamp('pin_locked_until', { withTimezone: true }),
+  role: text('role').notNull().default('USER'),
+  // Pricing tier, fee rules can target a tier
+  tier: text('tier').notNull().default('REGULAR'),
+}, (table) => [
+  check('users_role_check', sql`${table.role} IN ('USER', 'ADMIN', 'SUPPORT')`),
+  check('users_tier_check', sql`${table.tier} IN ('REGULAR', 'PREMIUM')`),
+]);
\ No newline at end of file
@@ -0,0 +1,1075 @@
+/**
+ * Admin Controller Layer
+ * Handles catalog, banner and fee management HTTP requests (admin role only)
+ * Manages database transactions and error handling using Result pattern
+ */
+
+import { catchError, catchErrorSync } from '#lib/util/result.js';
+import { success, error, badRequest, notFound, conflict } from '#lib/api/response.js';
+import * as adminService from './admin.service.js';
+import * as adminDTO from './admin.dto.js';
+import * as ledgerService from '#lib/routes/ledger/ledger.service.js';
+import * as transactionService from '#lib/routes/transaction/transaction.service.js';
+import { storeIdempotentResponse } from '#lib/middleware/idempotency.js';
+import logger from '#lib/util/logger.js';
+
+/**
+ * Transform a service row and send it, shared by every service write endpoint
+ *
+ * @param {object} res - Express response object
+ * @param {string} message - Success message
+ * @param {object} service - Raw service row
+ * @returns {object} Express response
+ */
+function respondWithService(res, message, service) {
+  const [dtoErr, serviceResponse] = catchErrorSync(() => adminDTO.toAdminServiceDTO(service));
+
+  if (dtoErr) {
+    logger.error('Failed to transform service to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      serviceCode: service.code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, message, serviceResponse);
+}
+
+/**
+ * Transform a banner row and send it, shared by every banner write endpoint
+ *
+ * @param {object} res - Express response object
+ * @param {string} message - Success message
+ * @param {object} banner - Raw banner row
+ * @returns {object} Express response
+ */
+function respondWithBanner(res, message, banner) {
+  const [dtoErr, bannerResponse] = catchErrorSync(() => adminDTO.toAdminBannerDTO(banner));
+
+  if (dtoErr) {
+    logger.error('Failed to transform banner to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      bannerId: banner.id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, message, bannerResponse);
+}
+
+/**
+ * Transform a fee rule row and send it, shared by every fee rule write endpoint
+ *
+ * @param {object} res - Express response object
+ * @param {string} message - Success message
+ * @param {object} feeRule - Raw fee rule row
+ * @returns {object} Express response
+ */
+function respondWithFeeRule(res, message, feeRule) {
+  const [dtoErr, feeRuleResponse] = catchErrorSync(() => adminDTO.toFeeRuleDTO(feeRule));
+
+  if (dtoErr) {
+    logger.error('Failed to transform fee rule to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      feeRuleId: feeRule.id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, message, feeRuleResponse);
+}
+
+/**
+ * Map service amount setting errors to responses, shared by create and update
+ *
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the transaction
+ * @returns {object|null} Express response, or null if the error is not an amount setting error
+ */
+function respondToServiceAmountError(res, err) {
+  if (err.message === 'Inquiry service must be FIXED') {
+    return badRequest(res, 'Service dengan requires_inquiry harus bertipe FIXED', null, 102);
+  }
+
+  if (err.message === 'Invalid amount range') {
+    return badRequest(res, 'Service RANGE memerlukan service_min_amount dan service_max_amount, min tidak boleh lebih besar dari max', null, 102);
+  }
+
+  if (err.message === 'Amount range not allowed') {
+    return badRequest(res, 'service_min_amount dan service_max_amount hanya untuk service RANGE', null, 102);
+  }
+
+  if (err.message === 'Denominations required') {
+    return badRequest(res, 'Service DENOMINATION memerlukan minimal satu service_denominations', null, 102);
+  }
+
+  if (err.message === 'Denominations not allowed') {
+    return badRequest(res, 'service_denominations hanya untuk service DENOMINATION', null, 102);
+  }
+
+  return null;
+}
+
+/**
+ * Map fee rule service errors to responses
+ *
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the transaction
+ * @returns {object|null} Express response, or null if the error is unexpected
+ */
+function respondToFeeRuleError(res, err) {
+  if (err.message === 'Fee rule not found') {
+    return notFound(res, 'Fee rule tidak ditemukan');
+  }
+
+  if (err.message === 'Fee rule already exists') {
+    return conflict(res, 'Fee rule untuk service dan tier ini sudah ada');
+  }
+
+  if (err.message === 'Service not found') {
+    return badRequest(res, 'Service tidak ditemukan', null, 102);
+  }
+
+  if (err.message === 'Invalid fee value') {
+    return badRequest(res, 'fee_value PERCENTAGE maksimal 10000 (100%)', null, 102);
+  }
+
+  return null;
+}
+
+/**
+ * Map banner service errors to responses
+ *
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the transaction
+ * @returns {object|null} Express response, or null if the error is unexpected
+ */
+function respondToBannerError(res, err) {
+  if (err.message === 'Banner not found') {
+    return notFound(res, 'Banner tidak ditemukan');
+  }
+
+  if (err.message === 'Invalid banner schedule') {
+    return badRequest(res, 'active_until harus setelah active_from', null, 102);
+  }
+
+  return null;
+}
+
+/**
+ * List services, optionally including deleted ones
+ * GET /admin/services?include_deleted=true
+ */
+export async function getServices(req, res) {
+  const { db_conn } = req.app.locals.state;
+  const includeDeleted = req.query.include_deleted === 'true';
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, services] = await catchError(adminService.getServices(db_conn, includeDeleted));
+
+  if (err) {
+    logger.error('Failed to fetch services for admin', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, servicesResponse] = catchErrorSync(() =>
+    services.map(service => adminDTO.toAdminServiceDTO(service))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform services to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', servicesResponse);
+}
+
+/**
+ * Create a service
+ * POST /admin/services
+ *
+ * Body: { service_code, service_name, service_tariff, service_icon?, service_category?,
+ *         service_active?, requires_inquiry?, service_amount_type?, service_min_amount?,
+ *         service_max_amount?, service_denominations?, maintenance_from?, maintenance_until? }
+ */
+export async function createService(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const {
+    service_code,
+    service_name,
+    service_tariff,
+    service_icon,
+    service_category,
+    service_active,
+    requires_inquiry,
+    service_amount_type,
+    service_min_amount,
+    service_max_amount,
+    service_denominations,
+    maintenance_from,
+    maintenance_until
+  } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, service] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.createService(tx, {
+        code: service_code,
+        name: service_name,
+        tariff: service_tariff,
+        iconUrl: service_icon,
+        categoryCode: service_category,
+        isActive: service_active,
+        requiresInquiry: requires_inquiry,
+        amountType: service_amount_type,
+        minAmount: service_min_amount,
+        maxAmount: service_max_amount,
+        denominations: service_denominations?.map(denomination => ({
+          name: denomination.denomination_name,
+          amount: denomination.amount
+        })),
+        maintenanceFrom: maintenance_from,
+        maintenanceUntil: maintenance_until
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Service code already exists') {
+      return conflict(res, 'Kode service sudah digunakan');
+    }
+
+    if (txErr.message === 'Category not found') {
+      return badRequest(res, 'Kategori tidak ditemukan', null, 102);
+    }
+
+    const handled = respondToServiceAmountError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    if (txErr.message === 'Invalid maintenance window') {
+      return badRequest(res, 'maintenance_until harus setelah maintenance_from', null, 102);
+    }
+
+    logger.error('Failed to create service', {
+      error: txErr.message,
+      stack: txErr.stack,
+      serviceCode: service_code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Service created', { userId, serviceCode: service.code });
+
+  return respondWithService(res, 'Service berhasil dibuat', service);
+}
+
+/**
+ * Update a service
+ * PUT /admin/services/:code
+ *
+ * Body: { service_name?, service_tariff?, tariff_effective_from?, service_icon?, service_category?,
+ *         service_active?, requires_inquiry?, service_amount_type?, service_min_amount?,
+ *         service_max_amount?, service_denominations?, maintenance_from?, maintenance_until? }
+ */
+export async function updateService(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { code } = req.params;
+  const {
+    service_name,
+    service_tariff,
+    tariff_effective_from,
+    service_icon,
+    service_category,
+    service_active,
+    requires_inquiry,
+    service_amount_type,
+    service_min_amount,
+    service_max_amount,
+    service_denominations,
+    maintenance_from,
+    maintenance_until
+  } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, service] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.updateService(tx, code, {
+        name: service_name,
+        tariff: service_tariff,
+        tariffEffectiveFrom: tariff_effective_from,
+        iconUrl: service_icon,
+        categoryCode: service_category,
+        isActive: service_active,
+        requiresInquiry: requires_inquiry,
+        amountType: service_amount_type,
+        minAmount: service_min_amount,
+        maxAmount: service_max_amount,
+        denominations: service_denominations?.map(denomination => ({
+          name: denomination.denomination_name,
+          amount: denomination.amount
+        })),
+        maintenanceFrom: maintenance_from,
+        maintenanceUntil: maintenance_until
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Service not found') {
+      return notFound(res, 'Service tidak ditemukan');
+    }
+
+    if (txErr.message === 'Category not found') {
+      return badRequest(res, 'Kategori tidak ditemukan', null, 102);
+    }
+
+    const handled = respondToServiceAmountError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    if (txErr.message === 'Invalid maintenance window') {
+      return badRequest(res, 'maintenance_until harus setelah maintenance_from', null, 102);
+    }
+
+    if (txErr.message === 'Invalid tariff effective date') {
+      return badRequest(res, 'tariff_effective_from tidak boleh di masa lalu', null, 102);
+    }
+
+    logger.error('Failed to update service', {
+      error: txErr.message,
+      stack: txErr.stack,
+      serviceCode: code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Service updated', { userId, serviceCode: code });
+
+  return respondWithService(res, 'Service berhasil diperbarui', service);
+}
+
+/**
+ * Get the price history of a service, including scheduled tariffs
+ * GET /admin/services/:code/tariffs
+ */
+export async function getServiceTariffs(req, res) {
+  const { code } = req.params;
+  const { db_conn } = req.app.locals.state;
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, tariffs] = await catchError(adminService.getServiceTariffs(db_conn, code));
+
+  if (err) {
+    if (err.message === 'Service not found') {
+      return notFound(res, 'Service tidak ditemukan');
+    }
+
+    logger.error('Failed to fetch service tariffs', {
+      error: err.message,
+      stack: err.stack,
+      serviceCode: code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, tariffsResponse] = catchErrorSync(() =>
+    tariffs.map(tariff => adminDTO.toServiceTariffDTO(tariff))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform service tariffs to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', tariffsResponse);
+}
+
+/**
+ * Upload a service icon
+ * PUT /admin/services/:code/icon
+ *
+ * Body: multipart/form-data with file field (parsed by uploadImage middleware)
+ */
+export async function updateServiceIcon(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { code } = req.params;
+  const { db_conn, s3Client } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, service] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.updateServiceIcon(
+        tx,
+        s3Client,
+        code,
+        req.file.buffer,
+        req.file.mimetype
+      );
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Service not found') {
+      return notFound(res, 'Service tidak ditemukan');
+    }
+
+    logger.error('Failed to update service icon', {
+      error: txErr.message,
+      stack: txErr.stack,
+      serviceCode: code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Service icon updated', { userId, serviceCode: code });
+
+  return respondWithService(res, 'Icon service berhasil diperbarui', service);
+}
+
+/**
+ * Soft-delete a service
+ * DELETE /admin/services/:code
+ */
+export async function deleteService(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { code } = req.params;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, service] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.deleteService(tx, code);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Service not found') {
+      return notFound(res, 'Service tidak ditemukan');
+    }
+
+    logger.error('Failed to delete service', {
+      error: txErr.message,
+      stack: txErr.stack,
+      serviceCode: code
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Service deleted', { userId, serviceCode: code });
+
+  return respondWithService(res, 'Service berhasil dihapus', service);
+}
+
+/**
+ * List banners, including scheduled and expired ones
+ * GET /admin/banners?include_retired=true
+ */
+export async function getBanners(req, res) {
+  const { db_conn } = req.app.locals.state;
+  const includeRetired = req.query.include_retired === 'true';
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, banners] = await catchError(adminService.getBanners(db_conn, includeRetired));
+
+  if (err) {
+    logger.error('Failed to fetch banners for admin', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, bannersResponse] = catchErrorSync(() =>
+    banners.map(banner => adminDTO.toAdminBannerDTO(banner))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform banners to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', bannersResponse);
+}
+
+/**
+ * Create a banner
+ * POST /admin/banners
+ *
+ * Body: { banner_name, banner_image, description, sort_order?, active_from?, active_until? }
+ */
+export async function createBanner(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { banner_name, banner_image, description, sort_order, active_from, active_until } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, banner] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.createBanner(tx, {
+        name: banner_name,
+        imageUrl: banner_image,
+        description,
+        sortOrder: sort_order,
+        activeFrom: active_from,
+        activeUntil: active_until
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToBannerError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to create banner', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Banner created', { userId, bannerId: banner.id });
+
+  return respondWithBanner(res, 'Banner berhasil dibuat', banner);
+}
+
+/**
+ * Update a banner
+ * PUT /admin/banners/:id
+ *
+ * Body: { banner_name?, banner_image?, description?, sort_order?, active_from?, active_until? }
+ */
+export async function updateBanner(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { id } = req.params;
+  const { banner_name, banner_image, description, sort_order, active_from, active_until } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, banner] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.updateBanner(tx, id, {
+        name: banner_name,
+        imageUrl: banner_image,
+        description,
+        sortOrder: sort_order,
+        activeFrom: active_from,
+        activeUntil: active_until
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToBannerError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to update banner', {
+      error: txErr.message,
+      stack: txErr.stack,
+      bannerId: id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Banner updated', { userId, bannerId: id });
+
+  return respondWithBanner(res, 'Banner berhasil diperbarui', banner);
+}
+
+/**
+ * Upload a banner image
+ * PUT /admin/banners/:id/image
+ *
+ * Body: multipart/form-data with file field (parsed by uploadImage middleware)
+ */
+export async function updateBannerImage(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { id } = req.params;
+  const { db_conn, s3Client } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, banner] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.updateBannerImage(
+        tx,
+        s3Client,
+        id,
+        req.file.buffer,
+        req.file.mimetype
+      );
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToBannerError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to update banner image', {
+      error: txErr.message,
+      stack: txErr.stack,
+      bannerId: id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Banner image updated', { userId, bannerId: id });
+
+  return respondWithBanner(res, 'Image banner berhasil diperbarui', banner);
+}
+
+/**
+ * Reorder banners
+ * PUT /admin/banners/order
+ *
+ * Body: { banner_ids: number[] }
+ */
+export async function reorderBanners(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { banner_ids } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, banners] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.reorderBanners(tx, banner_ids);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToBannerError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to reorder banners', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, bannersResponse] = catchErrorSync(() =>
+    banners.map(banner => adminDTO.toAdminBannerDTO(banner))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform banners to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Banners reordered', { userId, bannerIds: banner_ids });
+
+  return success(res, 'Urutan banner berhasil diperbarui', bannersResponse);
+}
+
+/**
+ * Retire a banner
+ * DELETE /admin/banners/:id
+ */
+export async function retireBanner(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { id } = req.params;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, banner] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.retireBanner(tx, id);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToBannerError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to retire banner', {
+      error: txErr.message,
+      stack: txErr.stack,
+      bannerId: id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Banner retired', { userId, bannerId: id });
+
+  return respondWithBanner(res, 'Banner berhasil dinonaktifkan', banner);
+}
+
+/**
+ * List fee rules, optionally including deleted ones
+ * GET /admin/fee-rules?include_deleted=true
+ */
+export async function getFeeRules(req, res) {
+  const { db_conn } = req.app.locals.state;
+  const includeDeleted = req.query.include_deleted === 'true';
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, feeRules] = await catchError(adminService.getFeeRules(db_conn, includeDeleted));
+
+  if (err) {
+    logger.error('Failed to fetch fee rules', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, feeRulesResponse] = catchErrorSync(() =>
+    feeRules.map(feeRule => adminDTO.toFeeRuleDTO(feeRule))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform fee rules to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', feeRulesResponse);
+}
+
+/**
+ * Create a fee rule
+ * POST /admin/fee-rules
+ *
+ * Body: { service_code?, user_tier?, fee_type, fee_value }
+ */
+export async function createFeeRule(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { service_code, user_tier, fee_type, fee_value } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, feeRule] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.createFeeRule(tx, {
+        serviceCode: service_code,
+        tier: user_tier,
+        feeType: fee_type,
+        feeValue: fee_value
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToFeeRuleError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to create fee rule', {
+      error: txErr.message,
+      stack: txErr.stack,
+      serviceCode: service_code,
+      tier: user_tier
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Fee rule created', { userId, feeRuleId: feeRule.id });
+
+  return respondWithFeeRule(res, 'Fee rule berhasil dibuat', feeRule);
+}
+
+/**
+ * Update the fee of a fee rule
+ * PUT /admin/fee-rules/:id
+ *
+ * Body: { fee_type?, fee_value? }
+ */
+export async function updateFeeRule(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { id } = req.params;
+  const { fee_type, fee_value } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, feeRule] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.updateFeeRule(tx, id, {
+        feeType: fee_type,
+        feeValue: fee_value
+      });
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToFeeRuleError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to update fee rule', {
+      error: txErr.message,
+      stack: txErr.stack,
+      feeRuleId: id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Fee rule updated', { userId, feeRuleId: id });
+
+  return respondWithFeeRule(res, 'Fee rule berhasil diperbarui', feeRule);
+}
+
+/**
+ * Delete a fee rule
+ * DELETE /admin/fee-rules/:id
+ */
+export async function deleteFeeRule(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { id } = req.params;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, feeRule] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await adminService.deleteFeeRule(tx, id);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToFeeRuleError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to delete fee rule', {
+      error: txErr.message,
+      stack: txErr.stack,
+      feeRuleId: id
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Fee rule deleted', { userId, feeRuleId: id });
+
+  return respondWithFeeRule(res, 'Fee rule berhasil dihapus', feeRule);
+}
+
+/**
+ * Fee revenue per service for a period
+ * GET /admin/reports/fees?from=...&until=...
+ */
+export async function getFeeReport(req, res) {
+  const { db_conn } = req.app.locals.state;
+  const from = req.query.from ?? null;
+  const until = req.query.until ?? null;
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, rows] = await catchError(adminService.getFeeReport(db_conn, from, until));
+
+  if (err) {
+    logger.error('Failed to build fee report', {
+      error: err.message,
+      stack: err.stack,
+      from,
+      until
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, reportResponse] = catchErrorSync(() => adminDTO.toFeeReportDTO(rows, from, until));
+
+  if (dtoErr) {
+    logger.error('Failed to transform fee report to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', reportResponse);
+}
+
+/**
+ * Ledger trial balance, with all user wallets against the cached user balances
+ * GET /admin/reports/ledger
+ */
+export async function getLedgerReport(req, res) {
+  const { db_conn } = req.app.locals.state;
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, trialBalance] = await catchError(ledgerService.getTrialBalance(db_conn));
+
+  if (err) {
+    logger.error('Failed to build ledger report', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, reportResponse] = catchErrorSync(() => adminDTO.toTrialBalanceDTO(trialBalance));
+
+  if (dtoErr) {
+    logger.error('Failed to transform ledger report to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', reportResponse);
+}
+
+/**
+ * Users whose balance differs from the one recomputed from their opening balance and transactions
+ * GET /admin/reports/balance-drift?format=json|csv
+ */
+export async function getBalanceDriftReport(req, res) {
+  const { db_conn } = req.app.locals.state;
+  const format = req.query.format ?? 'json';
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, balanceDrift] = await catchError(ledgerService.getBalanceDrift(db_conn));
+
+  if (err) {
+    logger.error('Failed to build balance drift report', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, reportResponse] = catchErrorSync(() => adminDTO.toBalanceDriftReportDTO(balanceDrift, new Date()));
+
+  if (dtoErr) {
+    logger.error('Failed to transform balance drift report to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  if (format === 'csv') {
+    return res.status(200).type('text/csv').send(adminDTO.toBalanceDriftCsv(reportResponse));
+  }
+
+  return success(res, 'Sukses', reportResponse);
+}
+
+/**
+ * Map refund errors to responses
+ *
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the transaction
+ * @returns {object|null} Express response, or null if the error is unexpected
+ */
+function respondToRefundError(res, err) {
+  if (err.message === 'Transaksi tidak ditemukan') {
+    return notFound(res, err.message);
+  }
+
+  if (err.message === 'Transaksi sudah di-refund penuh') {
+    return conflict(res, err.message);
+  }
+
+  if (err.message === 'Hanya transaksi PAYMENT yang dapat di-refund'
+    || err.message === 'Amount refund melebihi sisa yang dapat di-refund') {
+    return badRequest(res, err.message, null, 102);
+  }
+
+  return null;
+}
+
+/**
+ * Refund a payment to the user's balance, fully or partly
+ * POST /admin/transactions/:invoice_number/refund
+ *
+ * Body: { amount?, reason? }
+ */
+export async function refundTransaction(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { invoice_number } = req.params;
+  const { amount, reason } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, refundResponse] = await catchError(
+    db_conn.transaction(async (tx) => {
+      const refund = await transactionService.refundTransaction(tx, invoice_number, { amount, reason });
+      const refundResponse = adminDTO.toRefundDTO(refund);
+
+      // Committed with the refund, a retry with the same Idempotency-Key replays it
+      await storeIdempotentResponse(tx, req, 'Refund berhasil', refundResponse);
+
+      return refundResponse;
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const handled = respondToRefundError(res, txErr);
+    if (handled) {
+      return handled;
+    }
+
+    logger.error('Failed to refund transaction', {
+      error: txErr.message,
+      stack: txErr.stack,
+      invoiceNumber: invoice_number
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Transaction refunded', {
+    userId,
+    invoiceNumber: invoice_number,
+    refundInvoiceNumber: refundResponse.invoice_number,
+    amount: refundResponse.total_amount
+  });
+
+  return success(res, 'Refund berhasil', refundResponse);
+}
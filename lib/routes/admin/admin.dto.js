@@ -0,0 +1,367 @@
+/**
+ * Admin Data Transfer Objects (DTOs)
+ * Defines the structure of data returned from admin controllers
+ */
+
+import { toDenominationDTO } from '#lib/routes/information/information.dto.js';
+
+/**
+ * Transform raw service data from database to AdminServiceDTO format
+ * Extends the public ServiceDTO with bookkeeping fields
+ *
+ * @param {object} service - Raw service data from database
+ * @returns {object} AdminServiceDTO
+ */
+export function toAdminServiceDTO(service) {
+  return {
+    service_code: service.code,
+    service_name: service.name,
+    service_icon: service.icon_url,
+    service_tariff: service.tariff,
+    service_category: service.category_code ?? null,
+    service_active: service.is_active,
+    requires_inquiry: service.requires_inquiry,
+    service_amount_type: service.amount_type,
+    service_min_amount: service.min_amount ?? null,
+    service_max_amount: service.max_amount ?? null,
+    service_denominations: (service.denominations ?? []).map(denomination => toDenominationDTO(denomination)),
+    maintenance_from: service.maintenance_from,
+    maintenance_until: service.maintenance_until,
+    created_on: service.created_on,
+    updated_on: service.updated_on,
+    deleted_on: service.deleted_on
+  };
+}
+
+/**
+ * Transform a service_tariffs row to ServiceTariffDTO format
+ *
+ * @param {object} tariff - Raw tariff data from database
+ * @returns {object} ServiceTariffDTO
+ */
+export function toServiceTariffDTO(tariff) {
+  return {
+    tariff_id: tariff.id,
+    tariff: tariff.tariff,
+    effective_from: tariff.effective_from,
+    is_current: tariff.is_current,
+    created_on: tariff.created_on
+  };
+}
+
+/**
+ * Transform raw banner data from database to AdminBannerDTO format
+ * Extends the public BannerDTO with scheduling and bookkeeping fields
+ *
+ * @param {object} banner - Raw banner data from database
+ * @returns {object} AdminBannerDTO
+ */
+export function toAdminBannerDTO(banner) {
+  return {
+    banner_id: banner.id,
+    banner_name: banner.name,
+    banner_image: banner.image_url,
+    description: banner.description,
+    sort_order: banner.sort_order,
+    active_from: banner.active_from,
+    active_until: banner.active_until,
+    created_on: banner.created_on,
+    updated_on: banner.updated_on,
+    retired_on: banner.retired_on
+  };
+}
+
+/**
+ * Transform raw fee rule data from database to FeeRuleDTO format
+ *
+ * @param {object} feeRule - Raw fee rule data from database
+ * @returns {object} FeeRuleDTO
+ */
+export function toFeeRuleDTO(feeRule) {
+  return {
+    fee_rule_id: feeRule.id,
+    service_code: feeRule.service_code ?? null,
+    user_tier: feeRule.tier ?? null,
+    fee_type: feeRule.fee_type,
+    fee_value: feeRule.fee_value,
+    created_on: feeRule.created_on,
+    updated_on: feeRule.updated_on,
+    deleted_on: feeRule.deleted_on
+  };
+}
+
+/**
+ * Transform fee report rows to FeeReportDTO format
+ * base_amount, fee_amount and total_amount are net of refunds, refunded_amount holds what was refunded
+ * SUM() columns arrive as strings (bigint) and are converted to numbers
+ *
+ * @param {Array} rows - Rows from adminService.getFeeReport
+ * @param {string|null} from - Start of the period
+ * @param {string|null} until - End of the period
+ * @returns {object} FeeReportDTO
+ */
+export function toFeeReportDTO(rows, from, until) {
+  const services = rows.map(row => ({
+    service_code: row.code,
+    service_name: row.name,
+    transaction_count: Number(row.transaction_count),
+    refund_count: Number(row.refund_count),
+    refunded_amount: Number(row.refunded_amount),
+    base_amount: Number(row.base_amount),
+    fee_amount: Number(row.fee_amount),
+    total_amount: Number(row.total_amount)
+  }));
+
+  return {
+    from: from ?? null,
+    until: until ?? null,
+    total_fee_amount: services.reduce((total, service) => total + service.fee_amount, 0),
+    services
+  };
+}
+
+/**
+ * Transform a refund to RefundDTO format
+ *
+ * @param {object} refund - REFUND transaction from transactionService.refundTransaction
+ * @returns {object} RefundDTO
+ */
+export function toRefundDTO(refund) {
+  return {
+    invoice_number: refund.invoice_number,
+    original_invoice_number: refund.original_invoice_number,
+    service_code: refund.service_code,
+    service_name: refund.service_name,
+    transaction_type: refund.transaction_type,
+    description: refund.description,
+    base_amount: refund.total_amount - refund.fee_amount,
+    fee_amount: refund.fee_amount,
+    total_amount: refund.total_amount,
+    refunded_amount: refund.refunded_amount,
+    refundable_amount: refund.refundable_amount,
+    created_on: refund.created_on
+  };
+}
+
+/**
+ * Transform the ledger trial balance to TrialBalanceDTO format
+ * SUM() columns arrive as strings (bigint) and are converted to numbers
+ *
+ * @param {object} trialBalance - Result of ledgerService.getTrialBalance
+ * @returns {object} TrialBalanceDTO
+ */
+export function toTrialBalanceDTO(trialBalance) {
+  const accounts = trialBalance.accounts.map(account => {
+    const debit = Number(account.debit);
+    const credit = Number(account.credit);
+
+    return {
+      account_code: account.code,
+      account_name: account.name,
+      account_type: account.account_type,
+      account_count: account.account_count,
+      debit,
+      credit,
+      balance: account.account_type === 'ASSET' ? debit - credit : credit - debit
+    };
+  });
+
+  const totalDebit = accounts.reduce((total, account) => total + account.debit, 0);
+  const totalCredit = accounts.reduce((total, account) => total + account.credit, 0);
+  const wallets = accounts.find(account => account.account_code === 'WALLET');
+  const walletBalance = wallets ? wallets.balance : 0;
+  const cachedBalance = Number(trialBalance.cachedBalance);
+
+  return {
+    accounts,
+    total_debit: totalDebit,
+    total_credit: totalCredit,
+    balanced: totalDebit === totalCredit,
+    wallet_balance: walletBalance,
+    cached_balance: cachedBalance,
+    cache_in_sync: walletBalance === cachedBalance
+  };
+}
+
+/**
+ * Transform a balance drift check to BalanceDriftReportDTO format
+ * difference is what the balance is short (positive) or over (negative)
+ *
+ * @param {object} balanceDrift - Result of ledgerService.getBalanceDrift
+ * @param {Date} checkedAt - When the check ran
+ * @param {Map<number, object>} adjustments - balance_adjustments rows by user_id (fix mode only)
+ * @param {Map<number, Error>} fixErrors - Errors of failed fixes by user_id (fix mode only)
+ * @returns {object} BalanceDriftReportDTO
+ */
+export function toBalanceDriftReportDTO(balanceDrift, checkedAt, adjustments = new Map(), fixErrors = new Map()) {
+  const drifts = balanceDrift.drifts.map(drift => {
+    const expectedBalance = Number(drift.expected_balance);
+
+    return {
+      user_id: drift.user_id,
+      email: drift.email,
+      cached_balance: drift.cached_balance,
+      expected_balance: expectedBalance,
+      difference: expectedBalance - drift.cached_balance,
+      adjustment_id: adjustments.get(drift.user_id)?.id ?? null,
+      fix_error: fixErrors.get(drift.user_id)?.message ?? null
+    };
+  });
+
+  return {
+    checked_at: checkedAt.toISOString(),
+    users_checked: balanceDrift.usersChecked,
+    drift_count: drifts.length,
+    total_difference: drifts.reduce((total, drift) => total + drift.difference, 0),
+    drifts
+  };
+}
+
+/**
+ * Format the drifts of a BalanceDriftReportDTO as CSV, one line per user
+ *
+ * @param {object} report - BalanceDriftReportDTO
+ * @returns {string} CSV with a header line
+ */
+export function toBalanceDriftCsv(report) {
+  const columns = ['user_id', 'email', 'cached_balance', 'expected_balance', 'difference', 'adjustment_id', 'fix_error'];
+  const escape = value => {
+    const text = value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.join(','),
+    ...report.drifts.map(drift => columns.map(column => escape(drift[column])).join(','))
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * DTO Schemas Documentation
+ *
+ * AdminServiceDTO:
+ * {
+ *   service_code: string,
+ *   service_name: string,
+ *   service_icon: string,
+ *   service_tariff: number,
+ *   service_category: string|null,
+ *   service_active: boolean,
+ *   requires_inquiry: boolean,
+ *   service_amount_type: 'FIXED'|'DENOMINATION'|'RANGE',
+ *   service_min_amount: number|null,
+ *   service_max_amount: number|null,
+ *   service_denominations: DenominationDTO[],
+ *   maintenance_from: string|null,
+ *   maintenance_until: string|null,
+ *   created_on: string,
+ *   updated_on: string,
+ *   deleted_on: string|null
+ * }
+  *
+ * ServiceTariffDTO:
+ * {
+ *   tariff_id: number,
+ *   tariff: number,
+ *   effective_from: string,
+ *   is_current: boolean,
+ *   created_on: string
+ * }
+ *
+ * AdminBannerDTO:
+ * {
+ *   banner_id: number,
+ *   banner_name: string,
+ *   banner_image: string,
+ *   description: string,
+ *   sort_order: number,
+ *   active_from: string|null,
+ *   active_until: string|null,
+ *   created_on: string,
+ *   updated_on: string,
+ *   retired_on: string|null
+ * }
+ *
+ * FeeRuleDTO:
+ * {
+ *   fee_rule_id: number,
+ *   service_code: string|null,
+ *   user_tier: string|null,
+ *   fee_type: 'FLAT'|'PERCENTAGE',
+ *   fee_value: number,
+ *   created_on: string,
+ *   updated_on: string,
+ *   deleted_on: string|null
+ * }
+ *
+ * FeeReportDTO:
+ * {
+ *   from: string|null,
+ *   until: string|null,
+ *   total_fee_amount: number,
+ *   services: [{
+ *     service_code: string,
+ *     service_name: string,
+ *     transaction_count: number,
+ *     refund_count: number,
+ *     refunded_amount: number,
+ *     base_amount: number,
+ *     fee_amount: number,
+ *     total_amount: number
+ *   }]
+ * }
+ *
+ * RefundDTO:
+ * {
+ *   invoice_number: string,
+ *   original_invoice_number: string,
+ *   service_code: string|null,
+ *   service_name: string|null,
+ *   transaction_type: 'REFUND',
+ *   description: string,
+ *   base_amount: number,
+ *   fee_amount: number,
+ *   total_amount: number,
+ *   refunded_amount: number,
+ *   refundable_amount: number,
+ *   created_on: string
+ * }
+ *
+ * TrialBalanceDTO:
+ * {
+ *   accounts: [{
+ *     account_code: string,
+ *     account_name: string,
+ *     account_type: 'ASSET'|'LIABILITY'|'EQUITY'|'REVENUE',
+ *     account_count: number,
+ *     debit: number,
+ *     credit: number,
+ *     balance: number
+ *   }],
+ *   total_debit: number,
+ *   total_credit: number,
+ *   balanced: boolean,
+ *   wallet_balance: number,
+ *   cached_balance: number,
+ *   cache_in_sync: boolean
+ * }
+ *
+ * BalanceDriftReportDTO:
+ * {
+ *   checked_at: string,
+ *   users_checked: number,
+ *   drift_count: number,
+ *   total_difference: number,
+ *   drifts: [{
+ *     user_id: number,
+ *     email: string,
+ *     cached_balance: number,
+ *     expected_balance: number,
+ *     difference: number,
+ *     adjustment_id: number|null,
+ *     fix_error: string|null
+ *   }]
+ * }
+ */
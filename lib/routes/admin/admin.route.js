@@ -0,0 +1,195 @@
+/**
+ * Admin Routes
+ * Catalog, banner, fee and refund management and reporting endpoints, every route requires the ADMIN role
+ */
+
+import express from 'express';
+import * as adminController from './admin.controller.js';
+import { authenticate, authorize } from '#lib/middleware/auth.js';
+import { handleValidationErrors } from '#lib/middleware/validation.js';
+import { uploadImage } from '#lib/middleware/upload.js';
+import { idempotent } from '#lib/middleware/idempotency.js';
+import { USER_ROLE } from '#lib/routes/membership/membership.service.js';
+import {
+  validateServiceList,
+  validateServiceCode,
+  validateServiceCreate,
+  validateServiceUpdate,
+  validateBannerList,
+  validateBannerId,
+  validateBannerCreate,
+  validateBannerUpdate,
+  validateBannerReorder,
+  validateFeeRuleList,
+  validateFeeRuleId,
+  validateFeeRuleCreate,
+  validateFeeRuleUpdate,
+  validateFeeReport,
+  validateBalanceDriftReport,
+  validateRefund
+} from './admin.validation.js';
+
+const router = express.Router();
+
+// Every admin route requires an authenticated ADMIN
+router.use('/admin', authenticate, authorize(USER_ROLE.ADMIN));
+
+// List services (including deleted ones with ?include_deleted=true)
+router.get(
+  '/admin/services',
+  validateServiceList,
+  handleValidationErrors,
+  adminController.getServices
+);
+
+// Create a service
+router.post(
+  '/admin/services',
+  validateServiceCreate,
+  handleValidationErrors,
+  adminController.createService
+);
+
+// Update a service
+router.put(
+  '/admin/services/:code',
+  validateServiceUpdate,
+  handleValidationErrors,
+  adminController.updateService
+);
+
+// Price history of a service, including scheduled tariffs
+router.get(
+  '/admin/services/:code/tariffs',
+  validateServiceCode,
+  handleValidationErrors,
+  adminController.getServiceTariffs
+);
+
+// Upload a service icon (multipart/form-data, field "file")
+router.put(
+  '/admin/services/:code/icon',
+  validateServiceCode,
+  handleValidationErrors,
+  uploadImage('file'),
+  adminController.updateServiceIcon
+);
+
+// Soft-delete a service
+router.delete(
+  '/admin/services/:code',
+  validateServiceCode,
+  handleValidationErrors,
+  adminController.deleteService
+);
+
+// List banners (including retired ones with ?include_retired=true)
+router.get(
+  '/admin/banners',
+  validateBannerList,
+  handleValidationErrors,
+  adminController.getBanners
+);
+
+// Create a banner
+router.post(
+  '/admin/banners',
+  validateBannerCreate,
+  handleValidationErrors,
+  adminController.createBanner
+);
+
+// Reorder banners (registered before /:id so "order" is not taken as an id)
+router.put(
+  '/admin/banners/order',
+  validateBannerReorder,
+  handleValidationErrors,
+  adminController.reorderBanners
+);
+
+// Update a banner
+router.put(
+  '/admin/banners/:id',
+  validateBannerUpdate,
+  handleValidationErrors,
+  adminController.updateBanner
+);
+
+// Upload a banner image (multipart/form-data, field "file")
+router.put(
+  '/admin/banners/:id/image',
+  validateBannerId,
+  handleValidationErrors,
+  uploadImage('file'),
+  adminController.updateBannerImage
+);
+
+// Retire a banner
+router.delete(
+  '/admin/banners/:id',
+  validateBannerId,
+  handleValidationErrors,
+  adminController.retireBanner
+);
+
+// List fee rules (including deleted ones with ?include_deleted=true)
+router.get(
+  '/admin/fee-rules',
+  validateFeeRuleList,
+  handleValidationErrors,
+  adminController.getFeeRules
+);
+
+// Create a fee rule
+router.post(
+  '/admin/fee-rules',
+  validateFeeRuleCreate,
+  handleValidationErrors,
+  adminController.createFeeRule
+);
+
+// Update the fee of a fee rule
+router.put(
+  '/admin/fee-rules/:id',
+  validateFeeRuleUpdate,
+  handleValidationErrors,
+  adminController.updateFeeRule
+);
+
+// Delete a fee rule
+router.delete(
+  '/admin/fee-rules/:id',
+  validateFeeRuleId,
+  handleValidationErrors,
+  adminController.deleteFeeRule
+);
+
+// Refund a payment, fully or partly (honors Idempotency-Key)
+router.post(
+  '/admin/transactions/:invoice_number/refund',
+  idempotent,
+  validateRefund,
+  handleValidationErrors,
+  adminController.refundTransaction
+);
+
+// Fee revenue per service (?from=...&until=...)
+router.get(
+  '/admin/reports/fees',
+  validateFeeReport,
+  handleValidationErrors,
+  adminController.getFeeReport
+);
+
+// Ledger trial balance
+router.get('/admin/reports/ledger', adminController.getLedgerReport);
+
+// Balances that differ from their transactions (?format=json|csv)
+router.get(
+  '/admin/reports/balance-drift',
+  validateBalanceDriftReport,
+  handleValidationErrors,
+  adminController.getBalanceDriftReport
+);
+
+export default router;
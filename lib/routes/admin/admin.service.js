@@ -0,0 +1,867 @@
+/**
+ * Admin Service Layer
+ * Contains catalog management business logic for admin users
+ * Uses Drizzle ORM with Raw SQL for database operations
+ *
+ * Services are soft-deleted (deleted_on) so user_transactions.service_id keeps
+ * pointing at the row a payment was made for. A code is unique among
+ * services that are not deleted, so a deleted code can be reused.
+ *
+ * Tariffs are never overwritten: every price change appends a service_tariffs
+ * row with its effective_from, and payments record the row they were charged
+ * against. service_tariff in responses is the tariff effective now.
+ *
+ * How a payment amount is chosen is set per service with amount_type
+ * (FIXED, DENOMINATION or RANGE, see assertValidAmountSettings). Denominations
+ * are soft-deleted (deleted_on) when they are replaced, like services.
+ *
+ * Banners are retired (retired_on) instead of deleted. GET /banner only shows
+ * banners that are not retired and inside their active_from / active_until
+ * window, ordered by sort_order. Uploaded banner images are stored in S3 and
+ * served through signed URLs (see informationService.signBannerImages).
+ *
+ * Fee rules add an admin fee on top of payments, flat or a percentage, for a
+ * service and/or user tier. Only one rule per scope is live at a time; rules
+ * are soft-deleted (deleted_on) so user_transactions.fee_rule_id stays valid.
+ *
+ * NOTE: All service functions accept a transaction (tx) parameter
+ * Services throw errors instead of returning Result - errors are caught in controllers
+ */
+
+import { sql } from 'drizzle-orm';
+import { uploadImageToS3, buildS3Url } from '#lib/util/s3.js';
+
+const SERVICE_COLUMNS = sql`id, code, name, icon_url, category_id,
+                            (SELECT st.tariff FROM service_tariffs st
+                             WHERE st.service_id = services.id AND st.effective_from <= NOW()
+                             ORDER BY st.effective_from DESC, st.id DESC
+                             LIMIT 1) AS tariff,
+                            (SELECT c.code FROM service_categories c WHERE c.id = services.category_id) AS category_code,
+                            is_active, requires_inquiry, amount_type, min_amount, max_amount,
+                            COALESCE((SELECT json_agg(json_build_object('id', sd.id, 'name', sd.name, 'amount', sd.amount)
+                                                      ORDER BY sd.sort_order, sd.id)
+                                      FROM service_denominations sd
+                                      WHERE sd.service_id = services.id AND sd.deleted_on IS NULL), '[]'::json) AS denominations,
+                            maintenance_from, maintenance_until,
+                            created_on, updated_on, deleted_on`;
+
+const BANNER_COLUMNS = sql`id, name, image_url, description, sort_order, active_from, active_until,
+                           created_on, updated_on, retired_on`;
+
+const FEE_RULE_COLUMNS = sql`id, service_id, tier, fee_type, fee_value,
+                             (SELECT s.code FROM services s WHERE s.id = fee_rules.service_id) AS service_code,
+                             created_on, updated_on, deleted_on`;
+
+/**
+ * Get services for the admin catalog view
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {boolean} includeDeleted - Also return soft-deleted services
+ * @returns {Promise<Array>} Array of service rows
+ */
+export async function getServices(db_conn, includeDeleted = false) {
+  const result = await db_conn.execute(
+    sql`SELECT ${SERVICE_COLUMNS}
+        FROM services
+        WHERE ${includeDeleted}::boolean OR deleted_on IS NULL
+        ORDER BY id ASC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a service that is not deleted by code, locking the row
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} code - Service code
+ * @returns {Promise<object>} Service row
+ * @throws {Error} If the service does not exist or is deleted
+ */
+async function getActiveServiceForUpdate(tx, code) {
+  const result = await tx.execute(
+    sql`SELECT ${SERVICE_COLUMNS}
+        FROM services
+        WHERE code = ${code} AND deleted_on IS NULL
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Service not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Resolve a category code to its id
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string|null} categoryCode - Category code, null = uncategorized
+ * @returns {Promise<number|null>} Category id, null if categoryCode is null
+ * @throws {Error} If the category does not exist
+ */
+async function getCategoryId(tx, categoryCode) {
+  if (categoryCode === null) {
+    return null;
+  }
+
+  const result = await tx.execute(
+    sql`SELECT id FROM service_categories WHERE code = ${categoryCode} LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Category not found');
+  }
+
+  return result.rows[0].id;
+}
+
+/**
+ * Check that a maintenance window has both bounds and ends after it starts
+ *
+ * @param {Date|string|null} maintenanceFrom - Window start (null = no window)
+ * @param {Date|string|null} maintenanceUntil - Window end (null = no window)
+ * @throws {Error} If only one bound is set or maintenanceUntil is not after maintenanceFrom
+ */
+function assertValidMaintenanceWindow(maintenanceFrom, maintenanceUntil) {
+  if (!maintenanceFrom && !maintenanceUntil) {
+    return;
+  }
+
+  if (!maintenanceFrom || !maintenanceUntil || new Date(maintenanceUntil) <= new Date(maintenanceFrom)) {
+    throw new Error('Invalid maintenance window');
+  }
+}
+
+/**
+ * Append a tariff to a service's price history
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number} serviceId - Service ID
+ * @param {number} tariff - New tariff
+ * @param {Date|string|null} effectiveFrom - When the tariff takes effect (null = now)
+ * @returns {Promise<object>} Created tariff row
+ * @throws {Error} If effectiveFrom is in the past
+ */
+async function addServiceTariff(tx, serviceId, tariff, effectiveFrom = null) {
+  // Backdating would change what earlier payments appear to have been charged against
+  if (effectiveFrom && new Date(effectiveFrom) < new Date()) {
+    throw new Error('Invalid tariff effective date');
+  }
+
+  const result = await tx.execute(
+    sql`INSERT INTO service_tariffs (service_id, tariff, effective_from)
+        VALUES (${serviceId}, ${tariff}, COALESCE(${effectiveFrom}::timestamptz, NOW()))
+        RETURNING id, service_id, tariff, effective_from, created_on`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create service tariff');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check that the amount settings of a service fit its amount type
+ * - FIXED: charged the tariff, no amount range or denominations
+ * - DENOMINATION: at least one denomination, no amount range
+ * - RANGE: min_amount and max_amount with min_amount <= max_amount, no denominations
+ * Billed services (requires_inquiry) are charged the bill amount and must be FIXED
+ *
+ * @param {object} settings - { amountType, minAmount, maxAmount, requiresInquiry, denominationCount }
+ * @throws {Error} If a setting does not fit the amount type
+ */
+function assertValidAmountSettings({ amountType, minAmount, maxAmount, requiresInquiry, denominationCount }) {
+  if (requiresInquiry && amountType !== 'FIXED') {
+    throw new Error('Inquiry service must be FIXED');
+  }
+
+  if (amountType === 'RANGE') {
+    if (minAmount === null || maxAmount === null || minAmount > maxAmount) {
+      throw new Error('Invalid amount range');
+    }
+  } else if (minAmount !== null || maxAmount !== null) {
+    throw new Error('Amount range not allowed');
+  }
+
+  if (amountType === 'DENOMINATION' && denominationCount === 0) {
+    throw new Error('Denominations required');
+  }
+
+  if (amountType !== 'DENOMINATION' && denominationCount > 0) {
+    throw new Error('Denominations not allowed');
+  }
+}
+
+/**
+ * Replace the denominations of a service with a new list, in display order
+ * Denominations with the same name and amount as an existing one keep their
+ * id (only the sort order changes), the others are soft-deleted (deleted_on)
+ * so user_transactions.service_denomination_id stays valid
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number} serviceId - Service ID
+ * @param {Array} denominations - [{ name, amount }] in display order, [] removes all
+ */
+async function replaceServiceDenominations(tx, serviceId, denominations) {
+  const currentResult = await tx.execute(
+    sql`SELECT id, name, amount FROM service_denominations
+        WHERE service_id = ${serviceId} AND deleted_on IS NULL`
+  );
+
+  const keptIds = [];
+
+  for (const [index, denomination] of denominations.entries()) {
+    const existing = currentResult.rows.find(row =>
+      row.name === denomination.name && row.amount === denomination.amount && !keptIds.includes(row.id));
+
+    if (existing) {
+      keptIds.push(existing.id);
+      await tx.execute(
+        sql`UPDATE service_denominations SET sort_order = ${index + 1} WHERE id = ${existing.id}`
+      );
+    } else {
+      await tx.execute(
+        sql`INSERT INTO service_denominations (service_id, name, amount, sort_order)
+            VALUES (${serviceId}, ${denomination.name}, ${denomination.amount}, ${index + 1})`
+      );
+    }
+  }
+
+  for (const row of currentResult.rows.filter(row => !keptIds.includes(row.id))) {
+    await tx.execute(
+      sql`UPDATE service_denominations SET deleted_on = NOW() WHERE id = ${row.id}`
+    );
+  }
+}
+
+/**
+ * Create a service
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} serviceData - { code, name, tariff, iconUrl, categoryCode, isActive, requiresInquiry,
+ *                                 amountType, minAmount, maxAmount, denominations, maintenanceFrom, maintenanceUntil }
+ *                                 denominations are [{ name, amount }] in display order
+ * @returns {Promise<object>} Created service row
+ * @throws {Error} If the code is used by another service that is not deleted, the category does not exist,
+ *                 the amount settings do not fit the amount type or the maintenance window is invalid
+ */
+export async function createService(tx, serviceData) {
+  const { code, name, tariff } = serviceData;
+
+  const existingResult = await tx.execute(
+    sql`SELECT id FROM services WHERE code = ${code} AND deleted_on IS NULL LIMIT 1`
+  );
+
+  if (existingResult.rows.length > 0) {
+    throw new Error('Service code already exists');
+  }
+
+  const maintenanceFrom = serviceData.maintenanceFrom ?? null;
+  const maintenanceUntil = serviceData.maintenanceUntil ?? null;
+
+  assertValidMaintenanceWindow(maintenanceFrom, maintenanceUntil);
+
+  const amountType = serviceData.amountType ?? 'FIXED';
+  const requiresInquiry = serviceData.requiresInquiry ?? false;
+  const minAmount = serviceData.minAmount ?? null;
+  const maxAmount = serviceData.maxAmount ?? null;
+  const denominations = serviceData.denominations ?? [];
+
+  assertValidAmountSettings({
+    amountType,
+    minAmount,
+    maxAmount,
+    requiresInquiry,
+    denominationCount: denominations.length
+  });
+
+  const categoryId = await getCategoryId(tx, serviceData.categoryCode ?? null);
+
+  // Placeholder icon until one is uploaded
+  const iconUrl = serviceData.iconUrl || buildS3Url('service_icons/default_icon.png');
+
+  const insertResult = await tx.execute(
+    sql`INSERT INTO services (code, name, icon_url, category_id, is_active, requires_inquiry,
+                              amount_type, min_amount, max_amount, maintenance_from, maintenance_until)
+        VALUES (${code}, ${name}, ${iconUrl}, ${categoryId}, ${serviceData.isActive ?? true}, ${requiresInquiry},
+                ${amountType}, ${minAmount}::integer, ${maxAmount}::integer,
+                ${maintenanceFrom}::timestamptz, ${maintenanceUntil}::timestamptz)
+        RETURNING id`
+  );
+
+  if (insertResult.rows.length === 0) {
+    throw new Error('Failed to create service');
+  }
+
+  const serviceId = insertResult.rows[0].id;
+  await addServiceTariff(tx, serviceId, tariff);
+  await replaceServiceDenominations(tx, serviceId, denominations);
+
+  // Select again so the tariff and denominations inserted above are part of the row
+  const result = await tx.execute(
+    sql`SELECT ${SERVICE_COLUMNS} FROM services WHERE id = ${serviceId}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update a service, fields left undefined keep their value
+ * categoryCode, maintenanceFrom and maintenanceUntil can be set to null to clear them
+ * A new tariff is appended to the price history, effective now or at
+ * tariffEffectiveFrom; past payments keep the tariff they were charged against
+ * denominations replaces the whole list; switching away from RANGE or
+ * DENOMINATION clears the amount range or denominations
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} code - Service code
+ * @param {object} changes - { name, tariff, tariffEffectiveFrom, iconUrl, categoryCode, isActive, requiresInquiry,
+ *                             amountType, minAmount, maxAmount, denominations, maintenanceFrom, maintenanceUntil }
+ * @returns {Promise<object>} Updated service row
+ * @throws {Error} If the service does not exist or is deleted, the category does not exist,
+ *                 the amount settings do not fit the amount type, the maintenance window is invalid
+ *                 or the tariff effective date is in the past
+ */
+export async function updateService(tx, code, changes) {
+  const service = await getActiveServiceForUpdate(tx, code);
+
+  const maintenanceFrom = changes.maintenanceFrom !== undefined
+    ? changes.maintenanceFrom
+    : service.maintenance_from;
+  const maintenanceUntil = changes.maintenanceUntil !== undefined
+    ? changes.maintenanceUntil
+    : service.maintenance_until;
+
+  assertValidMaintenanceWindow(maintenanceFrom, maintenanceUntil);
+
+  const amountType = changes.amountType ?? service.amount_type;
+  const requiresInquiry = changes.requiresInquiry ?? service.requires_inquiry;
+  const keepsRange = amountType === 'RANGE';
+  const minAmount = changes.minAmount !== undefined ? changes.minAmount : (keepsRange ? service.min_amount : null);
+  const maxAmount = changes.maxAmount !== undefined ? changes.maxAmount : (keepsRange ? service.max_amount : null);
+  // Without a new list a DENOMINATION service keeps its denominations, any other type drops them
+  const denominations = changes.denominations ?? (amountType === 'DENOMINATION' ? undefined : []);
+
+  assertValidAmountSettings({
+    amountType,
+    minAmount,
+    maxAmount,
+    requiresInquiry,
+    denominationCount: denominations !== undefined ? denominations.length : service.denominations.length
+  });
+
+  const categoryId = changes.categoryCode !== undefined
+    ? await getCategoryId(tx, changes.categoryCode)
+    : service.category_id;
+
+  if (denominations !== undefined) {
+    await replaceServiceDenominations(tx, service.id, denominations);
+  }
+
+  if (changes.tariff !== undefined) {
+    await addServiceTariff(tx, service.id, changes.tariff, changes.tariffEffectiveFrom ?? null);
+  }
+
+  const result = await tx.execute(
+    sql`UPDATE services
+        SET name = ${changes.name ?? service.name},
+            icon_url = ${changes.iconUrl ?? service.icon_url},
+            category_id = ${categoryId},
+            is_active = ${changes.isActive ?? service.is_active},
+            requires_inquiry = ${requiresInquiry},
+            amount_type = ${amountType},
+            min_amount = ${minAmount}::integer,
+            max_amount = ${maxAmount}::integer,
+            maintenance_from = ${maintenanceFrom}::timestamptz,
+            maintenance_until = ${maintenanceUntil}::timestamptz,
+            updated_on = NOW()
+        WHERE id = ${service.id}
+        RETURNING ${SERVICE_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get the price history of a service, latest effective date first
+ * Includes tariffs scheduled for the future
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {string} code - Service code
+ * @returns {Promise<Array>} Tariff rows with is_current set on the tariff effective now
+ * @throws {Error} If the service does not exist or is deleted
+ */
+export async function getServiceTariffs(db_conn, code) {
+  const serviceResult = await db_conn.execute(
+    sql`SELECT id FROM services WHERE code = ${code} AND deleted_on IS NULL LIMIT 1`
+  );
+
+  if (serviceResult.rows.length === 0) {
+    throw new Error('Service not found');
+  }
+
+  const result = await db_conn.execute(
+    sql`SELECT st.id, st.tariff, st.effective_from, st.created_on,
+               COALESCE(st.id = (
+                 SELECT cur.id FROM service_tariffs cur
+                 WHERE cur.service_id = st.service_id AND cur.effective_from <= NOW()
+                 ORDER BY cur.effective_from DESC, cur.id DESC
+                 LIMIT 1
+               ), false) AS is_current
+        FROM service_tariffs st
+        WHERE st.service_id = ${serviceResult.rows[0].id}
+        ORDER BY st.effective_from DESC, st.id DESC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Upload a new service icon to S3 and store its URL
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {string} code - Service code
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {string} mimetype - File mimetype (image/jpeg or image/png)
+ * @returns {Promise<object>} Updated service row
+ * @throws {Error} If the service does not exist or the upload fails
+ */
+export async function updateServiceIcon(tx, s3Client, code, fileBuffer, mimetype) {
+  const service = await getActiveServiceForUpdate(tx, code);
+  const iconUrl = await uploadImageToS3(s3Client, 'service_icons', service.id, fileBuffer, mimetype);
+
+  return await updateService(tx, code, { iconUrl });
+}
+
+/**
+ * Soft-delete a service
+ * It disappears from GET /services and can no longer be paid for
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} code - Service code
+ * @returns {Promise<object>} Deleted service row
+ * @throws {Error} If the service does not exist or is already deleted
+ */
+export async function deleteService(tx, code) {
+  const service = await getActiveServiceForUpdate(tx, code);
+
+  const result = await tx.execute(
+    sql`UPDATE services
+        SET deleted_on = NOW(),
+            updated_on = NOW()
+        WHERE id = ${service.id}
+        RETURNING ${SERVICE_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get banners for the admin view, including scheduled and expired ones
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {boolean} includeRetired - Also return retired banners
+ * @returns {Promise<Array>} Array of banner rows in display order
+ */
+export async function getBanners(db_conn, includeRetired = false) {
+  const result = await db_conn.execute(
+    sql`SELECT ${BANNER_COLUMNS}
+        FROM banners
+        WHERE ${includeRetired}::boolean OR retired_on IS NULL
+        ORDER BY sort_order ASC, id ASC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a banner that is not retired by id, locking the row
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} bannerId - Banner ID
+ * @returns {Promise<object>} Banner row
+ * @throws {Error} If the banner does not exist or is retired
+ */
+async function getActiveBannerForUpdate(tx, bannerId) {
+  const result = await tx.execute(
+    sql`SELECT ${BANNER_COLUMNS}
+        FROM banners
+        WHERE id = ${parseInt(bannerId)} AND retired_on IS NULL
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Banner not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check that a live window ends after it starts
+ *
+ * @param {Date|string|null} activeFrom - Window start (null = no limit)
+ * @param {Date|string|null} activeUntil - Window end (null = no limit)
+ * @throws {Error} If both bounds are set and activeUntil is not after activeFrom
+ */
+function assertValidSchedule(activeFrom, activeUntil) {
+  if (activeFrom && activeUntil && new Date(activeUntil) <= new Date(activeFrom)) {
+    throw new Error('Invalid banner schedule');
+  }
+}
+
+/**
+ * Create a banner
+ * Without a sort order the banner is placed after every banner that is not retired
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} bannerData - { name, imageUrl, description, sortOrder, activeFrom, activeUntil }
+ *                              imageUrl is optional, a placeholder is used until an image is uploaded
+ * @returns {Promise<object>} Created banner row
+ * @throws {Error} If the live window is invalid
+ */
+export async function createBanner(tx, bannerData) {
+  const { name, description } = bannerData;
+  const activeFrom = bannerData.activeFrom ?? null;
+  const activeUntil = bannerData.activeUntil ?? null;
+
+  assertValidSchedule(activeFrom, activeUntil);
+
+  // Placeholder image until one is uploaded
+  const imageUrl = bannerData.imageUrl || buildS3Url('banner_images/default_banner.png');
+
+  const result = await tx.execute(
+    sql`INSERT INTO banners (name, image_url, description, sort_order, active_from, active_until)
+        VALUES (${name}, ${imageUrl}, ${description},
+                COALESCE(${bannerData.sortOrder ?? null}::integer,
+                         (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM banners WHERE retired_on IS NULL)),
+                ${activeFrom}::timestamptz, ${activeUntil}::timestamptz)
+        RETURNING ${BANNER_COLUMNS}`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create banner');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Update a banner, fields left undefined keep their value
+ * activeFrom / activeUntil can be set to null to remove that bound
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} bannerId - Banner ID
+ * @param {object} changes - { name, imageUrl, description, sortOrder, activeFrom, activeUntil }
+ * @returns {Promise<object>} Updated banner row
+ * @throws {Error} If the banner does not exist, is retired or the live window is invalid
+ */
+export async function updateBanner(tx, bannerId, changes) {
+  const banner = await getActiveBannerForUpdate(tx, bannerId);
+
+  const activeFrom = changes.activeFrom !== undefined ? changes.activeFrom : banner.active_from;
+  const activeUntil = changes.activeUntil !== undefined ? changes.activeUntil : banner.active_until;
+
+  assertValidSchedule(activeFrom, activeUntil);
+
+  const result = await tx.execute(
+    sql`UPDATE banners
+        SET name = ${changes.name ?? banner.name},
+            image_url = ${changes.imageUrl ?? banner.image_url},
+            description = ${changes.description ?? banner.description},
+            sort_order = ${changes.sortOrder ?? banner.sort_order},
+            active_from = ${activeFrom}::timestamptz,
+            active_until = ${activeUntil}::timestamptz,
+            updated_on = NOW()
+        WHERE id = ${banner.id}
+        RETURNING ${BANNER_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Upload a new banner image to S3 and store its URL
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {number|string} bannerId - Banner ID
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {string} mimetype - File mimetype (image/jpeg or image/png)
+ * @returns {Promise<object>} Updated banner row
+ * @throws {Error} If the banner does not exist, is retired or the upload fails
+ */
+export async function updateBannerImage(tx, s3Client, bannerId, fileBuffer, mimetype) {
+  const banner = await getActiveBannerForUpdate(tx, bannerId);
+  const imageUrl = await uploadImageToS3(s3Client, 'banner_images', banner.id, fileBuffer, mimetype);
+
+  return await updateBanner(tx, banner.id, { imageUrl });
+}
+
+/**
+ * Reorder banners
+ * The given banners are placed first in the given order, the remaining banners
+ * that are not retired follow in their current order
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {Array<number>} bannerIds - Banner IDs in their new display order
+ * @returns {Promise<Array>} Banner rows that are not retired, in their new order
+ * @throws {Error} If an id is unknown or belongs to a retired banner
+ */
+export async function reorderBanners(tx, bannerIds) {
+  const ids = bannerIds.map(id => parseInt(id));
+
+  // Lock every banner so concurrent reorders cannot interleave
+  const result = await tx.execute(
+    sql`SELECT id
+        FROM banners
+        WHERE retired_on IS NULL
+        ORDER BY sort_order ASC, id ASC
+        FOR UPDATE`
+  );
+
+  const currentIds = result.rows.map(row => row.id);
+
+  if (ids.some(id => !currentIds.includes(id))) {
+    throw new Error('Banner not found');
+  }
+
+  const orderedIds = [...ids, ...currentIds.filter(id => !ids.includes(id))];
+
+  for (const [index, id] of orderedIds.entries()) {
+    await tx.execute(
+      sql`UPDATE banners
+          SET sort_order = ${index + 1},
+              updated_on = NOW()
+          WHERE id = ${id} AND sort_order <> ${index + 1}`
+    );
+  }
+
+  return await getBanners(tx);
+}
+
+/**
+ * Retire a banner
+ * It disappears from GET /banner regardless of its live window
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} bannerId - Banner ID
+ * @returns {Promise<object>} Retired banner row
+ * @throws {Error} If the banner does not exist or is already retired
+ */
+export async function retireBanner(tx, bannerId) {
+  const banner = await getActiveBannerForUpdate(tx, bannerId);
+
+  const result = await tx.execute(
+    sql`UPDATE banners
+        SET retired_on = NOW(),
+            updated_on = NOW()
+        WHERE id = ${banner.id}
+        RETURNING ${BANNER_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get fee rules for the admin view
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {boolean} includeDeleted - Also return deleted rules
+ * @returns {Promise<Array>} Array of fee rule rows, most general scope first
+ */
+export async function getFeeRules(db_conn, includeDeleted = false) {
+  const result = await db_conn.execute(
+    sql`SELECT ${FEE_RULE_COLUMNS}
+        FROM fee_rules
+        WHERE ${includeDeleted}::boolean OR deleted_on IS NULL
+        ORDER BY service_id NULLS FIRST, tier NULLS FIRST, id ASC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a fee rule that is not deleted by id, locking the row
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} feeRuleId - Fee rule ID
+ * @returns {Promise<object>} Fee rule row
+ * @throws {Error} If the rule does not exist or is deleted
+ */
+async function getActiveFeeRuleForUpdate(tx, feeRuleId) {
+  const result = await tx.execute(
+    sql`SELECT id, fee_type, fee_value
+        FROM fee_rules
+        WHERE id = ${feeRuleId} AND deleted_on IS NULL
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Fee rule not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check that a percentage fee is at most 100% (10000 basis points)
+ *
+ * @param {string} feeType - FLAT or PERCENTAGE
+ * @param {number} feeValue - Rupiah for FLAT, basis points for PERCENTAGE
+ * @throws {Error} If a percentage fee is above 100%
+ */
+function assertValidFee(feeType, feeValue) {
+  if (feeType === 'PERCENTAGE' && feeValue > 10000) {
+    throw new Error('Invalid fee value');
+  }
+}
+
+/**
+ * Create a fee rule
+ * A null service code or tier means the rule applies to any service / tier
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} feeRuleData - { serviceCode, tier, feeType, feeValue }
+ * @returns {Promise<object>} Created fee rule row
+ * @throws {Error} If the service does not exist, a live rule already has the same scope
+ *                 or the fee value is invalid
+ */
+export async function createFeeRule(tx, feeRuleData) {
+  const { feeType, feeValue } = feeRuleData;
+  const serviceCode = feeRuleData.serviceCode ?? null;
+  const tier = feeRuleData.tier ?? null;
+
+  assertValidFee(feeType, feeValue);
+
+  let serviceId = null;
+  if (serviceCode !== null) {
+    const serviceResult = await tx.execute(
+      sql`SELECT id FROM services WHERE code = ${serviceCode} AND deleted_on IS NULL LIMIT 1`
+    );
+
+    if (serviceResult.rows.length === 0) {
+      throw new Error('Service not found');
+    }
+
+    serviceId = serviceResult.rows[0].id;
+  }
+
+  const existingResult = await tx.execute(
+    sql`SELECT id FROM fee_rules
+        WHERE service_id IS NOT DISTINCT FROM ${serviceId}::integer
+          AND tier IS NOT DISTINCT FROM ${tier}::text
+          AND deleted_on IS NULL
+        LIMIT 1`
+  );
+
+  if (existingResult.rows.length > 0) {
+    throw new Error('Fee rule already exists');
+  }
+
+  const result = await tx.execute(
+    sql`INSERT INTO fee_rules (service_id, tier, fee_type, fee_value)
+        VALUES (${serviceId}, ${tier}, ${feeType}, ${feeValue})
+        RETURNING ${FEE_RULE_COLUMNS}`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create fee rule');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Update the fee of a rule, fields left undefined keep their value
+ * The scope (service, tier) cannot be changed; delete the rule and create a new one
+ * Past payments keep the fee_amount they were charged
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} feeRuleId - Fee rule ID
+ * @param {object} changes - { feeType, feeValue }
+ * @returns {Promise<object>} Updated fee rule row
+ * @throws {Error} If the rule does not exist or is deleted, or the fee value is invalid
+ */
+export async function updateFeeRule(tx, feeRuleId, changes) {
+  const feeRule = await getActiveFeeRuleForUpdate(tx, feeRuleId);
+
+  const feeType = changes.feeType ?? feeRule.fee_type;
+  const feeValue = changes.feeValue ?? feeRule.fee_value;
+
+  assertValidFee(feeType, feeValue);
+
+  const result = await tx.execute(
+    sql`UPDATE fee_rules
+        SET fee_type = ${feeType},
+            fee_value = ${feeValue},
+            updated_on = NOW()
+        WHERE id = ${feeRule.id}
+        RETURNING ${FEE_RULE_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Soft-delete a fee rule
+ * Payments fall back to the next most specific rule
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} feeRuleId - Fee rule ID
+ * @returns {Promise<object>} Deleted fee rule row
+ * @throws {Error} If the rule does not exist or is already deleted
+ */
+export async function deleteFeeRule(tx, feeRuleId) {
+  const feeRule = await getActiveFeeRuleForUpdate(tx, feeRuleId);
+
+  const result = await tx.execute(
+    sql`UPDATE fee_rules
+        SET deleted_on = NOW(),
+            updated_on = NOW()
+        WHERE id = ${feeRule.id}
+        RETURNING ${FEE_RULE_COLUMNS}`
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Fee revenue per service for payments made in [from, until), net of refunds made in the same period
+ * Refunds carry the service of the payment they refund, so they are subtracted from that service
+ * A missing bound means no limit
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {string|null} from - Start of the period (ISO 8601, inclusive)
+ * @param {string|null} until - End of the period (ISO 8601, exclusive)
+ * @returns {Promise<Array>} Rows { code, name, transaction_count, refund_count, refunded_amount,
+ *                           base_amount, fee_amount, total_amount }, highest net fee revenue first
+ *                           (sums are bigint, returned as strings by pg)
+ */
+export async function getFeeReport(db_conn, from = null, until = null) {
+  const result = await db_conn.execute(
+    sql`SELECT s.code, s.name,
+               COUNT(*) FILTER (WHERE tte.transaction_type = 'PAYMENT')::integer AS transaction_count,
+               COUNT(*) FILTER (WHERE tte.transaction_type = 'REFUND')::integer AS refund_count,
+               COALESCE(SUM(ut.total_amount) FILTER (WHERE tte.transaction_type = 'REFUND'), 0) AS refunded_amount,
+               SUM(CASE WHEN tte.transaction_type = 'REFUND' THEN -1 ELSE 1 END * (ut.total_amount - ut.fee_amount)) AS base_amount,
+               SUM(CASE WHEN tte.transaction_type = 'REFUND' THEN -1 ELSE 1 END * ut.fee_amount) AS fee_amount,
+               SUM(CASE WHEN tte.transaction_type = 'REFUND' THEN -1 ELSE 1 END * ut.total_amount) AS total_amount
+        FROM user_transactions ut
+        INNER JOIN transaction_type_enum tte ON ut.transaction_type_id = tte.id
+        INNER JOIN services s ON s.id = ut.service_id
+        WHERE tte.transaction_type IN ('PAYMENT', 'REFUND')
+          AND (${from}::timestamptz IS NULL OR ut.created_on >= ${from}::timestamptz)
+          AND (${until}::timestamptz IS NULL OR ut.created_on < ${until}::timestamptz)
+        GROUP BY s.id, s.code, s.name
+        ORDER BY fee_amount DESC, s.code ASC`
+  );
+
+  return result.rows;
+}
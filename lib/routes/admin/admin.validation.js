@@ -0,0 +1,549 @@
+/**
+ * Admin Validation Rules
+ * Uses express-validator for request payload validation
+ */
+
+import { body, param, query } from 'express-validator';
+import { USER_TIER } from '#lib/routes/membership/membership.service.js';
+
+const FEE_TYPES = ['FLAT', 'PERCENTAGE'];
+
+const AMOUNT_TYPES = ['FIXED', 'DENOMINATION', 'RANGE'];
+
+/**
+ * Rules for how the amount of a payment is chosen, shared by create and update
+ * Whether the fields fit together is checked by the service
+ */
+const serviceAmountRules = [
+  body('requires_inquiry')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('requires_inquiry must be true or false'),
+
+  body('service_amount_type')
+    .optional()
+    .isIn(AMOUNT_TYPES)
+    .withMessage(`service_amount_type must be one of ${AMOUNT_TYPES.join(', ')}`),
+
+  body('service_min_amount')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('service_min_amount must be a positive integer')
+    .toInt(),
+
+  body('service_max_amount')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('service_max_amount must be a positive integer')
+    .toInt(),
+
+  body('service_denominations')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('service_denominations must be an array of at most 50 denominations'),
+
+  body('service_denominations.*.denomination_name')
+    .isString()
+    .withMessage('denomination_name is required')
+    .trim()
+    .notEmpty()
+    .withMessage('denomination_name is required')
+    .isLength({ max: 100 })
+    .withMessage('denomination_name must be at most 100 characters'),
+
+  body('service_denominations.*.amount')
+    .isInt({ min: 1 })
+    .withMessage('Denomination amount must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for listing services
+ *
+ * Query structure:
+ * {
+ *   include_deleted: boolean (optional, default false)
+ * }
+ */
+export const validateServiceList = [
+  query('include_deleted')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_deleted must be true or false'),
+];
+
+/**
+ * Validation rules for the service code path parameter
+ */
+export const validateServiceCode = [
+  param('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Service code is required'),
+];
+
+/**
+ * Validation rules for creating a service
+ *
+ * Payload structure:
+ * {
+ *   service_code: string (A-Z, 0-9 and _, max 50 chars),
+ *   service_name: string (max 100 chars),
+ *   service_tariff: integer (> 0),
+ *   service_icon: string (optional, URL),
+ *   service_category: string (optional, category code),
+ *   service_active: boolean (optional, default true),
+ *   requires_inquiry: boolean (optional, default false, paid through a bill inquiry, FIXED only),
+ *   service_amount_type: string (optional, FIXED, DENOMINATION or RANGE, default FIXED),
+ *   service_min_amount: integer (RANGE only, > 0),
+ *   service_max_amount: integer (RANGE only, >= service_min_amount),
+ *   service_denominations: [{ denomination_name: string, amount: integer }] (DENOMINATION only, at least one),
+ *   maintenance_from: string (optional, ISO 8601 date-time, requires maintenance_until),
+ *   maintenance_until: string (optional, ISO 8601 date-time, after maintenance_from)
+ * }
+ */
+export const validateServiceCreate = [
+  body('service_code')
+    .trim()
+    .notEmpty()
+    .withMessage('Service code is required')
+    .isLength({ max: 50 })
+    .withMessage('Service code must be at most 50 characters')
+    .matches(/^[A-Z0-9_]+$/)
+    .withMessage('Service code may only contain uppercase letters, digits and underscores'),
+
+  body('service_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Service name is required')
+    .isLength({ max: 100 })
+    .withMessage('Service name must be at most 100 characters'),
+
+  body('service_tariff')
+    .notEmpty()
+    .withMessage('Service tariff is required')
+    .isInt({ min: 1 })
+    .withMessage('Service tariff must be a positive integer')
+    .toInt(),
+
+  body('service_icon')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Service icon must be a valid URL'),
+
+  body('service_category')
+    .optional({ values: 'null' })
+    .trim()
+    .notEmpty()
+    .withMessage('Service category cannot be empty')
+    .toUpperCase(),
+
+  body('service_active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('service_active must be true or false'),
+
+  ...serviceAmountRules,
+
+  body('maintenance_from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('maintenance_from must be an ISO 8601 date-time'),
+
+  body('maintenance_until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('maintenance_until must be an ISO 8601 date-time'),
+];
+
+/**
+ * Validation rules for updating a service (every field optional)
+ *
+ * Payload structure:
+ * {
+ *   service_name: string (optional, max 100 chars),
+ *   service_tariff: integer (optional, > 0, appended to the price history),
+ *   tariff_effective_from: string (optional, ISO 8601 date-time, not in the past, requires service_tariff),
+ *   service_icon: string (optional, URL),
+ *   service_category: string|null (optional, category code, null = uncategorized),
+ *   service_active: boolean (optional),
+ *   requires_inquiry: boolean (optional),
+ *   service_amount_type: string (optional, FIXED, DENOMINATION or RANGE),
+ *   service_min_amount: integer|null (optional, RANGE only),
+ *   service_max_amount: integer|null (optional, RANGE only),
+ *   service_denominations: array (optional, DENOMINATION only, replaces the whole list),
+ *   maintenance_from: string|null (optional, ISO 8601 date-time, null clears the window),
+ *   maintenance_until: string|null (optional, ISO 8601 date-time, null clears the window)
+ * }
+ */
+export const validateServiceUpdate = [
+  ...validateServiceCode,
+
+  body('service_name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Service name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Service name must be at most 100 characters'),
+
+  body('service_tariff')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Service tariff must be a positive integer')
+    .toInt(),
+
+  body('tariff_effective_from')
+    .optional()
+    .isISO8601()
+    .withMessage('tariff_effective_from must be an ISO 8601 date-time')
+    .custom((value, { req }) => req.body.service_tariff !== undefined)
+    .withMessage('tariff_effective_from requires service_tariff'),
+
+  body('service_icon')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Service icon must be a valid URL'),
+
+  body('service_category')
+    .optional({ values: 'null' })
+    .trim()
+    .notEmpty()
+    .withMessage('Service category cannot be empty')
+    .toUpperCase(),
+
+  body('service_active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('service_active must be true or false'),
+
+  ...serviceAmountRules,
+
+  body('maintenance_from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('maintenance_from must be an ISO 8601 date-time'),
+
+  body('maintenance_until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('maintenance_until must be an ISO 8601 date-time'),
+
+  body('service_code')
+    .not()
+    .exists()
+    .withMessage('Service code cannot be changed'),
+];
+
+/**
+ * Validation rules for listing banners
+ *
+ * Query structure:
+ * {
+ *   include_retired: boolean (optional, default false)
+ * }
+ */
+export const validateBannerList = [
+  query('include_retired')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_retired must be true or false'),
+];
+
+/**
+ * Validation rules for the banner id path parameter
+ */
+export const validateBannerId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Banner id must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for creating a banner
+ *
+ * Payload structure:
+ * {
+ *   banner_name: string (max 100 chars),
+ *   banner_image: string (optional, URL, upload one later with PUT /admin/banners/:id/image),
+ *   description: string (max 255 chars),
+ *   sort_order: integer (optional, >= 0, default: after the last banner),
+ *   active_from: string (optional, ISO 8601 date-time),
+ *   active_until: string (optional, ISO 8601 date-time, after active_from)
+ * }
+ */
+export const validateBannerCreate = [
+  body('banner_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Banner name is required')
+    .isLength({ max: 100 })
+    .withMessage('Banner name must be at most 100 characters'),
+
+  body('banner_image')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Banner image must be a valid URL'),
+
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Description is required')
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+
+  body('sort_order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer')
+    .toInt(),
+
+  body('active_from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('active_from must be an ISO 8601 date-time'),
+
+  body('active_until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('active_until must be an ISO 8601 date-time'),
+];
+
+/**
+ * Validation rules for updating a banner (every field optional)
+ * active_from / active_until accept null to remove that bound
+ *
+ * Payload structure:
+ * {
+ *   banner_name: string (optional, max 100 chars),
+ *   banner_image: string (optional, URL),
+ *   description: string (optional, max 255 chars),
+ *   sort_order: integer (optional, >= 0),
+ *   active_from: string|null (optional, ISO 8601 date-time),
+ *   active_until: string|null (optional, ISO 8601 date-time)
+ * }
+ */
+export const validateBannerUpdate = [
+  ...validateBannerId,
+
+  body('banner_name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Banner name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Banner name must be at most 100 characters'),
+
+  body('banner_image')
+    .optional()
+    .trim()
+    .isURL()
+    .withMessage('Banner image must be a valid URL'),
+
+  body('description')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Description cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+
+  body('sort_order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a non-negative integer')
+    .toInt(),
+
+  body('active_from')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('active_from must be an ISO 8601 date-time'),
+
+  body('active_until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('active_until must be an ISO 8601 date-time'),
+];
+
+/**
+ * Validation rules for reordering banners
+ *
+ * Payload structure:
+ * {
+ *   banner_ids: integer[] (banner ids in their new display order, no duplicates)
+ * }
+ */
+export const validateBannerReorder = [
+  body('banner_ids')
+    .isArray({ min: 1 })
+    .withMessage('banner_ids must be a non-empty array')
+    .custom((value) => new Set(value).size === value.length)
+    .withMessage('banner_ids must not contain duplicates'),
+
+  body('banner_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Every banner id must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for listing fee rules
+ *
+ * Query structure:
+ * {
+ *   include_deleted: boolean (optional, default false)
+ * }
+ */
+export const validateFeeRuleList = [
+  query('include_deleted')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_deleted must be true or false'),
+];
+
+/**
+ * Validation rules for the fee rule id path parameter
+ */
+export const validateFeeRuleId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Fee rule id must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for creating a fee rule
+ *
+ * Payload structure:
+ * {
+ *   service_code: string|null (optional, null = any service),
+ *   user_tier: string|null (optional, REGULAR or PREMIUM, null = any tier),
+ *   fee_type: string (FLAT or PERCENTAGE),
+ *   fee_value: integer (>= 0, rupiah for FLAT, basis points for PERCENTAGE: 150 = 1.5%, max 10000)
+ * }
+ */
+export const validateFeeRuleCreate = [
+  body('service_code')
+    .optional({ values: 'null' })
+    .trim()
+    .notEmpty()
+    .withMessage('Service code cannot be empty'),
+
+  body('user_tier')
+    .optional({ values: 'null' })
+    .isIn(Object.values(USER_TIER))
+    .withMessage(`user_tier must be one of ${Object.values(USER_TIER).join(', ')}`),
+
+  body('fee_type')
+    .isIn(FEE_TYPES)
+    .withMessage(`fee_type must be one of ${FEE_TYPES.join(', ')}`),
+
+  body('fee_value')
+    .notEmpty()
+    .withMessage('Fee value is required')
+    .isInt({ min: 0 })
+    .withMessage('Fee value must be a non-negative integer')
+    .toInt(),
+];
+
+/**
+ * Validation rules for updating a fee rule (every field optional)
+ * The scope (service_code, user_tier) cannot be changed
+ *
+ * Payload structure:
+ * {
+ *   fee_type: string (optional, FLAT or PERCENTAGE),
+ *   fee_value: integer (optional, >= 0)
+ * }
+ */
+export const validateFeeRuleUpdate = [
+  ...validateFeeRuleId,
+
+  body('fee_type')
+    .optional()
+    .isIn(FEE_TYPES)
+    .withMessage(`fee_type must be one of ${FEE_TYPES.join(', ')}`),
+
+  body('fee_value')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Fee value must be a non-negative integer')
+    .toInt(),
+
+  body(['service_code', 'user_tier'])
+    .not()
+    .exists()
+    .withMessage('The scope of a fee rule cannot be changed'),
+];
+
+/**
+ * Validation rules for the fee revenue report
+ *
+ * Query structure:
+ * {
+ *   from: string (optional, ISO 8601 date-time, inclusive),
+ *   until: string (optional, ISO 8601 date-time, exclusive, after from)
+ * }
+ */
+export const validateFeeReport = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date-time'),
+
+  query('until')
+    .optional()
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date-time')
+    .custom((value, { req }) => !req.query.from || new Date(value) > new Date(req.query.from))
+    .withMessage('until must be after from'),
+];
+
+/**
+ * Validation rules for the balance drift report
+ *
+ * Query structure:
+ * {
+ *   format: 'json'|'csv' (optional, default json)
+ * }
+ */
+export const validateBalanceDriftReport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv'),
+];
+
+/**
+ * Validation rules for refunding a payment
+ *
+ * Payload structure:
+ * {
+ *   amount: integer (optional, > 0, default: everything not refunded yet),
+ *   reason: string (optional, max 255 characters)
+ * }
+ */
+export const validateRefund = [
+  param('invoice_number')
+    .trim()
+    .notEmpty()
+    .withMessage('Invoice number is required'),
+
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a positive integer')
+    .toInt(),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Reason must be between 1 and 255 characters'),
+];
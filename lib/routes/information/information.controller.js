@@ -1,11 +1,11 @@
 /**
  * Information Controller Layer
- * Handles banner and services HTTP requests
+ * Handles banner, services and service category HTTP requests
  * Manages database connections and error handling using catchError pattern
  */
 
 import { catchError, catchErrorSync } from '#lib/util/result.js';
-import { success, error } from '#lib/api/response.js';
+import { success, error, notFound } from '#lib/api/response.js';
 import * as informationService from './information.service.js';
 import * as informationDTO from './information.dto.js';
 import logger from '#lib/util/logger.js';
@@ -17,7 +17,7 @@ import logger from '#lib/util/logger.js';
  * Public access - no authentication required
  */
 export async function getBanners(req, res) {
-  const { db_conn } = req.app.locals.state;
+  const { db_conn, s3Client } = req.app.locals.state;
 
   // Use connection pool for read operation (no transaction needed)
   const [err, banners] = await catchError(informationService.getAllBanners(db_conn));
@@ -30,9 +30,22 @@ export async function getBanners(req, res) {
     return error(res, 'Internal server error', 500);
   }
 
+  // Sign images uploaded to S3 (cached)
+  const [signErr, signedImageUrls] = await catchError(
+    informationService.signBannerImages(s3Client, banners)
+  );
+
+  if (signErr) {
+    logger.error('Failed to generate signed banner URLs', {
+      error: signErr.message,
+      stack: signErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
   // Transform to DTO with error handling
   const [dtoErr, bannersResponse] = catchErrorSync(() =>
-    banners.map(banner => informationDTO.toBannerDTO(banner))
+    banners.map((banner, index) => informationDTO.toBannerDTO(banner, signedImageUrls[index]))
   );
 
   if (dtoErr) {
@@ -47,18 +60,31 @@ export async function getBanners(req, res) {
 }
 
 /**
- * Get all services
- * GET /services
+ * Get all services, optionally searched and filtered
+ * GET /services?category=UTILITIES&q=listrik&min_tariff=0&max_tariff=50000&available=true
  *
  * Requires authentication (req.middleware.auth populated by middleware)
  */
 export async function getServices(req, res) {
   const { db_conn } = req.app.locals.state;
+  const { category, q, min_tariff, max_tariff, available } = req.query;
 
   // Use connection pool for read operation (no transaction needed)
-  const [err, services] = await catchError(informationService.getAllServices(db_conn));
+  const [err, services] = await catchError(
+    informationService.getAllServices(db_conn, {
+      category: category ? category.trim().toUpperCase() : null,
+      search: q ? q.trim() : null,
+      minTariff: min_tariff !== undefined ? parseInt(min_tariff) : null,
+      maxTariff: max_tariff !== undefined ? parseInt(max_tariff) : null,
+      available: available !== undefined ? available === 'true' : null
+    })
+  );
 
   if (err) {
+    if (err.message === 'Category not found') {
+      return notFound(res, 'Kategori tidak ditemukan');
+    }
+
     logger.error('Failed to fetch services', {
       error: err.message,
       stack: err.stack
@@ -81,3 +107,39 @@ export async function getServices(req, res) {
 
   return success(res, 'Sukses', servicesResponse);
 }
+
+/**
+ * Get service categories with their services
+ * GET /service-categories
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function getServiceCategories(req, res) {
+  const { db_conn } = req.app.locals.state;
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, categories] = await catchError(informationService.getCategoriesWithServices(db_conn));
+
+  if (err) {
+    logger.error('Failed to fetch service categories', {
+      error: err.message,
+      stack: err.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, categoriesResponse] = catchErrorSync(() =>
+    categories.map(category => informationDTO.toServiceCategoryDTO(category))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform service categories to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', categoriesResponse);
+}
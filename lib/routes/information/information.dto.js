@@ -7,12 +7,13 @@
  * Transform raw banner data from database to BannerDTO format
  *
  * @param {object} banner - Raw banner data from database
+ * @param {string} signedImageUrl - Optional signed URL for the banner image
  * @returns {object} BannerDTO
  */
-export function toBannerDTO(banner) {
+export function toBannerDTO(banner, signedImageUrl = null) {
   return {
     banner_name: banner.name,
-    banner_image: banner.image_url,
+    banner_image: signedImageUrl || banner.image_url,
     description: banner.description
   };
 }
@@ -28,7 +29,41 @@ export function toServiceDTO(service) {
     service_code: service.code,
     service_name: service.name,
     service_icon: service.icon_url,
-    service_tariff: service.tariff
+    service_tariff: service.tariff,
+    service_category: service.category_code ?? null,
+    service_available: service.is_available,
+    service_amount_type: service.amount_type,
+    service_min_amount: service.min_amount ?? null,
+    service_max_amount: service.max_amount ?? null,
+    service_denominations: (service.denominations ?? []).map(denomination => toDenominationDTO(denomination))
+  };
+}
+
+/**
+ * Transform a service denomination to DenominationDTO format
+ *
+ * @param {object} denomination - Denomination { id, name, amount }
+ * @returns {object} DenominationDTO
+ */
+export function toDenominationDTO(denomination) {
+  return {
+    denomination_id: denomination.id,
+    denomination_name: denomination.name,
+    amount: denomination.amount
+  };
+}
+
+/**
+ * Transform a category with its services to ServiceCategoryDTO format
+ *
+ * @param {object} category - Category row with a services array
+ * @returns {object} ServiceCategoryDTO
+ */
+export function toServiceCategoryDTO(category) {
+  return {
+    category_code: category.code,
+    category_name: category.name,
+    services: category.services.map(service => toServiceDTO(service))
   };
 }
 
@@ -47,6 +82,26 @@ export function toServiceDTO(service) {
  *   service_code: string,
  *   service_name: string,
  *   service_icon: string,
- *   service_tariff: number
+ *   service_tariff: number,
+ *   service_category: string|null,
+ *   service_available: boolean,
+ *   service_amount_type: 'FIXED'|'DENOMINATION'|'RANGE',
+ *   service_min_amount: number|null,
+ *   service_max_amount: number|null,
+ *   service_denominations: DenominationDTO[]
+ * }
+ *
+ * DenominationDTO:
+ * {
+ *   denomination_id: number,
+ *   denomination_name: string,
+ *   amount: number
+ * }
+ *
+ * ServiceCategoryDTO:
+ * {
+ *   category_code: string,
+ *   category_name: string,
+ *   services: ServiceDTO[]
  * }
  */
@@ -1,18 +1,30 @@
 /**
  * Information Routes
- * Banner and services information endpoints
+ * Banner, services and service category information endpoints
  */
 
 import express from 'express';
 import * as informationController from './information.controller.js';
 import { authenticate } from '#lib/middleware/auth.js';
+import { handleValidationErrors } from '#lib/middleware/validation.js';
+import { validateServiceList } from './information.validation.js';
 
 const router = express.Router();
 
 // Get all banners (public access)
 router.get('/banner', informationController.getBanners);
 
-// Get all services (requires authentication)
-router.get('/services', authenticate, informationController.getServices);
+// Get services, optionally filtered with ?category=, ?q= (name or code), ?min_tariff=, ?max_tariff=
+// and ?available=true|false (requires authentication)
+router.get(
+  '/services',
+  authenticate,
+  validateServiceList,
+  handleValidationErrors,
+  informationController.getServices
+);
+
+// Get service categories with their services (requires authentication)
+router.get('/service-categories', authenticate, informationController.getServiceCategories);
 
 export default router;
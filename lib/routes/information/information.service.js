@@ -1,6 +1,6 @@
 /**
  * Information Service Layer
- * Contains banner and services business logic
+ * Contains banner, services and service category business logic
  * Uses Drizzle ORM with Raw SQL for database operations
  *
  * NOTE: All service functions accept a db connection (db_conn) parameter
@@ -8,9 +8,52 @@
  */
 
 import { sql } from 'drizzle-orm';
+import { getCachedSignedUrl } from '#lib/util/s3.js';
 
 /**
- * Get all banners
+ * SQL condition on a services row (aliased s) that is true when the service can be paid for:
+ * it is active and NOW() is outside its maintenance window
+ */
+export const SERVICE_AVAILABLE = sql`(s.is_active AND NOT COALESCE(NOW() >= s.maintenance_from AND NOW() < s.maintenance_until, false))`;
+
+/**
+ * Join on a services row (aliased s) adding its tariff effective at NOW() as t
+ * (t.id, t.tariff, t.effective_from). Services without an effective tariff yet
+ * are left out, as they cannot be priced.
+ */
+export const EFFECTIVE_TARIFF_JOIN = sql`JOIN LATERAL (
+    SELECT st.id, st.tariff, st.effective_from
+    FROM service_tariffs st
+    WHERE st.service_id = s.id AND st.effective_from <= NOW()
+    ORDER BY st.effective_from DESC, st.id DESC
+    LIMIT 1
+  ) t ON true`;
+
+/**
+ * JSON array of the denominations of a services row (aliased s), in display
+ * order ([] for services that are not DENOMINATION)
+ */
+const SERVICE_DENOMINATIONS = sql`COALESCE((
+    SELECT json_agg(json_build_object('id', sd.id, 'name', sd.name, 'amount', sd.amount)
+                    ORDER BY sd.sort_order, sd.id)
+    FROM service_denominations sd
+    WHERE sd.service_id = s.id AND sd.deleted_on IS NULL
+  ), '[]'::json)`;
+
+/**
+ * Lifetime of signed banner image URLs in seconds (default 3600 = 1 hour)
+ *
+ * @returns {number} Lifetime in seconds
+ */
+export function getBannerImageUrlTtl() {
+  const ttl = parseInt(process.env.BANNER_IMAGE_URL_EXPIRES_IN, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : 3600;
+}
+
+/**
+ * Get banners that are currently live, in their configured order
+ * A banner is live when it is not retired and NOW() is inside its
+ * active_from / active_until window (a missing bound means no limit)
  *
  * @param {object} db_conn - Drizzle connection object
  * @returns {Promise<Array>} Array of banner objects
@@ -20,25 +63,130 @@ export async function getAllBanners(db_conn) {
   const result = await db_conn.execute(
     sql`SELECT name, image_url, description
         FROM banners
-        ORDER BY id ASC`
+        WHERE retired_on IS NULL
+          AND (active_from IS NULL OR active_from <= NOW())
+          AND (active_until IS NULL OR active_until > NOW())
+        ORDER BY sort_order ASC, id ASC`
   );
 
   return result.rows;
 }
 
 /**
- * Get all services
+ * Sign banner image URLs stored in our bucket
+ * Signed URLs are cached, so most requests do not re-sign
+ *
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {Array} banners - Banner rows from getAllBanners
+ * @returns {Promise<Array>} Signed image URL per banner (same order, unchanged if not an S3 URL)
+ * @throws {Error} If signing fails
+ */
+export async function signBannerImages(s3Client, banners) {
+  const ttl = getBannerImageUrlTtl();
+
+  return await Promise.all(
+    banners.map(banner => getCachedSignedUrl(s3Client, banner.image_url, ttl))
+  );
+}
+
+/**
+ * Get a service category by code
  *
  * @param {object} db_conn - Drizzle connection object
- * @returns {Promise<Array>} Array of service objects
- * @throws {Error} If database query fails
+ * @param {string} categoryCode - Category code, e.g. UTILITIES
+ * @returns {Promise<object>} Category row
+ * @throws {Error} If the category does not exist
  */
-export async function getAllServices(db_conn) {
+export async function getCategoryByCode(db_conn, categoryCode) {
   const result = await db_conn.execute(
-    sql`SELECT code, name, icon_url, tariff
-        FROM services
-        ORDER BY id ASC`
+    sql`SELECT id, code, name, sort_order
+        FROM service_categories
+        WHERE code = ${categoryCode}
+        LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Category not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ *
+ * @param {string} value - Raw search text
+ * @returns {string} Escaped text
+ */
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Get all services that are not deleted, with optional filters
+ * Unavailable services are listed too (service_available = false) unless
+ * filters.available is set
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {object} filters - { category, search, minTariff, maxTariff, available }, all optional
+ *   - category: category code
+ *   - search: case-insensitive text matched against name and code
+ *   - minTariff / maxTariff: inclusive range on the tariff effective now
+ *   - available: true = only services that can be paid for, false = only unavailable ones
+ * @returns {Promise<Array>} Array of service objects (with the tariff effective now, category_code,
+ *   is_available, amount_type, min_amount, max_amount and denominations)
+ * @throws {Error} If the category does not exist or the database query fails
+ */
+export async function getAllServices(db_conn, filters = {}) {
+  const category = filters.category ?? null;
+  const search = filters.search ? `%${escapeLikePattern(filters.search)}%` : null;
+  const minTariff = filters.minTariff ?? null;
+  const maxTariff = filters.maxTariff ?? null;
+  const available = filters.available ?? null;
+
+  if (category) {
+    await getCategoryByCode(db_conn, category);
+  }
+
+  const result = await db_conn.execute(
+    sql`SELECT s.code, s.name, s.icon_url, t.tariff, c.code AS category_code,
+               ${SERVICE_AVAILABLE} AS is_available,
+               s.amount_type, s.min_amount, s.max_amount, ${SERVICE_DENOMINATIONS} AS denominations
+        FROM services s
+        ${EFFECTIVE_TARIFF_JOIN}
+        LEFT JOIN service_categories c ON c.id = s.category_id
+        WHERE s.deleted_on IS NULL
+          AND (${category}::text IS NULL OR c.code = ${category})
+          AND (${search}::text IS NULL OR s.name ILIKE ${search} OR s.code ILIKE ${search})
+          AND (${minTariff}::integer IS NULL OR t.tariff >= ${minTariff})
+          AND (${maxTariff}::integer IS NULL OR t.tariff <= ${maxTariff})
+          AND (${available}::boolean IS NULL OR ${SERVICE_AVAILABLE} = ${available})
+        ORDER BY s.id ASC`
   );
 
   return result.rows;
 }
+
+/**
+ * Get service categories with their services, for grouped catalog tiles
+ * Categories without services are included with an empty list. Services
+ * without a category are not part of any group.
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @returns {Promise<Array>} Category rows, each with a services array
+ * @throws {Error} If database query fails
+ */
+export async function getCategoriesWithServices(db_conn) {
+  const categoriesResult = await db_conn.execute(
+    sql`SELECT id, code, name, sort_order
+        FROM service_categories
+        ORDER BY sort_order ASC, id ASC`
+  );
+
+  const services = await getAllServices(db_conn);
+
+  return categoriesResult.rows.map(category => ({
+    ...category,
+    services: services.filter(service => service.category_code === category.code)
+  }));
+}
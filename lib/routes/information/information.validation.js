@@ -1,15 +1,51 @@
 /**
  * Information Validation Rules
  * Uses express-validator for request payload validation
- *
- * Note: Currently no validation rules needed since both endpoints are GET requests
- * This file is included for consistency with the module pattern
- * and can be extended if POST/PUT endpoints are added in the future
  */
 
-import { body } from 'express-validator';
+import { query } from 'express-validator';
 
 /**
- * Placeholder for future validation rules
- * Can be used if banner/service creation/update endpoints are added
+ * Validation rules for listing services
+ * Express 5 re-parses req.query on every access, so sanitized values do not
+ * stick: the controller converts the raw strings itself
+ *
+ * Query structure:
+ * {
+ *   category: string (optional, category code, case-insensitive, e.g. UTILITIES),
+ *   q: string (optional, text matched against service name and code, max 100 chars),
+ *   min_tariff: integer (optional, >= 0),
+ *   max_tariff: integer (optional, >= min_tariff),
+ *   available: boolean (optional, only services that can / cannot be paid for)
+ * }
  */
+export const validateServiceList = [
+  query('category')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty'),
+
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text must be at most 100 characters'),
+
+  query('min_tariff')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('min_tariff must be a non-negative integer'),
+
+  query('max_tariff')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('max_tariff must be a non-negative integer')
+    .custom((value, { req }) => req.query.min_tariff === undefined || parseInt(value, 10) >= parseInt(req.query.min_tariff, 10))
+    .withMessage('max_tariff must not be lower than min_tariff'),
+
+  query('available')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('available must be true or false'),
+];
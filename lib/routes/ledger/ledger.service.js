@@ -0,0 +1,287 @@
+/**
+ * Ledger Service Layer
+ * Double-entry ledger behind user balances
+ * Uses Drizzle ORM with Raw SQL for database operations
+ *
+ * Every money movement posts one journal entry with postings on at least two
+ * accounts. A posting amount is positive for a debit and negative for a
+ * credit, and the postings of an entry always sum to zero (checked here and
+ * again by a deferred constraint trigger when the transaction commits).
+ * Postings are never updated or deleted; mistakes are corrected with new entries.
+ *
+ * Accounts:
+ * - CASH (ASSET): money received from top ups
+ * - SERVICE_PAYABLE (LIABILITY): base amount of payments, owed to the service providers
+ * - FEE_REVENUE (REVENUE): admin fees charged on payments
+ * - OPENING_BALANCE (EQUITY): balances that existed before the ledger
+ * - BALANCE_ADJUSTMENT (EQUITY): balances corrected by the reconciliation
+ * - WALLET-{user_id} (LIABILITY): what the user can spend
+ *
+ * user_balance is a cached projection of the WALLET accounts: it is updated
+ * in the same transaction as the postings, so both always agree.
+ *
+ * Reconciliation recomputes every balance from the opening balance (posted
+ * against OPENING_BALANCE when the ledger was introduced) plus the
+ * user_transactions made since (TOPUP and REFUND minus PAYMENT), and reports
+ * users whose user_balance differs (drift).
+ * A drift can be fixed, which sets user_balance to the recomputed balance,
+ * posts what the WALLET account differs from it against BALANCE_ADJUSTMENT
+ * and records a balance_adjustments row.
+ *
+ * NOTE: All service functions accept a transaction (tx) or db connection (db_conn) parameter
+ * Services throw errors - errors are caught in controllers
+ */
+
+import { sql } from 'drizzle-orm';
+
+export const LEDGER_ACCOUNT = {
+  CASH: 'CASH',
+  SERVICE_PAYABLE: 'SERVICE_PAYABLE',
+  FEE_REVENUE: 'FEE_REVENUE',
+  OPENING_BALANCE: 'OPENING_BALANCE',
+  BALANCE_ADJUSTMENT: 'BALANCE_ADJUSTMENT'
+};
+
+/**
+ * Balance recomputed for the user_balance row aliased ub: its opening balance
+ * plus the user_transactions made since the ledger was introduced. Transactions
+ * from before are already part of the opening balance.
+ */
+const EXPECTED_BALANCE = sql`(
+    SELECT COALESCE(-SUM(wallet_posting.amount), 0)
+    FROM ledger_postings wallet_posting
+    INNER JOIN ledger_accounts wallet ON wallet.id = wallet_posting.account_id
+    WHERE wallet.user_id = ub.user_id
+      AND wallet_posting.journal_entry_id IN (
+        SELECT lp.journal_entry_id
+        FROM ledger_postings lp
+        INNER JOIN ledger_accounts la ON la.id = lp.account_id
+        WHERE la.code = ${LEDGER_ACCOUNT.OPENING_BALANCE}
+      )
+  ) + (
+    SELECT COALESCE(SUM(CASE tte.transaction_type
+        WHEN 'TOPUP' THEN ut.total_amount
+        WHEN 'PAYMENT' THEN -ut.total_amount
+        WHEN 'REFUND' THEN ut.total_amount
+        ELSE 0
+      END), 0)
+    FROM user_transactions ut
+    INNER JOIN transaction_type_enum tte ON tte.id = ut.transaction_type_id
+    WHERE ut.user_id = ub.user_id
+      AND ut.created_on >= (
+        SELECT created_on FROM ledger_accounts WHERE code = ${LEDGER_ACCOUNT.OPENING_BALANCE}
+      )
+  )`;
+
+/**
+ * Code of the WALLET account of a user
+ * @param {number} userId - User ID
+ * @returns {string} Account code
+ */
+export function walletAccountCode(userId) {
+  return `WALLET-${userId}`;
+}
+
+/**
+ * Get ledger account ID by account code
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {string} code - Account code (see LEDGER_ACCOUNT and walletAccountCode)
+ * @returns {Promise<number>} Ledger account ID
+ */
+async function getAccountId(db_conn, code) {
+  const result = await db_conn.execute(
+    sql`SELECT id FROM ledger_accounts WHERE code = ${code} LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Ledger account ${code} not found`);
+  }
+
+  return result.rows[0].id;
+}
+
+/**
+ * Post a balanced journal entry
+ * Postings with a zero amount (e.g. a payment without fee) are left out
+ * @param {Object} tx - Database transaction
+ * @param {Object} entry - Journal entry
+ * @param {number|null} entry.transactionId - user_transactions id the entry belongs to
+ * @param {string} entry.description - Entry description
+ * @param {Array<Object>} entry.postings - [{ accountCode, amount }], debit positive, credit negative
+ * @returns {Promise<Object>} Journal entry row
+ * @throws {Error} If the postings do not sum to zero or an account does not exist
+ */
+export async function postJournalEntry(tx, { transactionId = null, description, postings }) {
+  const lines = postings.filter(posting => posting.amount !== 0);
+
+  if (lines.length < 2 || lines.reduce((total, posting) => total + posting.amount, 0) !== 0) {
+    throw new Error('Journal entry is not balanced');
+  }
+
+  const entryResult = await tx.execute(
+    sql`INSERT INTO journal_entries (transaction_id, description)
+        VALUES (${transactionId}, ${description})
+        RETURNING *`
+  );
+  const entry = entryResult.rows[0];
+
+  for (const posting of lines) {
+    const accountId = await getAccountId(tx, posting.accountCode);
+
+    await tx.execute(
+      sql`INSERT INTO ledger_postings (journal_entry_id, account_id, amount)
+          VALUES (${entry.id}, ${accountId}, ${posting.amount})`
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Trial balance of the ledger
+ * Debit and credit totals per system account, with all WALLET accounts
+ * summed up in one row. balance is on the normal side of the account type
+ * (debit for ASSET, credit otherwise).
+ * @param {Object} db_conn - Database connection
+ * @returns {Promise<Object>} { accounts, cachedBalance }: account rows
+ *   { code, name, account_type, account_count, debit, credit } and the sum of
+ *   user_balance (sums are bigint, returned as strings by pg)
+ */
+export async function getTrialBalance(db_conn) {
+  const accountsResult = await db_conn.execute(
+    sql`SELECT CASE WHEN la.user_id IS NULL THEN la.code ELSE 'WALLET' END AS code,
+               CASE WHEN la.user_id IS NULL THEN la.name ELSE 'User wallets' END AS name,
+               la.account_type,
+               COUNT(DISTINCT la.id)::integer AS account_count,
+               COALESCE(SUM(lp.amount) FILTER (WHERE lp.amount > 0), 0) AS debit,
+               COALESCE(-SUM(lp.amount) FILTER (WHERE lp.amount < 0), 0) AS credit
+        FROM ledger_accounts la
+        LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+        GROUP BY 1, 2, 3
+        ORDER BY MIN(la.id) ASC`
+  );
+
+  const cachedResult = await db_conn.execute(
+    sql`SELECT COALESCE(SUM(balance), 0) AS balance FROM user_balance`
+  );
+
+  return {
+    accounts: accountsResult.rows,
+    cachedBalance: cachedResult.rows[0].balance
+  };
+}
+
+/**
+ * Users whose user_balance differs from the balance recomputed from their
+ * opening balance and user_transactions (see EXPECTED_BALANCE)
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {number|null} userId - Only check this user (null = every user)
+ * @returns {Promise<Object>} { usersChecked, drifts }: drifts are rows
+ *   { user_id, email, cached_balance, expected_balance } ordered by user_id
+ *   (expected_balance is bigint, returned as a string by pg)
+ */
+export async function getBalanceDrift(db_conn, userId = null) {
+  const countResult = await db_conn.execute(
+    sql`SELECT COUNT(*)::integer AS users_checked FROM user_balance
+        WHERE (${userId}::integer IS NULL OR user_id = ${userId}::integer)`
+  );
+
+  const driftResult = await db_conn.execute(
+    sql`SELECT user_id, email, cached_balance, expected_balance
+        FROM (
+          SELECT ub.user_id, u.email, ub.balance AS cached_balance,
+                 ${EXPECTED_BALANCE} AS expected_balance
+          FROM user_balance ub
+          INNER JOIN users u ON u.id = ub.user_id
+          WHERE (${userId}::integer IS NULL OR ub.user_id = ${userId}::integer)
+        ) balances
+        WHERE cached_balance <> expected_balance
+        ORDER BY user_id ASC`
+  );
+
+  return {
+    usersChecked: countResult.rows[0].users_checked,
+    drifts: driftResult.rows
+  };
+}
+
+/**
+ * Balance of a user's WALLET account in the ledger (credits minus debits)
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Wallet balance
+ * @throws {Error} If the user has no WALLET account
+ */
+export async function getWalletBalance(db_conn, userId) {
+  const result = await db_conn.execute(
+    sql`SELECT COALESCE(-SUM(lp.amount), 0) AS balance
+        FROM ledger_accounts la
+        LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+        WHERE la.user_id = ${userId}
+        GROUP BY la.id`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`Ledger account ${walletAccountCode(userId)} not found`);
+  }
+
+  return Number(result.rows[0].balance);
+}
+
+/**
+ * Fix the balance drift of a user
+ * user_balance is set to the recomputed balance (see EXPECTED_BALANCE). The
+ * WALLET account is corrected separately, by what it differs from that
+ * balance: when only user_balance was off (e.g. edited by hand) the ledger
+ * already holds the right amount and nothing is posted.
+ * The balance row is locked first, so no payment or top up can change the
+ * balance between recomputing and correcting it
+ * @param {Object} tx - Database transaction
+ * @param {number} userId - User ID
+ * @param {Object} audit - { reason, adjustedBy } recorded with the adjustment
+ * @returns {Promise<Object|null>} balance_adjustments row, null if the balance was correct
+ * @throws {Error} If the user has no balance
+ */
+export async function fixBalanceDrift(tx, userId, { reason, adjustedBy }) {
+  const lockResult = await tx.execute(
+    sql`SELECT balance FROM user_balance WHERE user_id = ${userId} FOR UPDATE`
+  );
+
+  if (lockResult.rows.length === 0) {
+    throw new Error('User balance not found');
+  }
+
+  const { drifts: [drift] } = await getBalanceDrift(tx, userId);
+
+  if (!drift) {
+    return null;
+  }
+
+  const previousBalance = drift.cached_balance;
+  const newBalance = Number(drift.expected_balance);
+
+  await tx.execute(
+    sql`UPDATE user_balance SET balance = ${newBalance} WHERE user_id = ${userId}`
+  );
+
+  const ledgerDifference = newBalance - await getWalletBalance(tx, userId);
+  let entry = null;
+
+  if (ledgerDifference !== 0) {
+    entry = await postJournalEntry(tx, {
+      description: `Balance adjustment ${walletAccountCode(userId)}: ${reason}`,
+      postings: [
+        { accountCode: LEDGER_ACCOUNT.BALANCE_ADJUSTMENT, amount: ledgerDifference },
+        { accountCode: walletAccountCode(userId), amount: -ledgerDifference }
+      ]
+    });
+  }
+
+  const adjustmentResult = await tx.execute(
+    sql`INSERT INTO balance_adjustments (user_id, previous_balance, new_balance, reason, adjusted_by, journal_entry_id)
+        VALUES (${userId}, ${previousBalance}, ${newBalance}, ${reason}, ${adjustedBy}, ${entry?.id ?? null})
+        RETURNING *`
+  );
+
+  return adjustmentResult.rows[0];
+}
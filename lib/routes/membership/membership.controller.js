@@ -5,29 +5,120 @@
  */
 
 import { catchError, catchErrorSync } from '#lib/util/result.js';
-import { success, error, badRequest, unauthorized } from '#lib/api/response.js';
+import { success, error, badRequest, unauthorized, forbidden, tooManyRequests } from '#lib/api/response.js';
 import { generateToken } from '#lib/util/jwt.js';
 import * as membershipService from './membership.service.js';
 import * as membershipDTO from './membership.dto.js';
+import * as sessionService from '#lib/routes/session/session.service.js';
+import * as twoFactorService from '#lib/routes/twofactor/twofactor.service.js';
+import * as twoFactorDTO from '#lib/routes/twofactor/twofactor.dto.js';
 import logger from '#lib/util/logger.js';
+import { createDeferredMailer } from '#lib/util/mailer.js';
 import multer from 'multer';
 import { generateSignedUrlFromFullUrl } from '#lib/util/s3.js';
 
 /**
- * Login - Authenticate user and return JWT
+ * Issue the short-lived challenge token for the second login step
+ *
+ * @param {object} res - Express response object
+ * @param {object} user - Authenticated user
+ * @returns {object} Express response
+ */
+function respondWithTwoFactorChallenge(res, user) {
+  const expiresIn = twoFactorService.getChallengeTtl();
+
+  const challengeResult = generateToken({
+    userId: user.id,
+    email: user.email,
+    purpose: twoFactorService.TWO_FACTOR_CHALLENGE_PURPOSE
+  }, { expiresIn });
+
+  return challengeResult.match({
+    ok: (challengeToken) => {
+      logger.info('Password verified, 2FA required', { userId: user.id });
+
+      // Transform to DTO (with error handling)
+      const [dtoErr, challengeResponse] = catchErrorSync(() =>
+        twoFactorDTO.toTwoFactorChallengeDTO(challengeToken, expiresIn)
+      );
+
+      if (dtoErr) {
+        logger.error('Failed to transform 2FA challenge to DTO', {
+          error: dtoErr.message,
+          stack: dtoErr.stack,
+          userId: user.id
+        });
+        return error(res, 'Internal server error', 500);
+      }
+
+      return success(res, 'Masukkan kode verifikasi dua langkah', challengeResponse);
+    },
+    err: (tokenErr) => {
+      logger.error('Failed to generate 2FA challenge token', {
+        error: tokenErr.message,
+        stack: tokenErr.stack,
+        userId: user.id
+      });
+      return error(res, 'Failed to generate authentication token', 500);
+    }
+  });
+}
+
+/**
+ * Login - Authenticate user and return JWT with a refresh token
  * POST /auth/login
  *
  * Body: { email, password }
+ *
+ * Brute-force protection: repeated failures slow the account down
+ * (429 with Retry-After), lock it after LOGIN_MAX_FAILED_ATTEMPTS (403)
+ * and throttle IPs with too many failures across accounts (429)
+ *
+ * Users with 2FA enabled get a short-lived challenge token instead,
+ * exchanged for the real tokens at POST /login/2fa
  */
 export async function login(req, res) {
   const { email, password } = req.body;
-  const { db_conn } = req.app.locals.state;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
 
   // Execute transaction with callback pattern (auto-commits on success)
-  const [txErr, user] = await catchError(
+  const [txErr, session] = await catchError(
     db_conn.transaction(async (tx) => {
+      // Refuse blocked attempts before spending time on bcrypt
+      const block = await membershipService.getLoginBlock(tx, email, req.ip);
+      if (block) {
+        return { block };
+      }
+
       // Authenticate user inside transaction
-      return await membershipService.authenticateUser(tx, email, password);
+      const [authErr, user] = await catchError(membershipService.authenticateUser(tx, email, password));
+
+      // Counted while getLoginBlock's locks are held, so parallel guesses see this failure
+      if (authErr?.message === 'Invalid email or password') {
+        const locked = await membershipService.recordFailedLogin(tx, outbox, email, req.ip);
+        return { failed: true, locked };
+      }
+
+      if (authErr) {
+        throw authErr;
+      }
+
+      // Failure counter is only cleared once the second factor is verified
+      if (await twoFactorService.isTwoFactorEnabled(tx, user.id)) {
+        return { user, twoFactorRequired: true };
+      }
+
+      await membershipService.recordSuccessfulLogin(tx, user.id, email, req.ip);
+
+      // Start a new session (and its refresh token family) for this login
+      const session = await sessionService.createSession(tx, user.id, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+      const refresh = await sessionService.createRefreshToken(tx, user.id, session.id);
+
+      return { user, refreshToken: refresh.refreshToken, sessionId: session.id };
     })
   );
 
@@ -40,8 +131,7 @@ export async function login(req, res) {
     });
 
     // Check if it's a user-facing error (invalid credentials)
-    if (txErr.message === 'Invalid email or password' ||
-        txErr.message === 'Email and password are required') {
+    if (txErr.message === 'Email and password are required') {
       return unauthorized(res, 'Username atau password salah', 103);
     }
 
@@ -49,12 +139,52 @@ export async function login(req, res) {
     return error(res, 'Internal server error', 500);
   }
 
+  if (session.failed) {
+    logger.warn('Authentication failed', { email, ip: req.ip });
+
+    // The unlock link is only mailed once the lock is committed
+    const [mailErr] = await catchError(outbox.flush());
+    if (mailErr) {
+      logger.error('Failed to send account unlock email', {
+        error: mailErr.message,
+        stack: mailErr.stack,
+        email
+      });
+    }
+
+    if (session.locked) {
+      logger.warn('Account locked after repeated failed logins', { email, ip: req.ip });
+    }
+
+    return unauthorized(res, 'Username atau password salah', 103);
+  }
+
+  if (session.block) {
+    const { reason, retryAfterSeconds } = session.block;
+    logger.warn('Login attempt blocked', { email, ip: req.ip, reason, retryAfterSeconds });
+
+    if (reason === membershipService.LOGIN_BLOCK_REASON.ACCOUNT_LOCKED) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return forbidden(res, 'Akun terkunci sementara karena terlalu banyak percobaan login gagal', 106);
+    }
+
+    return tooManyRequests(res, 'Terlalu banyak percobaan login, coba lagi nanti', retryAfterSeconds);
+  }
+
+  const { user } = session;
+
+  if (session.twoFactorRequired) {
+    return respondWithTwoFactorChallenge(res, user);
+  }
+
   // Generate JWT token (synchronous)
   const tokenResult = generateToken({
     userId: user.id,
     email: user.email,
     firstName: user.first_name,
-    lastName: user.lastName
+    lastName: user.lastName,
+    role: user.role,
+    sid: session.sessionId
   });
 
   return tokenResult.match({
@@ -62,7 +192,9 @@ export async function login(req, res) {
       logger.info('User logged in successfully', { userId: user.id, email: user.email });
 
       // Transform to DTO (with error handling)
-      const [dtoErr, loginResponse] = catchErrorSync(() => membershipDTO.toLoginResponseDTO(token));
+      const [dtoErr, loginResponse] = catchErrorSync(() =>
+        membershipDTO.toLoginResponseDTO(token, session.refreshToken)
+      );
 
       if (dtoErr) {
         logger.error('Failed to transform login response to DTO', {
@@ -87,14 +219,15 @@ export async function login(req, res) {
 }
 
 /**
- * Register - Create new user account
+ * Register - Create new user account and send the email verification link
  * POST /auth/register
  *
  * Body: { email, password, first_name, last_name }
  */
 export async function register(req, res) {
   const { email, password, first_name, last_name } = req.body;
-  const { db_conn } = req.app.locals.state;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
 
   // Execute transaction with callback pattern (auto-commits on success)
   const [txErr, user] = await catchError(
@@ -107,6 +240,9 @@ export async function register(req, res) {
         last_name
       });
 
+      // Account stays unverified until the emailed link is opened
+      await membershipService.sendVerificationEmail(tx, outbox, user);
+
       // Transaction auto-commits when callback resolves successfully
       return user;
     })
@@ -135,6 +271,16 @@ export async function register(req, res) {
     return error(res, 'Internal server error', 500);
   }
 
+  // Sent after commit; the account exists either way and the link can be requested again
+  const [mailErr] = await catchError(outbox.flush());
+  if (mailErr) {
+    logger.error('Failed to send verification email', {
+      error: mailErr.message,
+      stack: mailErr.stack,
+      email
+    });
+  }
+
   // Return success response with status 0 as specified
   return res.status(200).json({
     status: 0,
@@ -143,6 +289,182 @@ export async function register(req, res) {
   });
 }
 
+/**
+ * Verify Email - Confirm ownership of the registered email address
+ * GET /registration/verify?token=
+ */
+export async function verifyEmail(req, res) {
+  const { token } = req.query;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, userId] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await membershipService.verifyEmail(tx, token);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Invalid or expired token') {
+      return badRequest(res, 'Token verifikasi tidak valid atau kadaluwarsa', null, 102);
+    }
+
+    logger.error('Failed to verify email', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User verified email', { userId });
+
+  return success(res, 'Verifikasi email berhasil', null);
+}
+
+/**
+ * Unlock Account - Lift a login lockout with the token from the lockout email
+ * GET /login/unlock?token=...
+ */
+export async function unlockAccount(req, res) {
+  const { token } = req.query;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, userId] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await membershipService.unlockAccount(tx, token);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Invalid or expired token') {
+      return badRequest(res, 'Token tidak valid atau kadaluwarsa', null, 102);
+    }
+
+    logger.error('Failed to unlock account', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User unlocked account', { userId });
+
+  return success(res, 'Akun berhasil dibuka', null);
+}
+
+/**
+ * Resend Verification - Send a new email verification link
+ * POST /registration/resend
+ *
+ * Body: { email }
+ * Always answers with the same message whether or not a link was sent
+ */
+export async function resendVerification(req, res) {
+  const { email } = req.body;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, sent] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await membershipService.resendVerificationEmail(tx, outbox, email);
+    })
+  );
+
+  // The link is only mailed once its token is committed
+  const [mailErr] = txErr ? [txErr] : await catchError(outbox.flush());
+
+  if (mailErr) {
+    logger.error('Failed to resend verification email', {
+      error: mailErr.message,
+      stack: mailErr.stack,
+      email
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Verification email resend requested', { email, sent });
+
+  return success(res, 'Jika email terdaftar dan belum diverifikasi, link verifikasi telah dikirim', null);
+}
+
+/**
+ * Forgot Password - Send a password reset link
+ * POST /password/forgot
+ *
+ * Body: { email }
+ * Always answers with the same message whether or not the email is registered
+ */
+export async function forgotPassword(req, res) {
+  const { email } = req.body;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, sent] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await membershipService.requestPasswordReset(tx, outbox, email);
+    })
+  );
+
+  // The link is only mailed once its token is committed, a rolled back token is never sent
+  const [mailErr] = txErr ? [txErr] : await catchError(outbox.flush());
+
+  if (mailErr) {
+    logger.error('Failed to request password reset', {
+      error: mailErr.message,
+      stack: mailErr.stack,
+      email
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('Password reset requested', { email, sent });
+
+  return success(res, 'Jika email terdaftar, link reset password telah dikirim', null);
+}
+
+/**
+ * Reset Password - Set a new password using a reset token
+ * POST /password/reset
+ *
+ * Body: { token, new_password }
+ * Every session of the user is terminated after a successful reset
+ */
+export async function resetPassword(req, res) {
+  const { token, new_password } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, userId] = await catchError(
+    db_conn.transaction(async (tx) => {
+      const userId = await membershipService.resetPassword(tx, token, new_password);
+      await sessionService.revokeAllSessions(tx, userId);
+      return userId;
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Invalid or expired token') {
+      return badRequest(res, 'Token reset password tidak valid atau kadaluwarsa', null, 102);
+    }
+
+    logger.error('Failed to reset password', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User reset password', { userId });
+
+  return success(res, 'Password berhasil direset, silahkan login', null);
+}
+
 /**
  * Get current user info from JWT
  * GET /profile
@@ -302,6 +624,58 @@ export async function updateCurrentProfile(req, res) {
   });
 }
 
+/**
+ * Change current user password
+ * PUT /profile/password
+ *
+ * Body: { current_password, new_password }
+ * Requires authentication (req.middleware.auth populated by middleware)
+ * Every other session of the user is terminated, the calling session stays logged in
+ */
+export async function changePassword(req, res) {
+  // User info is already attached by auth middleware
+  const userId = req.middleware.auth.user.userId || req.middleware.auth.user.id;
+  const { sid } = req.middleware.auth.user;
+  const { current_password, new_password } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  if (!userId) {
+    logger.error('Missing userId in authenticated request', {
+      authContext: req.middleware.auth,
+      path: req.path
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, revokedCount] = await catchError(
+    db_conn.transaction(async (tx) => {
+      await membershipService.changePassword(tx, userId, current_password, new_password);
+
+      // Log out everywhere else so a leaked password/token stops working
+      return await sessionService.revokeAllSessions(tx, userId, sid || null);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Current password is incorrect') {
+      return badRequest(res, 'Password lama salah', null, 102);
+    }
+
+    logger.error('Failed to change password', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User changed password', { userId, revokedSessions: revokedCount });
+
+  return success(res, 'Password berhasil diubah', null);
+}
+
 /**
  * Update current user profile image
  * PUT /profile/image
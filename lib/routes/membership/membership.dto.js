@@ -21,12 +21,14 @@ export function toUserDTO(user) {
 /**
  * Transform user data to LoginResponseDTO format
  *
- * @param {string} token - JWT token
+ * @param {string} token - JWT access token
+ * @param {string} refreshToken - Opaque refresh token
  * @returns {object} LoginResponseDTO
  */
-export function toLoginResponseDTO(token) {
+export function toLoginResponseDTO(token, refreshToken) {
   return {
-    token
+    token,
+    refresh_token: refreshToken
   };
 }
 
@@ -59,7 +61,8 @@ export function toProfileResponseDTO(user, signedProfileImageUrl = null) {
  *
  * LoginResponseDTO:
  * {
- *   token: string
+ *   token: string,
+ *   refresh_token: string
  * }
  *
  * ProfileResponseDTO:
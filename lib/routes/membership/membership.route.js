@@ -7,7 +7,17 @@ import express from 'express';
 import * as membershipController from './membership.controller.js';
 import { authenticate } from '#lib/middleware/auth.js';
 import { handleValidationErrors } from '#lib/middleware/validation.js';
-import { validateRegistration, validateLogin, validateProfileUpdate } from './membership.validation.js';
+import {
+  validateRegistration,
+  validateLogin,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validatePasswordForgot,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateVerificationResend,
+  validateAccountUnlock
+} from './membership.validation.js';
 
 const router = express.Router();
 
@@ -19,6 +29,14 @@ router.post(
   membershipController.login
 );
 
+// Lift a login lockout with the token from the lockout email
+router.get(
+  '/login/unlock',
+  validateAccountUnlock,
+  handleValidationErrors,
+  membershipController.unlockAccount
+);
+
 // Registration endpoint with validation
 router.post(
   '/registration',
@@ -27,6 +45,38 @@ router.post(
   membershipController.register
 );
 
+// Verify email address with the token from the verification link
+router.get(
+  '/registration/verify',
+  validateEmailVerification,
+  handleValidationErrors,
+  membershipController.verifyEmail
+);
+
+// Send a new verification link
+router.post(
+  '/registration/resend',
+  validateVerificationResend,
+  handleValidationErrors,
+  membershipController.resendVerification
+);
+
+// Request a password reset link by email
+router.post(
+  '/password/forgot',
+  validatePasswordForgot,
+  handleValidationErrors,
+  membershipController.forgotPassword
+);
+
+// Set a new password with the token from the reset link
+router.post(
+  '/password/reset',
+  validatePasswordReset,
+  handleValidationErrors,
+  membershipController.resetPassword
+);
+
 // Get current user profile (requires authentication)
 router.get('/profile', authenticate, membershipController.getCurrentProfile);
 
@@ -39,6 +89,15 @@ router.put(
   membershipController.updateCurrentProfile
 );
 
+// Change current user password (requires authentication)
+router.put(
+  '/profile/password',
+  authenticate,
+  validatePasswordChange,
+  handleValidationErrors,
+  membershipController.changePassword
+);
+
 // Update current user profile image (requires authentication)
 router.put(
   '/profile/image',
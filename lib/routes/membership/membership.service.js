@@ -9,13 +9,47 @@
 
 import bcrypt from 'bcrypt';
 import { sql } from 'drizzle-orm';
-import { PutObjectCommand } from '@aws-sdk/client-s3';
-import crypto from 'crypto';
+import { generateOpaqueToken, hashToken } from '#lib/util/token.js';
+import { uploadImageToS3, buildS3Url } from '#lib/util/s3.js';
+
+/**
+ * Purposes of single-use tokens stored in user_tokens
+ */
+export const USER_TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION',
+  ACCOUNT_UNLOCK: 'ACCOUNT_UNLOCK'
+};
+
+/**
+ * User roles, carried in the `role` claim of access tokens
+ */
+export const USER_ROLE = {
+  USER: 'USER',
+  ADMIN: 'ADMIN',
+  SUPPORT: 'SUPPORT'
+};
+
+/**
+ * User pricing tiers, fee rules can target a tier
+ */
+export const USER_TIER = {
+  REGULAR: 'REGULAR',
+  PREMIUM: 'PREMIUM'
+};
+
+/**
+ * Reasons a login attempt is refused before the password is checked
+ */
+export const LOGIN_BLOCK_REASON = {
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS'
+};
 
 /**
  * Get bcrypt salt rounds from environment
  */
-function getSaltRounds() {
+export function getSaltRounds() {
   const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10', 10);
   if (isNaN(saltRounds) || saltRounds < 4 || saltRounds > 31) {
     throw new Error('BCRYPT_SALT_ROUNDS must be a number between 4 and 31');
@@ -23,6 +57,318 @@ function getSaltRounds() {
   return saltRounds;
 }
 
+/**
+ * Read a positive integer setting (token lifetimes, login limits) from environment with a default
+ */
+function getPositiveIntFromEnv(name, defaultValue) {
+  const value = parseInt(process.env[name] || String(defaultValue), 10);
+  if (isNaN(value) || value <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return value;
+}
+
+/**
+ * Get brute-force protection settings from environment
+ *
+ * - maxFailedAttempts: failed logins before the account is locked (default 5)
+ * - lockoutSeconds: how long a locked account stays locked (default 900)
+ * - freeAttempts: failed logins allowed before progressive delays start (default 2)
+ * - delayBaseSeconds: first delay, doubled on every further failure (default 1)
+ * - maxIpFailures: failed logins per IP inside ipWindowSeconds before the IP is throttled (default 100)
+ * - ipWindowSeconds: sliding window for per-IP tracking (default 900)
+ */
+function getLoginProtectionConfig() {
+  return {
+    maxFailedAttempts: getPositiveIntFromEnv('LOGIN_MAX_FAILED_ATTEMPTS', 5),
+    lockoutSeconds: getPositiveIntFromEnv('LOGIN_LOCKOUT_DURATION', 900),
+    freeAttempts: getPositiveIntFromEnv('LOGIN_DELAY_FREE_ATTEMPTS', 2),
+    delayBaseSeconds: getPositiveIntFromEnv('LOGIN_DELAY_BASE_SECONDS', 1),
+    maxIpFailures: getPositiveIntFromEnv('LOGIN_MAX_IP_FAILURES', 100),
+    ipWindowSeconds: getPositiveIntFromEnv('LOGIN_IP_WINDOW', 900)
+  };
+}
+
+/**
+ * Issue a single-use token for a user
+ * Any outstanding token with the same purpose is invalidated, so only the
+ * most recently sent link works
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} purpose - One of USER_TOKEN_PURPOSE
+ * @param {number} ttlSeconds - Token lifetime in seconds
+ * @returns {Promise<string>} Raw token (only its hash is stored)
+ */
+async function createUserToken(tx, userId, purpose, ttlSeconds) {
+  await tx.execute(
+    sql`UPDATE user_tokens
+        SET used_on = NOW()
+        WHERE user_id = ${parseInt(userId)}
+          AND purpose = ${purpose}
+          AND used_on IS NULL`
+  );
+
+  const token = generateOpaqueToken(32);
+
+  await tx.execute(
+    sql`INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES (${parseInt(userId)}, ${purpose}, ${hashToken(token)},
+                NOW() + make_interval(secs => ${ttlSeconds}))`
+  );
+
+  return token;
+}
+
+/**
+ * Consume a single-use token
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} token - Raw token from the link
+ * @param {string} purpose - One of USER_TOKEN_PURPOSE
+ * @returns {Promise<number>} ID of the user the token was issued to
+ * @throws {Error} If token is unknown, used, expired or issued for another purpose
+ */
+async function consumeUserToken(tx, token, purpose) {
+  if (!token) {
+    throw new Error('Invalid or expired token');
+  }
+
+  const result = await tx.execute(
+    sql`UPDATE user_tokens
+        SET used_on = NOW()
+        WHERE token_hash = ${hashToken(token)}
+          AND purpose = ${purpose}
+          AND used_on IS NULL
+          AND expires_at > NOW()
+        RETURNING user_id`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Invalid or expired token');
+  }
+
+  return result.rows[0].user_id;
+}
+
+/**
+ * Check whether a login attempt may proceed to password verification
+ *
+ * Refuses the attempt when:
+ * - the IP has too many recent failures (TOO_MANY_ATTEMPTS)
+ * - the account is locked (ACCOUNT_LOCKED)
+ * - the account is inside its progressive delay after repeated failures (TOO_MANY_ATTEMPTS)
+ *
+ * Locks the IP (advisory lock) and the user row until the transaction ends, so
+ * the password check and recordFailedLogin must run in the same transaction:
+ * parallel attempts then wait for the previous failure to be counted instead of
+ * all passing the check at once
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} email - Email used for the login attempt
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<object|null>} null if allowed, otherwise { reason, retryAfterSeconds }
+ */
+export async function getLoginBlock(tx, email, ipAddress) {
+  const config = getLoginProtectionConfig();
+
+  // login_attempts has no row per IP to lock
+  await tx.execute(
+    sql`SELECT pg_advisory_xact_lock(hashtext(${`login_ip:${ipAddress || ''}`}))`
+  );
+
+  const ipResult = await tx.execute(
+    sql`SELECT COUNT(*)::int AS failures,
+               CEIL(EXTRACT(EPOCH FROM (MIN(created_on) + make_interval(secs => ${config.ipWindowSeconds}) - NOW())))::int AS retry_after
+        FROM login_attempts
+        WHERE ip_address = ${ipAddress || null}
+          AND succeeded = FALSE
+          AND created_on > NOW() - make_interval(secs => ${config.ipWindowSeconds})`
+  );
+
+  const ipStats = ipResult.rows[0];
+  if (ipStats.failures >= config.maxIpFailures) {
+    return {
+      reason: LOGIN_BLOCK_REASON.TOO_MANY_ATTEMPTS,
+      retryAfterSeconds: Math.max(ipStats.retry_after, 1)
+    };
+  }
+
+  const userResult = await tx.execute(
+    sql`SELECT failed_login_count,
+               CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_for,
+               EXTRACT(EPOCH FROM (NOW() - last_failed_login_on))::float AS since_last_failure
+        FROM users
+        WHERE email = ${email.toLowerCase()}
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  // Unknown emails are only limited per IP
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const account = userResult.rows[0];
+
+  if (account.locked_for > 0) {
+    return {
+      reason: LOGIN_BLOCK_REASON.ACCOUNT_LOCKED,
+      retryAfterSeconds: account.locked_for
+    };
+  }
+
+  // Lock expired: the next attempt starts from a clean slate (handled in recordFailedLogin)
+  if (account.locked_for !== null) {
+    return null;
+  }
+
+  const delayedFailures = account.failed_login_count - config.freeAttempts;
+  if (delayedFailures > 0 && account.since_last_failure !== null) {
+    const delaySeconds = config.delayBaseSeconds * Math.pow(2, delayedFailures - 1);
+    const waitSeconds = Math.ceil(delaySeconds - account.since_last_failure);
+
+    if (waitSeconds > 0) {
+      return {
+        reason: LOGIN_BLOCK_REASON.TOO_MANY_ATTEMPTS,
+        retryAfterSeconds: waitSeconds
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record a failed login attempt
+ * Increments the account's failure counter and locks the account (sending an
+ * unlock link by email) once LOGIN_MAX_FAILED_ATTEMPTS is reached
+ * Runs in the transaction of getLoginBlock, which holds the locks
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} mailer - Deferred mailer flushed after commit (see createDeferredMailer)
+ * @param {string} email - Email used for the login attempt
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<boolean>} True if this failure locked the account
+ */
+export async function recordFailedLogin(tx, mailer, email, ipAddress) {
+  const config = getLoginProtectionConfig();
+
+  await tx.execute(
+    sql`INSERT INTO login_attempts (email, ip_address, succeeded)
+        VALUES (${email.toLowerCase()}, ${ipAddress || null}, FALSE)`
+  );
+
+  // A lock that already expired does not count towards the next one
+  const result = await tx.execute(
+    sql`UPDATE users
+        SET failed_login_count = CASE
+              WHEN locked_until IS NOT NULL AND locked_until <= NOW() THEN 1
+              ELSE failed_login_count + 1
+            END,
+            locked_until = CASE
+              WHEN locked_until IS NOT NULL AND locked_until <= NOW() THEN NULL
+              ELSE locked_until
+            END,
+            last_failed_login_on = NOW()
+        WHERE email = ${email.toLowerCase()}
+        RETURNING id, email, first_name, failed_login_count, locked_until`
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const user = result.rows[0];
+
+  if (user.failed_login_count < config.maxFailedAttempts || user.locked_until) {
+    return false;
+  }
+
+  await tx.execute(
+    sql`UPDATE users
+        SET locked_until = NOW() + make_interval(secs => ${config.lockoutSeconds})
+        WHERE id = ${user.id}`
+  );
+
+  const token = await createUserToken(tx, user.id, USER_TOKEN_PURPOSE.ACCOUNT_UNLOCK, config.lockoutSeconds);
+  const unlockLink = `${process.env.BASE_URL}/login/unlock?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Akun Terkunci',
+    text: `Halo ${user.first_name},\n\n` +
+      `Akun Anda dikunci sementara setelah ${user.failed_login_count} kali percobaan login gagal.\n` +
+      `Akun akan terbuka otomatis dalam ${Math.round(config.lockoutSeconds / 60)} menit, ` +
+      `atau buka kunci sekarang melalui link berikut:\n${unlockLink}\n\n` +
+      'Jika ini bukan Anda, segera ganti password setelah akun terbuka.'
+  });
+
+  return true;
+}
+
+/**
+ * Record a successful login and clear the account's failure counter
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} email - Email used for the login attempt
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+export async function recordSuccessfulLogin(tx, userId, email, ipAddress) {
+  await tx.execute(
+    sql`INSERT INTO login_attempts (email, ip_address, succeeded)
+        VALUES (${email.toLowerCase()}, ${ipAddress || null}, TRUE)`
+  );
+
+  await tx.execute(
+    sql`UPDATE users
+        SET failed_login_count = 0,
+            last_failed_login_on = NULL,
+            locked_until = NULL
+        WHERE id = ${parseInt(userId)}`
+  );
+}
+
+/**
+ * Unlock an account using the token from the lockout email
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} token - Raw unlock token from the email link
+ * @returns {Promise<number>} ID of the unlocked user
+ * @throws {Error} If token is invalid or expired
+ */
+export async function unlockAccount(tx, token) {
+  const userId = await consumeUserToken(tx, token, USER_TOKEN_PURPOSE.ACCOUNT_UNLOCK);
+
+  await tx.execute(
+    sql`UPDATE users
+        SET failed_login_count = 0,
+            last_failed_login_on = NULL,
+            locked_until = NULL
+        WHERE id = ${userId}`
+  );
+
+  return userId;
+}
+
+/**
+ * Delete login attempts older than the retention period
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {number} retentionDays - Days of history to keep
+ * @returns {Promise<number>} Number of deleted rows
+ */
+export async function deleteOldLoginAttempts(db_conn, retentionDays) {
+  const result = await db_conn.execute(
+    sql`DELETE FROM login_attempts
+        WHERE created_on < NOW() - make_interval(days => ${retentionDays})`
+  );
+
+  return result.rowCount || 0;
+}
+
 /**
  * Authenticate user with email and password
  *
@@ -39,7 +385,7 @@ export async function authenticateUser(tx, email, password) {
 
   // Find user by email using raw SQL
   const result = await tx.execute(
-    sql`SELECT id, email, password_hash, first_name, last_name, profile_image
+    sql`SELECT id, email, password_hash, first_name, last_name, profile_image, role
         FROM users
         WHERE email = ${email.toLowerCase()}
         LIMIT 1`
@@ -64,7 +410,8 @@ export async function authenticateUser(tx, email, password) {
     email: user.email,
     first_name: user.first_name,
     lastName: user.last_name,
-    profileImage: user.profile_image
+    profileImage: user.profile_image,
+    role: user.role
   };
 }
 
@@ -79,7 +426,7 @@ export async function authenticateUser(tx, email, password) {
  */
 export async function getUserById(tx, userId) {
   const result = await tx.execute(
-    sql`SELECT id, email, first_name, last_name, profile_image
+    sql`SELECT id, email, first_name, last_name, profile_image, role
         FROM users
         WHERE id = ${parseInt(userId)}
         LIMIT 1`
@@ -96,10 +443,69 @@ export async function getUserById(tx, userId) {
     email: user.email,
     firstName: user.first_name,
     lastName: user.last_name,
-    profileImage: user.profile_image
+    profileImage: user.profile_image,
+    role: user.role
   };
 }
 
+/**
+ * Change the role of a user
+ * Takes effect for new access tokens (next login or refresh)
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} email - User email
+ * @param {string} role - New role (see USER_ROLE)
+ * @returns {Promise<object>} { id, email, role }
+ * @throws {Error} If the role is unknown or the user is not found
+ */
+export async function setUserRole(tx, email, role) {
+  if (!Object.values(USER_ROLE).includes(role)) {
+    throw new Error('Invalid role');
+  }
+
+  const result = await tx.execute(
+    sql`UPDATE users
+        SET role = ${role}
+        WHERE email = ${email.toLowerCase()}
+        RETURNING id, email, role`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Change the pricing tier of a user
+ * Takes effect for the next payment
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} email - User email
+ * @param {string} tier - New tier (see USER_TIER)
+ * @returns {Promise<object>} { id, email, tier }
+ * @throws {Error} If the tier is unknown or the user is not found
+ */
+export async function setUserTier(tx, email, tier) {
+  if (!Object.values(USER_TIER).includes(tier)) {
+    throw new Error('Invalid tier');
+  }
+
+  const result = await tx.execute(
+    sql`UPDATE users
+        SET tier = ${tier}
+        WHERE email = ${email.toLowerCase()}
+        RETURNING id, email, tier`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return result.rows[0];
+}
+
 /**
  * Create a new user (for registration)
  *
@@ -129,7 +535,7 @@ export async function createUser(tx, userData) {
   const hashedPassword = await bcrypt.hash(password, saltRounds);
 
   // Generate default profile image URL from S3
-  const defaultProfileImage = `${process.env.S3_URL_API}/${process.env.S3_BUCKET_NAME}/user_photos/default_photos.jpg`;
+  const defaultProfileImage = buildS3Url('user_photos/default_photos.jpg');
 
   // Insert new user using raw SQL
   const insertResult = await tx.execute(
@@ -226,46 +632,211 @@ export async function updateProfile(tx, userId, updateData) {
 }
 
 /**
- * Upload profile image to S3 and update user profile_image URL
+ * Change user password after re-verifying the current one
  *
  * @param {object} tx - Drizzle transaction object
- * @param {object} s3Client - AWS S3 client instance
  * @param {number|string} userId - User ID
- * @param {Buffer} fileBuffer - File buffer from multer
- * @param {string} mimetype - File mimetype (image/jpeg or image/png)
- * @returns {Promise<object>} Updated user object with new profile_image URL
- * @throws {Error} If upload or database update fails
+ * @param {string} currentPassword - Current password (plain text)
+ * @param {string} newPassword - New password (plain text, already validated)
+ * @returns {Promise<void>}
+ * @throws {Error} If user not found or current password is wrong
  */
-export async function updateProfileImageToS3(tx, s3Client, userId, fileBuffer, mimetype) {
-  if (!fileBuffer) {
-    throw new Error('File buffer is required');
+export async function changePassword(tx, userId, currentPassword, newPassword) {
+  if (!currentPassword || !newPassword) {
+    throw new Error('Current password and new password are required');
   }
 
-  // Determine file extension from mimetype
-  const fileExtension = mimetype === 'image/jpeg' ? 'jpeg' : 'png';
+  // Lock the row so concurrent password changes are serialized
+  const result = await tx.execute(
+    sql`SELECT password_hash
+        FROM users
+        WHERE id = ${parseInt(userId)}
+        LIMIT 1
+        FOR UPDATE`
+  );
 
-  // Generate filename: {uuid}_{user_id}_{timestamptz}.{file_format}
-  const uuid = crypto.randomUUID();
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `${uuid}_${userId}_${timestamp}.${fileExtension}`;
-  const s3Key = `user_photos/${filename}`;
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
 
-  // Upload to S3
-  const uploadParams = {
-    Bucket: process.env.S3_BUCKET_NAME,
-    Key: s3Key,
-    Body: fileBuffer,
-    ContentType: mimetype,
-  };
+  const isPasswordValid = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
 
-  try {
-    await s3Client.send(new PutObjectCommand(uploadParams));
-  } catch (error) {
-    throw new Error(`Failed to upload image to S3: ${error.message}`);
+  if (!isPasswordValid) {
+    throw new Error('Current password is incorrect');
   }
 
-  // Construct the public URL
-  const imageUrl = `${process.env.S3_URL_API}/${process.env.S3_BUCKET_NAME}/${s3Key}`;
+  const hashedPassword = await bcrypt.hash(newPassword, getSaltRounds());
+
+  await tx.execute(
+    sql`UPDATE users
+        SET password_hash = ${hashedPassword}
+        WHERE id = ${parseInt(userId)}`
+  );
+}
+
+/**
+ * Send an email verification link to a newly registered (or still unverified) user
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} mailer - Deferred mailer flushed after commit (see createDeferredMailer)
+ * @param {object} user - User object { id, email, firstName }
+ * @returns {Promise<void>}
+ */
+export async function sendVerificationEmail(tx, mailer, user) {
+  const ttlSeconds = getPositiveIntFromEnv('EMAIL_VERIFICATION_TOKEN_EXPIRES_IN', 86400);
+  const token = await createUserToken(tx, user.id, USER_TOKEN_PURPOSE.EMAIL_VERIFICATION, ttlSeconds);
+  const verifyLink = `${process.env.BASE_URL}/registration/verify?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verifikasi Email',
+    text: `Halo ${user.firstName},\n\n` +
+      `Terima kasih telah mendaftar. Verifikasi email Anda melalui link berikut:\n${verifyLink}\n\n` +
+      `Link berlaku selama ${Math.round(ttlSeconds / 3600)} jam.`
+  });
+}
+
+/**
+ * Resend the verification link
+ * Unknown and already verified emails are ignored silently so the endpoint
+ * cannot be used to discover accounts
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} mailer - Deferred mailer flushed after commit (see createDeferredMailer)
+ * @param {string} email - Email address entered by the user
+ * @returns {Promise<boolean>} True if a verification email was sent
+ */
+export async function resendVerificationEmail(tx, mailer, email) {
+  const result = await tx.execute(
+    sql`SELECT id, email, first_name, email_verified_at
+        FROM users
+        WHERE email = ${email.toLowerCase()}
+        LIMIT 1`
+  );
+
+  if (result.rows.length === 0 || result.rows[0].email_verified_at) {
+    return false;
+  }
+
+  const user = result.rows[0];
+
+  await sendVerificationEmail(tx, mailer, {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name
+  });
+
+  return true;
+}
+
+/**
+ * Mark the user's email as verified using a verification token
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} token - Raw verification token from the email link
+ * @returns {Promise<number>} ID of the verified user
+ * @throws {Error} If token is invalid or expired
+ */
+export async function verifyEmail(tx, token) {
+  const userId = await consumeUserToken(tx, token, USER_TOKEN_PURPOSE.EMAIL_VERIFICATION);
+
+  await tx.execute(
+    sql`UPDATE users
+        SET email_verified_at = COALESCE(email_verified_at, NOW())
+        WHERE id = ${userId}`
+  );
+
+  return userId;
+}
+
+/**
+ * Check whether a user has verified their email address
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<boolean>} True if verified
+ * @throws {Error} If user not found
+ */
+export async function isEmailVerified(db_conn, userId) {
+  const result = await db_conn.execute(
+    sql`SELECT email_verified_at FROM users WHERE id = ${parseInt(userId)} LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return result.rows[0].email_verified_at !== null;
+}
+
+/**
+ * Start the forgot-password flow
+ * Sends a reset link when the email is registered; unknown emails are ignored
+ * silently so the endpoint cannot be used to discover accounts
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} mailer - Deferred mailer flushed after commit (see createDeferredMailer)
+ * @param {string} email - Email address entered by the user
+ * @returns {Promise<boolean>} True if a reset email was sent
+ */
+export async function requestPasswordReset(tx, mailer, email) {
+  const user = await getUserByEmail(tx, email);
+
+  if (!user) {
+    return false;
+  }
+
+  const ttlSeconds = getPositiveIntFromEnv('PASSWORD_RESET_TOKEN_EXPIRES_IN', 3600);
+  const token = await createUserToken(tx, user.id, USER_TOKEN_PURPOSE.PASSWORD_RESET, ttlSeconds);
+  const resetLink = `${process.env.BASE_URL}/password/reset?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset Password',
+    text: `Halo ${user.firstName},\n\n` +
+      `Gunakan link berikut untuk mengatur ulang password Anda:\n${resetLink}\n\n` +
+      `Link berlaku selama ${Math.round(ttlSeconds / 60)} menit dan hanya dapat digunakan sekali.\n` +
+      'Abaikan email ini jika Anda tidak meminta reset password.'
+  });
+
+  return true;
+}
+
+/**
+ * Complete the forgot-password flow with a reset token
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} token - Raw reset token from the email link
+ * @param {string} newPassword - New password (plain text, already validated)
+ * @returns {Promise<number>} ID of the user whose password was reset
+ * @throws {Error} If token is invalid or expired
+ */
+export async function resetPassword(tx, token, newPassword) {
+  const userId = await consumeUserToken(tx, token, USER_TOKEN_PURPOSE.PASSWORD_RESET);
+  const hashedPassword = await bcrypt.hash(newPassword, getSaltRounds());
+
+  await tx.execute(
+    sql`UPDATE users
+        SET password_hash = ${hashedPassword}
+        WHERE id = ${userId}`
+  );
+
+  return userId;
+}
+
+/**
+ * Upload profile image to S3 and update user profile_image URL
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {number|string} userId - User ID
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {string} mimetype - File mimetype (image/jpeg or image/png)
+ * @returns {Promise<object>} Updated user object with new profile_image URL
+ * @throws {Error} If upload or database update fails
+ */
+export async function updateProfileImageToS3(tx, s3Client, userId, fileBuffer, mimetype) {
+  const imageUrl = await uploadImageToS3(s3Client, 'user_photos', userId, fileBuffer, mimetype);
 
   // Update user's profile_image in database
   const result = await tx.execute(
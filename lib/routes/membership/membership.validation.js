@@ -4,9 +4,29 @@
  * Also includes multer configuration for file uploads
  */
 
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import multer from 'multer';
 
+/**
+ * Password complexity rule shared by every endpoint that sets a password
+ * 8-20 chars, min 1 uppercase, min 1 symbol
+ *
+ * @param {string} field - Body field holding the new password
+ * @param {string} label - Field label used in error messages
+ * @returns {object} express-validator chain
+ */
+function passwordComplexity(field, label) {
+  return body(field)
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .isLength({ min: 8, max: 20 })
+    .withMessage(`${label} must be between 8 and 20 characters`)
+    .matches(/[A-Z]/)
+    .withMessage(`${label} must contain at least one uppercase letter`)
+    .matches(/[!@#$%^&*(),.?":{}|<>]/)
+    .withMessage(`${label} must contain at least one symbol`);
+}
+
 /**
  * Validation rules for user registration
  *
@@ -45,15 +65,7 @@ export const validateRegistration = [
     .isString()
     .withMessage('Last name must be a string'),
 
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 8, max: 20 })
-    .withMessage('Password must be between 8 and 20 characters')
-    .matches(/[A-Z]/)
-    .withMessage('Password must contain at least one uppercase letter')
-    .matches(/[!@#$%^&*(),.?":{}|<>]/)
-    .withMessage('Password must contain at least one symbol'),
+  passwordComplexity('password', 'Password'),
 ];
 
 /**
@@ -107,3 +119,106 @@ export const validateProfileUpdate = [
     .isString()
     .withMessage('Last name must be a string'),
 ];
+
+/**
+ * Validation rules for password change
+ *
+ * Payload structure:
+ * {
+ *   current_password: string,
+ *   new_password: string (same complexity rules as registration, must differ from current)
+ * }
+ */
+export const validatePasswordChange = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  passwordComplexity('new_password', 'New password')
+    .custom((value, { req }) => value !== req.body.current_password)
+    .withMessage('New password must be different from current password'),
+];
+
+/**
+ * Validation rules for forgot password
+ *
+ * Payload structure:
+ * {
+ *   email: string (valid email format)
+ * }
+ */
+export const validatePasswordForgot = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Paramter email tidak sesuai format')
+    .normalizeEmail(),
+];
+
+/**
+ * Validation rules for password reset
+ *
+ * Payload structure:
+ * {
+ *   token: string (from the reset email),
+ *   new_password: string (same complexity rules as registration)
+ * }
+ */
+export const validatePasswordReset = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required'),
+
+  passwordComplexity('new_password', 'New password'),
+];
+
+/**
+ * Validation rules for email verification
+ *
+ * Query structure:
+ * {
+ *   token: string (from the verification email)
+ * }
+ */
+export const validateEmailVerification = [
+  query('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required'),
+];
+
+/**
+ * Validation rules for unlocking an account
+ *
+ * Query structure:
+ * {
+ *   token: string (from the lockout email link)
+ * }
+ */
+export const validateAccountUnlock = [
+  query('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required'),
+];
+
+/**
+ * Validation rules for resending the verification email
+ *
+ * Payload structure:
+ * {
+ *   email: string (valid email format)
+ * }
+ */
+export const validateVerificationResend = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Paramter email tidak sesuai format')
+    .normalizeEmail(),
+];
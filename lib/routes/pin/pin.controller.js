@@ -0,0 +1,258 @@
+/**
+ * PIN Controller Layer
+ * Handles transaction PIN set, change and reset HTTP requests
+ * Manages database transactions and error handling using Result pattern
+ */
+
+import { catchError } from '#lib/util/result.js';
+import { success, error, badRequest, forbidden, conflict, tooManyRequests } from '#lib/api/response.js';
+import * as pinService from './pin.service.js';
+import * as membershipService from '#lib/routes/membership/membership.service.js';
+import logger from '#lib/util/logger.js';
+import { createDeferredMailer } from '#lib/util/mailer.js';
+
+/**
+ * Run a PIN action that re-verifies the account password, inside the caller's transaction
+ * Wrong passwords count towards the login lockout, so the password cannot be
+ * guessed here without limit to replace a locked PIN
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {object} req - Express request object
+ * @param {object} outbox - Deferred mailer for the account lock email (see createDeferredMailer)
+ * @param {Function} action - Service call that throws 'Password is incorrect' on a wrong password
+ * @returns {Promise<object>} { block } if refused, { failed: true } on a wrong password, {} on success
+ */
+async function runWithPasswordCheck(tx, req, outbox, action) {
+  const { email } = req.middleware.auth.user;
+
+  const block = await membershipService.getLoginBlock(tx, email, req.ip);
+  if (block) {
+    return { block };
+  }
+
+  const [actionErr] = await catchError(action);
+
+  // Counted while getLoginBlock's locks are held, so parallel guesses see this failure
+  if (actionErr?.message === 'Password is incorrect') {
+    await membershipService.recordFailedLogin(tx, outbox, email, req.ip);
+    return { failed: true };
+  }
+
+  if (actionErr) {
+    throw actionErr;
+  }
+
+  return {};
+}
+
+/**
+ * Map the outcome of runWithPasswordCheck to its response
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} outbox - Deferred mailer passed to runWithPasswordCheck, flushed here
+ * @param {object} attempt - Result of runWithPasswordCheck
+ * @returns {Promise<object|null>} Express response, or null if the password was correct
+ */
+async function respondToPasswordCheck(req, res, outbox, attempt) {
+  const userId = req.middleware.auth.user.userId;
+
+  if (attempt.block) {
+    logger.warn('PIN password check blocked', { userId, ip: req.ip, reason: attempt.block.reason });
+    return tooManyRequests(res, 'Terlalu banyak percobaan password salah, coba lagi nanti', attempt.block.retryAfterSeconds);
+  }
+
+  if (!attempt.failed) {
+    return null;
+  }
+
+  // The unlock link is only mailed once the lock is committed
+  const [mailErr] = await catchError(outbox.flush());
+  if (mailErr) {
+    logger.error('Failed to send account unlock email', {
+      error: mailErr.message,
+      stack: mailErr.stack,
+      userId
+    });
+  }
+
+  logger.warn('Wrong password for PIN', { userId, ip: req.ip });
+  return badRequest(res, 'Password salah', null, 102);
+}
+
+/**
+ * Map a PIN verification error to its response
+ * A wrong PIN is recorded in its own transaction (the caller's one was rolled
+ * back) and may lock the PIN
+ *
+ * Shared by every endpoint that verifies the PIN (change PIN, top up, payment)
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the caller's transaction
+ * @returns {Promise<object|null>} Express response, or null if err is not a PIN error
+ */
+export async function respondToPinError(req, res, err) {
+  const userId = req.middleware.auth.user.userId;
+  const { db_conn } = req.app.locals.state;
+
+  if (err.message === 'PIN not set') {
+    return forbidden(res, 'PIN transaksi belum dibuat', 110);
+  }
+
+  if (err.message === 'PIN locked') {
+    return forbidden(res, 'PIN terkunci karena terlalu banyak percobaan salah, reset PIN untuk membuka', 112);
+  }
+
+  if (err.message !== 'Invalid PIN') {
+    return null;
+  }
+
+  const [recordErr, attempt] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await pinService.recordFailedPin(tx, userId);
+    })
+  );
+
+  if (recordErr) {
+    logger.error('Failed to record wrong PIN', {
+      error: recordErr.message,
+      stack: recordErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.warn('Wrong PIN entered', { userId, locked: attempt.locked });
+
+  if (attempt.locked) {
+    return forbidden(res, 'PIN terkunci karena terlalu banyak percobaan salah, reset PIN untuk membuka', 112);
+  }
+
+  return error(res, 'PIN salah', 403, 111, { remaining_attempts: attempt.remainingAttempts });
+}
+
+/**
+ * Set PIN - Create the transaction PIN
+ * POST /profile/pin
+ *
+ * Body: { password, pin }
+ * Wrong passwords count towards the login lockout (429 once it applies)
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function setPin(req, res) {
+  const userId = req.middleware.auth.user.userId;
+  const { password, pin } = req.body;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, attempt] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await runWithPasswordCheck(tx, req, outbox, () => pinService.setPin(tx, userId, password, pin));
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'PIN already set') {
+      return conflict(res, 'PIN transaksi sudah dibuat');
+    }
+
+    logger.error('Failed to set PIN', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  const passwordResponse = await respondToPasswordCheck(req, res, outbox, attempt);
+  if (passwordResponse) {
+    return passwordResponse;
+  }
+
+  logger.info('User set transaction PIN', { userId });
+
+  return success(res, 'PIN transaksi berhasil dibuat', null);
+}
+
+/**
+ * Change PIN - Replace the transaction PIN after verifying the current one
+ * PUT /profile/pin
+ *
+ * Body: { current_pin, new_pin }
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function changePin(req, res) {
+  const userId = req.middleware.auth.user.userId;
+  const { current_pin, new_pin } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr] = await catchError(
+    db_conn.transaction(async (tx) => {
+      await pinService.changePin(tx, userId, current_pin, new_pin);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    const pinResponse = await respondToPinError(req, res, txErr);
+    if (pinResponse) {
+      return pinResponse;
+    }
+
+    logger.error('Failed to change PIN', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User changed transaction PIN', { userId });
+
+  return success(res, 'PIN transaksi berhasil diubah', null);
+}
+
+/**
+ * Reset PIN - Replace a forgotten or locked PIN using the account password
+ * POST /profile/pin/reset
+ *
+ * Body: { password, new_pin }
+ * Wrong passwords count towards the login lockout (429 once it applies)
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function resetPin(req, res) {
+  const userId = req.middleware.auth.user.userId;
+  const { password, new_pin } = req.body;
+  const { db_conn, mailer } = req.app.locals.state;
+  const outbox = createDeferredMailer(mailer);
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, attempt] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await runWithPasswordCheck(tx, req, outbox, () => pinService.resetPin(tx, userId, password, new_pin));
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    logger.error('Failed to reset PIN', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  const passwordResponse = await respondToPasswordCheck(req, res, outbox, attempt);
+  if (passwordResponse) {
+    return passwordResponse;
+  }
+
+  logger.info('User reset transaction PIN', { userId });
+
+  return success(res, 'PIN transaksi berhasil direset', null);
+}
@@ -0,0 +1,41 @@
+/**
+ * PIN Routes
+ * Transaction PIN management endpoints
+ */
+
+import express from 'express';
+import * as pinController from './pin.controller.js';
+import { authenticate } from '#lib/middleware/auth.js';
+import { handleValidationErrors } from '#lib/middleware/validation.js';
+import { validatePinSet, validatePinChange, validatePinReset } from './pin.validation.js';
+
+const router = express.Router();
+
+// Create the transaction PIN (requires authentication)
+router.post(
+  '/profile/pin',
+  authenticate,
+  validatePinSet,
+  handleValidationErrors,
+  pinController.setPin
+);
+
+// Change the transaction PIN (requires authentication)
+router.put(
+  '/profile/pin',
+  authenticate,
+  validatePinChange,
+  handleValidationErrors,
+  pinController.changePin
+);
+
+// Reset a forgotten or locked PIN with the account password (requires authentication)
+router.post(
+  '/profile/pin/reset',
+  authenticate,
+  validatePinReset,
+  handleValidationErrors,
+  pinController.resetPin
+);
+
+export default router;
@@ -0,0 +1,222 @@
+/**
+ * PIN Service Layer
+ * Contains transaction PIN management and verification logic
+ * Uses Drizzle ORM with Raw SQL for database operations
+ *
+ * The 6 digit PIN authorizes money movement (top up, payment) and is separate
+ * from the login password. It is stored as a bcrypt hash on the user row and
+ * locked for PIN_LOCKOUT_DURATION after PIN_MAX_FAILED_ATTEMPTS wrong entries.
+ * Resetting the PIN with the account password lifts the lock; wrong passwords
+ * count towards the login lockout (see pin.controller) so this is no way around it.
+ *
+ * NOTE: All service functions accept a transaction (tx) parameter
+ * Services throw errors instead of returning Result - errors are caught in controllers
+ */
+
+import bcrypt from 'bcrypt';
+import { sql } from 'drizzle-orm';
+import { getSaltRounds } from '#lib/routes/membership/membership.service.js';
+
+/**
+ * Get PIN lockout settings from environment
+ *
+ * - maxFailedAttempts: wrong PIN entries before the PIN is locked (default 3)
+ * - lockoutSeconds: how long a locked PIN stays locked (default 1800)
+ */
+function getPinLockoutConfig() {
+  const maxFailedAttempts = parseInt(process.env.PIN_MAX_FAILED_ATTEMPTS || '3', 10);
+  if (isNaN(maxFailedAttempts) || maxFailedAttempts <= 0) {
+    throw new Error('PIN_MAX_FAILED_ATTEMPTS must be a positive number');
+  }
+
+  const lockoutSeconds = parseInt(process.env.PIN_LOCKOUT_DURATION || '1800', 10);
+  if (isNaN(lockoutSeconds) || lockoutSeconds <= 0) {
+    throw new Error('PIN_LOCKOUT_DURATION must be a positive number of seconds');
+  }
+
+  return { maxFailedAttempts, lockoutSeconds };
+}
+
+/**
+ * Load the PIN state of a user, locking the row
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<object>} { id, password_hash, pin_hash, pin_failed_count, is_locked }
+ * @throws {Error} If user not found
+ */
+async function getPinState(tx, userId) {
+  const result = await tx.execute(
+    sql`SELECT id, password_hash, pin_hash, pin_failed_count,
+               COALESCE(pin_locked_until > NOW(), FALSE) AS is_locked
+        FROM users
+        WHERE id = ${parseInt(userId)}
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Store a new PIN hash and clear the failure counter and lock
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number} userId - User ID
+ * @param {string} pin - New PIN (plain text, already validated)
+ * @returns {Promise<void>}
+ */
+async function storePin(tx, userId, pin) {
+  const pinHash = await bcrypt.hash(pin, getSaltRounds());
+
+  await tx.execute(
+    sql`UPDATE users
+        SET pin_hash = ${pinHash},
+            pin_failed_count = 0,
+            pin_locked_until = NULL
+        WHERE id = ${userId}`
+  );
+}
+
+/**
+ * Set the PIN for the first time, after re-verifying the account password
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} password - Account password (plain text)
+ * @param {string} pin - New PIN (plain text, already validated)
+ * @returns {Promise<void>}
+ * @throws {Error} If a PIN is already set or the password is wrong
+ */
+export async function setPin(tx, userId, password, pin) {
+  const state = await getPinState(tx, userId);
+
+  if (state.pin_hash) {
+    throw new Error('PIN already set');
+  }
+
+  if (!(await bcrypt.compare(password, state.password_hash))) {
+    throw new Error('Password is incorrect');
+  }
+
+  await storePin(tx, state.id, pin);
+}
+
+/**
+ * Change the PIN after verifying the current one
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} currentPin - Current PIN (plain text)
+ * @param {string} newPin - New PIN (plain text, already validated)
+ * @returns {Promise<void>}
+ * @throws {Error} See verifyPin
+ */
+export async function changePin(tx, userId, currentPin, newPin) {
+  await verifyPin(tx, userId, currentPin);
+  await storePin(tx, parseInt(userId), newPin);
+}
+
+/**
+ * Reset a forgotten (or locked) PIN with the account password
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} password - Account password (plain text)
+ * @param {string} newPin - New PIN (plain text, already validated)
+ * @returns {Promise<void>}
+ * @throws {Error} If the password is wrong
+ */
+export async function resetPin(tx, userId, password, newPin) {
+  const state = await getPinState(tx, userId);
+
+  if (!(await bcrypt.compare(password, state.password_hash))) {
+    throw new Error('Password is incorrect');
+  }
+
+  await storePin(tx, state.id, newPin);
+}
+
+/**
+ * Verify the PIN authorizing a money movement
+ * Clears the failure counter on success. Failures are recorded separately
+ * with recordFailedPin, because the caller's transaction is rolled back.
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} pin - PIN entered by the user
+ * @returns {Promise<void>}
+ * @throws {Error} If no PIN is set, the PIN is locked or the PIN is wrong
+ */
+export async function verifyPin(tx, userId, pin) {
+  const state = await getPinState(tx, userId);
+
+  if (!state.pin_hash) {
+    throw new Error('PIN not set');
+  }
+
+  if (state.is_locked) {
+    throw new Error('PIN locked');
+  }
+
+  if (!pin || !(await bcrypt.compare(pin, state.pin_hash))) {
+    throw new Error('Invalid PIN');
+  }
+
+  if (state.pin_failed_count > 0) {
+    await tx.execute(
+      sql`UPDATE users
+          SET pin_failed_count = 0,
+              pin_locked_until = NULL
+          WHERE id = ${state.id}`
+    );
+  }
+}
+
+/**
+ * Record a wrong PIN entry, locking the PIN once PIN_MAX_FAILED_ATTEMPTS is reached
+ * A lock that already expired does not count towards the next one
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<object>} { locked, remainingAttempts }
+ */
+export async function recordFailedPin(tx, userId) {
+  const { maxFailedAttempts, lockoutSeconds } = getPinLockoutConfig();
+
+  const result = await tx.execute(
+    sql`UPDATE users
+        SET pin_failed_count = CASE
+              WHEN pin_locked_until IS NOT NULL AND pin_locked_until <= NOW() THEN 1
+              ELSE pin_failed_count + 1
+            END,
+            pin_locked_until = CASE
+              WHEN pin_locked_until IS NOT NULL AND pin_locked_until <= NOW() THEN NULL
+              ELSE pin_locked_until
+            END
+        WHERE id = ${parseInt(userId)}
+        RETURNING pin_failed_count`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const failedCount = result.rows[0].pin_failed_count;
+
+  if (failedCount < maxFailedAttempts) {
+    return { locked: false, remainingAttempts: maxFailedAttempts - failedCount };
+  }
+
+  await tx.execute(
+    sql`UPDATE users
+        SET pin_locked_until = NOW() + make_interval(secs => ${lockoutSeconds})
+        WHERE id = ${parseInt(userId)}`
+  );
+
+  return { locked: true, remainingAttempts: 0 };
+}
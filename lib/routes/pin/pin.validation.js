@@ -0,0 +1,74 @@
+/**
+ * PIN Validation Rules
+ * Uses express-validator for request payload validation
+ */
+
+import { body } from 'express-validator';
+
+/**
+ * PIN format rule: exactly 6 digits, sent as a string so leading zeros survive
+ *
+ * @param {string} field - Body field holding the PIN
+ * @param {string} label - Field label used in error messages
+ * @returns {object} express-validator chain
+ */
+export function pinFormat(field, label) {
+  return body(field)
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .isString()
+    .withMessage(`${label} must be a string`)
+    .matches(/^\d{6}$/)
+    .withMessage(`${label} must be 6 digits`);
+}
+
+/**
+ * Validation rules for setting the PIN
+ *
+ * Payload structure:
+ * {
+ *   password: string (account password),
+ *   pin: string (6 digits)
+ * }
+ */
+export const validatePinSet = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  pinFormat('pin', 'PIN'),
+];
+
+/**
+ * Validation rules for changing the PIN
+ *
+ * Payload structure:
+ * {
+ *   current_pin: string (6 digits),
+ *   new_pin: string (6 digits, different from current_pin)
+ * }
+ */
+export const validatePinChange = [
+  pinFormat('current_pin', 'Current PIN'),
+
+  pinFormat('new_pin', 'New PIN')
+    .custom((value, { req }) => value !== req.body.current_pin)
+    .withMessage('New PIN must be different from current PIN'),
+];
+
+/**
+ * Validation rules for resetting the PIN
+ *
+ * Payload structure:
+ * {
+ *   password: string (account password),
+ *   new_pin: string (6 digits)
+ * }
+ */
+export const validatePinReset = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  pinFormat('new_pin', 'New PIN'),
+];
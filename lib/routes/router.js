@@ -3,6 +3,10 @@ import indexRouter from '#lib/routes/index.route.js';
 import membershipRouter from '#lib/routes/membership/membership.route.js';
 import informationRouter from '#lib/routes/information/information.route.js';
 import transactionRouter from '#lib/routes/transaction/transaction.route.js';
+import sessionRouter from '#lib/routes/session/session.route.js';
+import twoFactorRouter from '#lib/routes/twofactor/twofactor.route.js';
+import pinRouter from '#lib/routes/pin/pin.route.js';
+import adminRouter from '#lib/routes/admin/admin.route.js';
 
 const router = express.Router();
 
@@ -11,5 +15,9 @@ router.use('/', indexRouter);
 router.use('/', membershipRouter);
 router.use('/', informationRouter);
 router.use('/', transactionRouter);
+router.use('/', sessionRouter);
+router.use('/', twoFactorRouter);
+router.use('/', pinRouter);
+router.use('/', adminRouter);
 
 export default router;
@@ -0,0 +1,260 @@
+/**
+ * Session Controller Layer
+ * Handles refresh token, logout and session management HTTP requests
+ * Manages database transactions and error handling using Result pattern
+ */
+
+import { catchError, catchErrorSync } from '#lib/util/result.js';
+import { success, error, unauthorized, notFound } from '#lib/api/response.js';
+import { generateToken } from '#lib/util/jwt.js';
+import * as sessionService from './session.service.js';
+import * as sessionDTO from './session.dto.js';
+import * as membershipService from '#lib/routes/membership/membership.service.js';
+import logger from '#lib/util/logger.js';
+
+/**
+ * Refresh - Rotate refresh token and issue a new access token
+ * POST /token/refresh
+ *
+ * Body: { refresh_token }
+ */
+export async function refreshToken(req, res) {
+  const { refresh_token } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, session] = await catchError(
+    db_conn.transaction(async (tx) => {
+      const rotated = await sessionService.rotateRefreshToken(tx, refresh_token);
+      const user = await membershipService.getUserById(tx, rotated.userId);
+
+      return { ...rotated, user };
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Refresh token reuse detected') {
+      // A rotated token came back: assume it was stolen and kill the whole family
+      const [revokeErr, revokedCount] = await catchError(
+        db_conn.transaction(async (tx) => {
+          return await sessionService.revokeTokenFamilyByToken(tx, refresh_token);
+        })
+      );
+
+      if (revokeErr) {
+        logger.error('Failed to revoke refresh token family', {
+          error: revokeErr.message,
+          stack: revokeErr.stack
+        });
+        return error(res, 'Internal server error', 500);
+      }
+
+      logger.warn('Refresh token reuse detected, token family revoked', { revokedCount });
+      return unauthorized(res, 'Refresh token tidak valid atau kadaluwarsa');
+    }
+
+    if (txErr.message === 'Invalid refresh token' ||
+        txErr.message === 'Refresh token expired' ||
+        txErr.message === 'Refresh token is required') {
+      logger.warn('Refresh token rejected', { error: txErr.message });
+      return unauthorized(res, 'Refresh token tidak valid atau kadaluwarsa');
+    }
+
+    logger.error('Token refresh failed', {
+      error: txErr.message,
+      stack: txErr.stack
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  const { user } = session;
+
+  // Generate JWT token (synchronous)
+  const tokenResult = generateToken({
+    userId: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    sid: session.familyId
+  });
+
+  return tokenResult.match({
+    ok: (token) => {
+      logger.info('Access token refreshed', { userId: user.id });
+
+      // Transform to DTO (with error handling)
+      const [dtoErr, tokenResponse] = catchErrorSync(() =>
+        sessionDTO.toTokenResponseDTO(token, session.refreshToken)
+      );
+
+      if (dtoErr) {
+        logger.error('Failed to transform token response to DTO', {
+          error: dtoErr.message,
+          stack: dtoErr.stack,
+          userId: user.id
+        });
+        return error(res, 'Internal server error', 500);
+      }
+
+      return success(res, 'Refresh token berhasil', tokenResponse);
+    },
+    err: (tokenErr) => {
+      logger.error('Failed to generate token', {
+        error: tokenErr.message,
+        stack: tokenErr.stack,
+        userId: user.id
+      });
+      return error(res, 'Failed to generate authentication token', 500);
+    }
+  });
+}
+
+/**
+ * Logout - Revoke the current access token and its session
+ * POST /logout
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function logout(req, res) {
+  const { userId, jti, sid, exp } = req.middleware.auth.user;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr] = await catchError(
+    db_conn.transaction(async (tx) => {
+      // Tokens issued before jti/sid claims existed cannot be revoked individually
+      if (jti) {
+        await sessionService.revokeAccessToken(tx, userId, jti, exp);
+      }
+      if (sid) {
+        await sessionService.revokeSession(tx, userId, sid);
+      }
+    })
+  );
+
+  if (txErr) {
+    logger.error('Logout failed', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User logged out', { userId, sid });
+
+  return success(res, 'Logout berhasil', null);
+}
+
+/**
+ * Logout All - Revoke the current access token and every session of the user
+ * POST /logout/all
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function logoutAll(req, res) {
+  const { userId, jti, exp } = req.middleware.auth.user;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, revokedCount] = await catchError(
+    db_conn.transaction(async (tx) => {
+      if (jti) {
+        await sessionService.revokeAccessToken(tx, userId, jti, exp);
+      }
+      return await sessionService.revokeAllSessions(tx, userId);
+    })
+  );
+
+  if (txErr) {
+    logger.error('Logout from all sessions failed', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('User logged out from all sessions', { userId, revokedCount });
+
+  return success(res, 'Logout dari semua perangkat berhasil', null);
+}
+
+/**
+ * Get active sessions of the current user
+ * GET /sessions
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function getSessions(req, res) {
+  const { userId, sid } = req.middleware.auth.user;
+  const { db_conn } = req.app.locals.state;
+
+  // Use connection pool for read operation (no transaction needed)
+  const [err, sessions] = await catchError(sessionService.getActiveSessions(db_conn, userId));
+
+  if (err) {
+    logger.error('Failed to fetch sessions', {
+      error: err.message,
+      stack: err.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, sessionsResponse] = catchErrorSync(() =>
+    sessions.map(session => sessionDTO.toSessionDTO(session, sid))
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform sessions to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  return success(res, 'Sukses', sessionsResponse);
+}
+
+/**
+ * Terminate a session of the current user
+ * DELETE /sessions/:id
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function terminateSession(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const sessionId = req.params.id;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, terminatedCount] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await sessionService.revokeSession(tx, userId, sessionId);
+    })
+  );
+
+  if (txErr) {
+    logger.error('Failed to terminate session', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId,
+      sessionId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Unknown, foreign or already terminated session
+  if (terminatedCount === 0) {
+    return notFound(res, 'Session tidak ditemukan');
+  }
+
+  logger.info('Session terminated', { userId, sessionId });
+
+  return success(res, 'Session berhasil dihapus', null);
+}
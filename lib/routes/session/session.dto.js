@@ -0,0 +1,56 @@
+/**
+ * Session Data Transfer Objects (DTOs)
+ * Defines the structure of data returned from session controllers
+ */
+
+/**
+ * Transform issued tokens to TokenResponseDTO format
+ *
+ * @param {string} token - JWT access token
+ * @param {string} refreshToken - Opaque refresh token
+ * @returns {object} TokenResponseDTO
+ */
+export function toTokenResponseDTO(token, refreshToken) {
+  return {
+    token,
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Transform raw session data from database to SessionDTO format
+ *
+ * @param {object} session - Raw session data from database
+ * @param {string} currentSessionId - Session id of the requesting token (sid claim)
+ * @returns {object} SessionDTO
+ */
+export function toSessionDTO(session, currentSessionId = null) {
+  return {
+    session_id: session.id,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_on: session.created_on,
+    last_seen_on: session.last_seen_on,
+    is_current: session.id === currentSessionId
+  };
+}
+
+/**
+ * DTO Schemas Documentation
+ *
+ * TokenResponseDTO:
+ * {
+ *   token: string,
+ *   refresh_token: string
+ * }
+ *
+ * SessionDTO:
+ * {
+ *   session_id: string,
+ *   user_agent: string|null,
+ *   ip_address: string|null,
+ *   created_on: string,
+ *   last_seen_on: string,
+ *   is_current: boolean
+ * }
+ */
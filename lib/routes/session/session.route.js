@@ -0,0 +1,40 @@
+/**
+ * Session Routes
+ * Token refresh and session lifecycle endpoints
+ */
+
+import express from 'express';
+import * as sessionController from './session.controller.js';
+import { authenticate } from '#lib/middleware/auth.js';
+import { handleValidationErrors } from '#lib/middleware/validation.js';
+import { validateTokenRefresh, validateSessionId } from './session.validation.js';
+
+const router = express.Router();
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post(
+  '/token/refresh',
+  validateTokenRefresh,
+  handleValidationErrors,
+  sessionController.refreshToken
+);
+
+// Revoke the current token and session (requires authentication)
+router.post('/logout', authenticate, sessionController.logout);
+
+// Revoke every session of the current user (requires authentication)
+router.post('/logout/all', authenticate, sessionController.logoutAll);
+
+// List active sessions of the current user (requires authentication)
+router.get('/sessions', authenticate, sessionController.getSessions);
+
+// Terminate one of the current user's sessions (requires authentication)
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validateSessionId,
+  handleValidationErrors,
+  sessionController.terminateSession
+);
+
+export default router;
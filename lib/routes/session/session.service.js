@@ -0,0 +1,348 @@
+/**
+ * Session Service Layer
+ * Contains session tracking, refresh token issuing, rotation and revocation logic
+ * Uses Drizzle ORM with Raw SQL for database operations
+ *
+ * Every login creates a row in user_sessions. Refresh tokens are grouped in
+ * families keyed by that session id: a family starts at login and every
+ * rotation adds a new token to the same family. Presenting a token that was
+ * already rotated (or revoked) is treated as reuse, and the caller is expected
+ * to revoke the whole family.
+ *
+ * The family id doubles as the session id (`sid` claim) of every access token
+ * issued from it, so revoking a session also rejects its outstanding access
+ * tokens through the revoked_tokens store.
+ *
+ * NOTE: All service functions accept a transaction (tx) parameter
+ * Services throw errors instead of returning Result - errors are caught in controllers
+ */
+
+import { sql } from 'drizzle-orm';
+import { generateOpaqueToken, hashToken } from '#lib/util/token.js';
+import { getAccessTokenTtl, getRefreshTokenTtl } from '#lib/util/jwt.js';
+
+/**
+ * Revocation store entry types
+ */
+export const REVOKED_TOKEN_TYPE = {
+  ACCESS: 'ACCESS',
+  SESSION: 'SESSION'
+};
+
+/**
+ * Insert a new refresh token into a family
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} familyId - Token family (UUID)
+ * @returns {Promise<object>} { refreshToken, familyId, expiresAt }
+ */
+async function insertRefreshToken(tx, userId, familyId) {
+  const refreshToken = generateOpaqueToken();
+  const ttlSeconds = getRefreshTokenTtl();
+
+  const result = await tx.execute(
+    sql`INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+        VALUES (${parseInt(userId)}, ${familyId}, ${hashToken(refreshToken)},
+                NOW() + make_interval(secs => ${ttlSeconds}))
+        RETURNING expires_at`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create refresh token');
+  }
+
+  return {
+    refreshToken,
+    familyId,
+    expiresAt: result.rows[0].expires_at
+  };
+}
+
+/**
+ * Create a new session (used at login)
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {object} client - Client info { userAgent, ipAddress }
+ * @returns {Promise<object>} Created session row
+ */
+export async function createSession(tx, userId, client = {}) {
+  const result = await tx.execute(
+    sql`INSERT INTO user_sessions (user_id, user_agent, ip_address)
+        VALUES (${parseInt(userId)}, ${client.userAgent || null}, ${client.ipAddress || null})
+        RETURNING id, user_id, user_agent, ip_address, created_on, last_seen_on`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create session');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Issue the first refresh token of a session's family (used at login)
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} sessionId - Session id, used as the token family id
+ * @returns {Promise<object>} { refreshToken, familyId, expiresAt }
+ */
+export async function createRefreshToken(tx, userId, sessionId) {
+  return await insertRefreshToken(tx, userId, sessionId);
+}
+
+/**
+ * Rotate a refresh token
+ * Marks the presented token as used and issues its successor in the same family
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} refreshToken - Raw refresh token presented by the client
+ * @returns {Promise<object>} { userId, refreshToken, familyId, expiresAt }
+ * @throws {Error} If token is unknown, expired, or was already used/revoked
+ */
+export async function rotateRefreshToken(tx, refreshToken) {
+  if (!refreshToken) {
+    throw new Error('Refresh token is required');
+  }
+
+  // Lock the row so two concurrent refreshes cannot both rotate the same token
+  const result = await tx.execute(
+    sql`SELECT id, user_id, family_id, expires_at, used_on, revoked_on,
+               expires_at <= NOW() AS is_expired
+        FROM refresh_tokens
+        WHERE token_hash = ${hashToken(refreshToken)}
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const storedToken = result.rows[0];
+
+  if (storedToken.used_on || storedToken.revoked_on) {
+    throw new Error('Refresh token reuse detected');
+  }
+
+  if (storedToken.is_expired) {
+    throw new Error('Refresh token expired');
+  }
+
+  await tx.execute(
+    sql`UPDATE refresh_tokens SET used_on = NOW() WHERE id = ${storedToken.id}`
+  );
+
+  const rotated = await insertRefreshToken(tx, storedToken.user_id, storedToken.family_id);
+
+  return {
+    userId: storedToken.user_id,
+    ...rotated
+  };
+}
+
+/**
+ * Revoke a session (refresh token family)
+ * Terminates the session, revokes its refresh tokens and records the session id
+ * in the revocation store for as long as any access token issued from it could
+ * still be valid
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID owning the session
+ * @param {string} sessionId - Session / token family id (UUID)
+ * @returns {Promise<number>} Number of terminated sessions (0 if unknown or already terminated)
+ */
+export async function revokeSession(tx, userId, sessionId) {
+  const result = await tx.execute(
+    sql`UPDATE user_sessions
+        SET terminated_on = NOW()
+        WHERE id = ${sessionId}
+          AND user_id = ${parseInt(userId)}
+          AND terminated_on IS NULL
+        RETURNING id`
+  );
+
+  await tx.execute(
+    sql`UPDATE refresh_tokens
+        SET revoked_on = NOW()
+        WHERE family_id = ${sessionId}
+          AND user_id = ${parseInt(userId)}
+          AND revoked_on IS NULL`
+  );
+
+  await tx.execute(
+    sql`INSERT INTO revoked_tokens (token_id, token_type, user_id, expires_at)
+        VALUES (${sessionId}, ${REVOKED_TOKEN_TYPE.SESSION}, ${parseInt(userId)},
+                NOW() + make_interval(secs => ${getAccessTokenTtl()}))
+        ON CONFLICT (token_id) DO NOTHING`
+  );
+
+  return result.rows.length;
+}
+
+/**
+ * Revoke every session of a user
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string|null} exceptSessionId - Session to keep alive (e.g. the one changing the password)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export async function revokeAllSessions(tx, userId, exceptSessionId = null) {
+  const result = await tx.execute(
+    sql`SELECT id
+        FROM user_sessions
+        WHERE user_id = ${parseInt(userId)}
+          AND terminated_on IS NULL
+          AND (${exceptSessionId}::uuid IS NULL OR id <> ${exceptSessionId}::uuid)`
+  );
+
+  for (const row of result.rows) {
+    await revokeSession(tx, userId, row.id);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Revoke a single access token by its jti until it would have expired anyway
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID owning the token
+ * @param {string} jti - Access token id
+ * @param {number} exp - Access token expiry (seconds since epoch, JWT `exp` claim)
+ * @returns {Promise<void>}
+ */
+export async function revokeAccessToken(tx, userId, jti, exp) {
+  if (!jti || !exp) {
+    throw new Error('Token id and expiry are required');
+  }
+
+  await tx.execute(
+    sql`INSERT INTO revoked_tokens (token_id, token_type, user_id, expires_at)
+        VALUES (${jti}, ${REVOKED_TOKEN_TYPE.ACCESS}, ${parseInt(userId)}, to_timestamp(${exp}))
+        ON CONFLICT (token_id) DO NOTHING`
+  );
+}
+
+/**
+ * Check whether an access token has been revoked, either directly (jti)
+ * or through its session (sid)
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {string} jti - Access token id (may be undefined for legacy tokens)
+ * @param {string} sid - Session id (may be undefined for legacy tokens)
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+export async function isTokenRevoked(db_conn, jti, sid) {
+  const tokenIds = [jti, sid].filter(Boolean);
+
+  if (tokenIds.length === 0) {
+    return false;
+  }
+
+  const result = await db_conn.execute(
+    sql`SELECT 1
+        FROM revoked_tokens
+        WHERE token_id IN ${tokenIds}
+          AND expires_at > NOW()
+        LIMIT 1`
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Check that a session is still active and record activity on it
+ * last_seen_on is only written when it is older than a minute, so busy clients
+ * do not turn every authenticated request into a write
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {string} sessionId - Session id (`sid` claim)
+ * @returns {Promise<boolean>} True if the session exists and is not terminated
+ */
+export async function touchSession(db_conn, sessionId) {
+  const result = await db_conn.execute(
+    sql`WITH touched AS (
+          UPDATE user_sessions
+          SET last_seen_on = NOW()
+          WHERE id = ${sessionId}
+            AND terminated_on IS NULL
+            AND last_seen_on < NOW() - INTERVAL '1 minute'
+        )
+        SELECT terminated_on
+        FROM user_sessions
+        WHERE id = ${sessionId}
+        LIMIT 1`
+  );
+
+  return result.rows.length > 0 && !result.rows[0].terminated_on;
+}
+
+/**
+ * Get active sessions of a user, most recently used first
+ * A session is active while it is not terminated and still holds a usable refresh token
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<Array>} Array of session rows
+ */
+export async function getActiveSessions(db_conn, userId) {
+  const result = await db_conn.execute(
+    sql`SELECT s.id, s.user_agent, s.ip_address, s.created_on, s.last_seen_on
+        FROM user_sessions s
+        WHERE s.user_id = ${parseInt(userId)}
+          AND s.terminated_on IS NULL
+          AND EXISTS (
+            SELECT 1 FROM refresh_tokens rt
+            WHERE rt.family_id = s.id
+              AND rt.revoked_on IS NULL
+              AND rt.used_on IS NULL
+              AND rt.expires_at > NOW()
+          )
+        ORDER BY s.last_seen_on DESC`
+  );
+
+  return result.rows;
+}
+
+/**
+ * Delete revocation entries whose tokens have expired on their own
+ *
+ * @param {object} db_conn - Drizzle connection object
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function deleteExpiredRevocations(db_conn) {
+  const result = await db_conn.execute(
+    sql`DELETE FROM revoked_tokens WHERE expires_at <= NOW()`
+  );
+
+  return result.rowCount || 0;
+}
+
+/**
+ * Revoke the session the given refresh token belongs to
+ * Used when reuse of a rotated token is detected
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {string} refreshToken - Raw refresh token presented by the client
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+export async function revokeTokenFamilyByToken(tx, refreshToken) {
+  const result = await tx.execute(
+    sql`SELECT user_id, family_id
+        FROM refresh_tokens
+        WHERE token_hash = ${hashToken(refreshToken)}
+        LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  const { user_id, family_id } = result.rows[0];
+
+  return await revokeSession(tx, user_id, family_id);
+}
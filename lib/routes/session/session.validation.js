@@ -0,0 +1,37 @@
+/**
+ * Session Validation Rules
+ * Uses express-validator for request payload validation
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * Validation rules for refreshing an access token
+ *
+ * Payload structure:
+ * {
+ *   refresh_token: string
+ * }
+ */
+export const validateTokenRefresh = [
+  body('refresh_token')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
+    .withMessage('Refresh token must be a string'),
+];
+
+/**
+ * Validation rules for terminating a session
+ *
+ * Params:
+ * {
+ *   id: string (UUID)
+ * }
+ */
+export const validateSessionId = [
+  param('id')
+    .isUUID()
+    .withMessage('Session id tidak valid'),
+];
@@ -2,8 +2,15 @@ import { catchError, catchErrorSync } from '#lib/util/result.js';
 import { success, error } from '#lib/api/response.js';
 import * as transactionService from './transaction.service.js';
 import * as transactionDTO from './transaction.dto.js';
+import * as pinService from '#lib/routes/pin/pin.service.js';
+import { respondToPinError } from '#lib/routes/pin/pin.controller.js';
+import { storeIdempotentResponse } from '#lib/middleware/idempotency.js';
 import logger from '#lib/util/logger.js';
 
+// Success messages, also stored with the Idempotency-Key for replays
+const TOP_UP_MESSAGE = 'Top Up Balance berhasil';
+const TRANSACTION_MESSAGE = 'Transaksi berhasil';
+
 /**
  * Get user balance
  * GET /balance
@@ -34,20 +41,34 @@ export async function getBalance(req, res) {
 /**
  * Top up user balance
  * POST /topup
+ *
+ * Body: { top_up_amount, pin }
  */
 export async function topUp(req, res) {
   const { db_conn } = req.app.locals.state;
   const userId = req.middleware.auth.user.userId;
-  const { top_up_amount } = req.body;
+  const { top_up_amount, pin } = req.body;
 
   // Use Drizzle transaction with callback pattern (auto-rollback on error)
-  const [err, result] = await catchError(
+  const [err, topUpResponse] = await catchError(
     db_conn.transaction(async (tx) => {
-      return await transactionService.topUpBalance(tx, userId, top_up_amount);
+      await pinService.verifyPin(tx, userId, pin);
+      const result = await transactionService.topUpBalance(tx, userId, top_up_amount);
+      const topUpResponse = transactionDTO.toTopUpResponseDTO(result);
+
+      // Committed with the balance change, a retry with the same Idempotency-Key replays it
+      await storeIdempotentResponse(tx, req, TOP_UP_MESSAGE, topUpResponse);
+
+      return topUpResponse;
     })
   );
 
   if (err) {
+    const pinResponse = await respondToPinError(req, res, err);
+    if (pinResponse) {
+      return pinResponse;
+    }
+
     logger.error('Top up failed', { error: err.message, stack: err.stack, userId, amount: top_up_amount });
 
     // Check for specific user-facing error messages
@@ -62,40 +83,149 @@ export async function topUp(req, res) {
     return error(res, 'Internal server error', 500);
   }
 
+  return success(res, TOP_UP_MESSAGE, topUpResponse);
+}
+
+// Amount / denomination_id that do not match the service amount type
+const AMOUNT_ERRORS = [
+  'Service ini memerlukan denomination_id',
+  'Denominasi tidak ditemukan',
+  'Service ini memerlukan amount',
+  'Amount di luar batas yang diizinkan',
+  'Service ini bertarif tetap, amount dan denomination_id tidak diperlukan'
+];
+
+/**
+ * Map service lookup errors shared by inquiries and payments to responses
+ *
+ * @param {object} res - Express response object
+ * @param {Error} err - Error thrown inside the transaction
+ * @returns {object|null} Express response, or null if the error is not a service lookup error
+ */
+function respondToServiceError(res, err) {
+  if (err.message === 'Service ataus Layanan tidak ditemukan') {
+    return error(res, err.message, 400, 102, null);
+  }
+  if (err.message === 'Service atau Layanan sedang tidak tersedia') {
+    return error(res, err.message, 400, 113, null);
+  }
+
+  return null;
+}
+
+/**
+ * Create bill inquiry for a billed service (PLN, PDAM, ...)
+ * POST /transaction/inquiry
+ *
+ * Body: { service_code, customer_number }
+ */
+export async function createInquiry(req, res) {
+  const { db_conn, biller } = req.app.locals.state;
+  const userId = req.middleware.auth.user.userId;
+  const { service_code, customer_number } = req.body;
+
+  // Use Drizzle transaction with callback pattern (auto-rollback on error)
+  const [err, inquiry] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await transactionService.createInquiry(tx, biller, userId, service_code, customer_number);
+    })
+  );
+
+  if (err) {
+    const serviceResponse = respondToServiceError(res, err);
+    if (serviceResponse) {
+      return serviceResponse;
+    }
+
+    if (err.message === 'Service tidak memerlukan inquiry') {
+      return error(res, err.message, 400, 102, null);
+    }
+    if (err.message === 'Nomor pelanggan tidak ditemukan') {
+      return error(res, err.message, 400, 102, null);
+    }
+
+    logger.error('Bill inquiry failed', { error: err.message, stack: err.stack, userId, service_code });
+
+    if (err.message === 'Biller unavailable') {
+      return error(res, 'Biller sedang tidak dapat dihubungi, silakan coba lagi', 503, 114, null);
+    }
+
+    return error(res, 'Internal server error', 500);
+  }
+
   // Transform to DTO with error handling
-  const [dtoErr, topUpResponse] = catchErrorSync(() => transactionDTO.toTopUpResponseDTO(result));
+  const [dtoErr, inquiryResponse] = catchErrorSync(() => transactionDTO.toInquiryResponseDTO(inquiry));
 
   if (dtoErr) {
-    logger.error('Failed to transform top up result to DTO', { error: dtoErr.message });
+    logger.error('Failed to transform inquiry to DTO', { error: dtoErr.message });
     return error(res, 'Internal server error', 500);
   }
 
-  return success(res, 'Top Up Balance berhasil', topUpResponse);
+  return success(res, 'Inquiry berhasil', inquiryResponse);
 }
 
 /**
  * Create transaction (payment)
  * POST /transaction
+ *
+ * Body: { service_code, pin } for FIXED services
+ *       { service_code, denomination_id, pin } for DENOMINATION services
+ *       { service_code, amount, pin } for RANGE services
+ *       { inquiry_id, pin } for billed services
  */
 export async function createTransaction(req, res) {
   const { db_conn } = req.app.locals.state;
   const userId = req.middleware.auth.user.userId;
-  const { service_code } = req.body;
+  const { service_code, inquiry_id, amount, denomination_id, pin } = req.body;
 
   // Use Drizzle transaction with callback pattern (auto-rollback on error)
-  const [err, result] = await catchError(
+  const [err, transactionResponse] = await catchError(
     db_conn.transaction(async (tx) => {
-      return await transactionService.createTransaction(tx, userId, service_code);
+      await pinService.verifyPin(tx, userId, pin);
+
+      const result = inquiry_id
+        ? await transactionService.payInquiry(tx, userId, inquiry_id)
+        : await transactionService.createTransaction(tx, userId, service_code, {
+          amount: amount ?? null,
+          denominationId: denomination_id ?? null
+        });
+      const transactionResponse = transactionDTO.toTransactionResponseDTO(result);
+
+      // Committed with the payment, a retry with the same Idempotency-Key replays it
+      await storeIdempotentResponse(tx, req, TRANSACTION_MESSAGE, transactionResponse);
+
+      return transactionResponse;
     })
   );
 
   if (err) {
-    logger.error('Transaction failed', { error: err.message, userId, service_code });
+    const pinResponse = await respondToPinError(req, res, err);
+    if (pinResponse) {
+      return pinResponse;
+    }
+
+    logger.error('Transaction failed', { error: err.message, userId, service_code, inquiry_id });
 
     // Check for specific error messages
-    if (err.message === 'Service ataus Layanan tidak ditemukan') {
+    const serviceResponse = respondToServiceError(res, err);
+    if (serviceResponse) {
+      return serviceResponse;
+    }
+    if (err.message === 'Service memerlukan inquiry, bayar dengan inquiry_id') {
+      return error(res, err.message, 400, 102, null);
+    }
+    if (AMOUNT_ERRORS.includes(err.message)) {
+      return error(res, err.message, 400, 102, null);
+    }
+    if (err.message === 'Inquiry tidak ditemukan') {
+      return error(res, err.message, 404, 104, null);
+    }
+    if (err.message === 'Inquiry sudah kadaluwarsa') {
       return error(res, err.message, 400, 102, null);
     }
+    if (err.message === 'Inquiry sudah dibayar') {
+      return error(res, err.message, 409, 109, null);
+    }
     if (err.message === 'Balance tidak mencukupi') {
       return error(res, err.message, 400, 102, null);
     }
@@ -103,15 +233,7 @@ export async function createTransaction(req, res) {
     return error(res, 'Internal server error', 500);
   }
 
-  // Transform to DTO with error handling
-  const [dtoErr, transactionResponse] = catchErrorSync(() => transactionDTO.toTransactionResponseDTO(result));
-
-  if (dtoErr) {
-    logger.error('Failed to transform transaction result to DTO', { error: dtoErr.message });
-    return error(res, 'Internal server error', 500);
-  }
-
-  return success(res, 'Transaksi berhasil', transactionResponse);
+  return success(res, TRANSACTION_MESSAGE, transactionResponse);
 }
 
 /**
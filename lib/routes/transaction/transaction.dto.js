@@ -36,11 +36,34 @@ export function toTransactionResponseDTO(transaction) {
     service_code: transaction.service_code,
     service_name: transaction.service_name,
     transaction_type: transaction.transaction_type,
+    base_amount: transaction.total_amount - transaction.fee_amount,
+    fee_amount: transaction.fee_amount,
     total_amount: transaction.total_amount,
+    customer_number: transaction.customer_number ?? null,
+    customer_name: transaction.customer_name ?? null,
     created_on: transaction.created_on
   };
 }
 
+/**
+ * Transform bill inquiry to InquiryResponseDTO
+ * @param {Object} inquiry - Inquiry object from service
+ * @returns {Object} Formatted inquiry response
+ */
+export function toInquiryResponseDTO(inquiry) {
+  return {
+    inquiry_id: inquiry.id,
+    service_code: inquiry.service_code,
+    service_name: inquiry.service_name,
+    customer_number: inquiry.customer_number,
+    customer_name: inquiry.customer_name,
+    amount: inquiry.amount,
+    fee_amount: inquiry.fee_amount,
+    total_amount: inquiry.amount + inquiry.fee_amount,
+    expires_at: inquiry.expires_at
+  };
+}
+
 /**
  * Transform transaction history record to HistoryRecordDTO
  * @param {Object} record - Transaction history record
@@ -51,7 +74,10 @@ export function toHistoryRecordDTO(record) {
     invoice_number: record.invoice_number,
     transaction_type: record.transaction_type,
     description: record.description,
+    base_amount: record.total_amount - record.fee_amount,
+    fee_amount: record.fee_amount,
     total_amount: record.total_amount,
+    original_invoice_number: record.original_invoice_number ?? null,
     created_on: record.created_on
   };
 }
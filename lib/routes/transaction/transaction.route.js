@@ -1,27 +1,47 @@
 import express from 'express';
 import * as transactionController from './transaction.controller.js';
-import { authenticate } from '#lib/middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '#lib/middleware/auth.js';
 import { handleValidationErrors } from '#lib/middleware/validation.js';
-import { validateTopUp, validateTransaction, validateTransactionHistory } from './transaction.validation.js';
+import { idempotent } from '#lib/middleware/idempotency.js';
+import {
+  validateTopUp,
+  validateTransaction,
+  validateInquiry,
+  validateTransactionHistory
+} from './transaction.validation.js';
 
 const router = express.Router();
 
 // GET /balance - Get user balance
 router.get('/balance', authenticate, transactionController.getBalance);
 
-// POST /topup - Top up balance
+// POST /topup - Top up balance (requires verified email and transaction PIN, honors Idempotency-Key)
 router.post(
   '/topup',
   authenticate,
+  requireVerifiedEmail,
+  idempotent,
   validateTopUp,
   handleValidationErrors,
   transactionController.topUp
 );
 
-// POST /transaction - Create transaction
+// POST /transaction/inquiry - Get the amount due for a billed service (requires verified email)
+router.post(
+  '/transaction/inquiry',
+  authenticate,
+  requireVerifiedEmail,
+  validateInquiry,
+  handleValidationErrors,
+  transactionController.createInquiry
+);
+
+// POST /transaction - Pay a service or a bill inquiry (requires verified email and transaction PIN, honors Idempotency-Key)
 router.post(
   '/transaction',
   authenticate,
+  requireVerifiedEmail,
+  idempotent,
   validateTransaction,
   handleValidationErrors,
   transactionController.createTransaction
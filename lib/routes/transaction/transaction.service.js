@@ -1,4 +1,6 @@
 import { sql } from 'drizzle-orm';
+import { SERVICE_AVAILABLE, EFFECTIVE_TARIFF_JOIN } from '#lib/routes/information/information.service.js';
+import { LEDGER_ACCOUNT, walletAccountCode, postJournalEntry } from '#lib/routes/ledger/ledger.service.js';
 
 /**
  * Get user balance by user ID
@@ -21,7 +23,7 @@ export async function getBalance(db_conn, userId) {
 /**
  * Get transaction type ID by type name
  * @param {Object} db_conn - Database connection or transaction
- * @param {string} typeName - Transaction type name ('TOPUP' or 'PAYMENT')
+ * @param {string} typeName - Transaction type name ('TOPUP', 'PAYMENT' or 'REFUND')
  * @returns {Promise<number>} Transaction type ID
  */
 async function getTransactionTypeId(db_conn, typeName) {
@@ -36,8 +38,65 @@ async function getTransactionTypeId(db_conn, typeName) {
   return result.rows[0].id;
 }
 
+/**
+ * Invoice number format from environment
+ * Invoice numbers are {prefix}{date}-{sequence}, e.g. INV19102026-001
+ * - INVOICE_PREFIX: text before the date (default INV)
+ * - INVOICE_DATE_FORMAT: PostgreSQL TO_CHAR pattern (default DDMMYYYY)
+ * - INVOICE_SEQUENCE_PADDING: minimum sequence digits, zero-padded (default 3)
+ * - INVOICE_TIMEZONE: time zone the date is taken in (default UTC)
+ * The sequence restarts whenever {prefix}{date} changes
+ * @returns {Object} { prefix, dateFormat, padding, timezone }
+ * @throws {Error} If the padding or time zone is invalid
+ */
+function getInvoiceFormat() {
+  const padding = parseInt(process.env.INVOICE_SEQUENCE_PADDING || '3', 10);
+  if (isNaN(padding) || padding < 1 || padding > 12) {
+    throw new Error('INVOICE_SEQUENCE_PADDING must be a number between 1 and 12');
+  }
+
+  const timezone = process.env.INVOICE_TIMEZONE || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error('INVOICE_TIMEZONE must be a valid IANA time zone');
+  }
+
+  return {
+    prefix: process.env.INVOICE_PREFIX ?? 'INV',
+    dateFormat: process.env.INVOICE_DATE_FORMAT || 'DDMMYYYY',
+    padding,
+    timezone
+  };
+}
+
+/**
+ * Hand out the next invoice number
+ * The counter row of the period is incremented in one statement, so concurrent
+ * transactions wait for each other and never get the same number. The row stays
+ * locked until the surrounding transaction ends; a rolled back transaction
+ * gives its number back.
+ * @param {Object} tx - Database transaction
+ * @returns {Promise<string>} Invoice number
+ */
+async function generateInvoiceNumber(tx) {
+  const { prefix, dateFormat, padding, timezone } = getInvoiceFormat();
+
+  const result = await tx.execute(
+    sql`INSERT INTO invoice_counters (period, last_sequence)
+        VALUES (${prefix} || TO_CHAR(NOW() AT TIME ZONE ${timezone}, ${dateFormat}), 1)
+        ON CONFLICT (period) DO UPDATE
+        SET last_sequence = invoice_counters.last_sequence + 1,
+            updated_on = NOW()
+        RETURNING period || '-' || LPAD(last_sequence::text, GREATEST(${padding}::integer, LENGTH(last_sequence::text)), '0') AS invoice_number`
+  );
+
+  return result.rows[0].invoice_number;
+}
+
 /**
  * Top up user balance
+ * Posts debit CASH, credit the user's wallet
  * @param {Object} tx - Database transaction
  * @param {number} userId - User ID
  * @param {number} amount - Top up amount
@@ -49,33 +108,40 @@ export async function topUpBalance(tx, userId, amount) {
     throw new Error('Paramter amount hanya boleh angka dan tidak boleh lebih kecil dari 0');
   }
 
-  // Get current balance
+  // Credit in a single statement so concurrent top ups and payments cannot lose updates
   const balanceResult = await tx.execute(
-    sql`SELECT balance FROM user_balance WHERE user_id = ${userId} LIMIT 1`
+    sql`UPDATE user_balance
+        SET balance = balance + ${amount}
+        WHERE user_id = ${userId}
+        RETURNING balance`
   );
 
   if (balanceResult.rows.length === 0) {
     throw new Error('User not found');
   }
 
-  const currentBalance = balanceResult.rows[0].balance;
-  const newBalance = currentBalance + amount;
-
-  // Update balance
-  await tx.execute(
-    sql`UPDATE user_balance SET balance = ${newBalance} WHERE user_id = ${userId}`
-  );
+  const newBalance = balanceResult.rows[0].balance;
 
   // Get transaction type ID for TOPUP
   const transactionTypeId = await getTransactionTypeId(tx, 'TOPUP');
 
-  // Create transaction record (invoice_number will be auto-generated by database trigger)
+  // Create transaction record
+  const invoiceNumber = await generateInvoiceNumber(tx);
   const transactionResult = await tx.execute(
     sql`INSERT INTO user_transactions (user_id, invoice_number, service_id, description, transaction_type_id, total_amount, created_on)
-        VALUES (${userId}, NULL, NULL, 'Top Up balance', ${transactionTypeId}, ${amount}, NOW())
+        VALUES (${userId}, ${invoiceNumber}, NULL, 'Top Up balance', ${transactionTypeId}, ${amount}, NOW())
         RETURNING *`
   );
 
+  await postJournalEntry(tx, {
+    transactionId: transactionResult.rows[0].id,
+    description: `Top up ${invoiceNumber}`,
+    postings: [
+      { accountCode: LEDGER_ACCOUNT.CASH, amount },
+      { accountCode: walletAccountCode(userId), amount: -amount }
+    ]
+  });
+
   return {
     balance: newBalance,
     transaction: transactionResult.rows[0]
@@ -83,68 +149,212 @@ export async function topUpBalance(tx, userId, amount) {
 }
 
 /**
- * Get service by service code
+ * Get service by service code (deleted services are not found)
+ * Inactive services and services inside their maintenance window are rejected
+ * tariff / tariff_id are the tariff effective now (NOW() is the start of the
+ * surrounding transaction, the same instant the payment is recorded at)
  * @param {Object} db_conn - Database connection
  * @param {string} serviceCode - Service code
- * @returns {Promise<Object>} Service object
+ * @returns {Promise<Object>} Service object with tariff and tariff_id
  */
 export async function getServiceByCode(db_conn, serviceCode) {
   const result = await db_conn.execute(
-    sql`SELECT * FROM services WHERE code = ${serviceCode} LIMIT 1`
+    sql`SELECT s.*, t.tariff, t.id AS tariff_id, ${SERVICE_AVAILABLE} AS is_available
+        FROM services s
+        ${EFFECTIVE_TARIFF_JOIN}
+        WHERE s.code = ${serviceCode} AND s.deleted_on IS NULL
+        LIMIT 1`
   );
 
   if (result.rows.length === 0) {
     throw new Error('Service ataus Layanan tidak ditemukan');
   }
 
+  if (!result.rows[0].is_available) {
+    throw new Error('Service atau Layanan sedang tidak tersedia');
+  }
+
   return result.rows[0];
 }
 
 /**
- * Create a transaction (payment)
+ * Lifetime of a bill inquiry in seconds (BILL_INQUIRY_EXPIRES_IN, default 900 = 15 minutes)
+ * @returns {number} Lifetime in seconds
+ */
+export function getInquiryTtl() {
+  const ttl = parseInt(process.env.BILL_INQUIRY_EXPIRES_IN, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : 900;
+}
+
+/**
+ * Work out the amount to charge for a service from its amount type
+ * - FIXED: the tariff effective now, amount and denomination_id are not accepted
+ * - DENOMINATION: the amount of the picked denomination_id of this service
+ * - RANGE: the amount sent by the user, within the service min_amount / max_amount
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {Object} service - Service row from getServiceByCode
+ * @param {Object} options - { amount, denominationId }, both optional
+ * @returns {Promise<Object>} { amount, tariffId, denominationId }
+ * @throws {Error} If the options do not match the service configuration
+ */
+async function resolvePaymentAmount(db_conn, service, { amount = null, denominationId = null } = {}) {
+  switch (service.amount_type) {
+    case 'DENOMINATION': {
+      if (denominationId === null || amount !== null) {
+        throw new Error('Service ini memerlukan denomination_id');
+      }
+
+      const result = await db_conn.execute(
+        sql`SELECT id, amount FROM service_denominations
+            WHERE id = ${denominationId} AND service_id = ${service.id} AND deleted_on IS NULL
+            LIMIT 1`
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Denominasi tidak ditemukan');
+      }
+
+      return { amount: result.rows[0].amount, tariffId: null, denominationId: result.rows[0].id };
+    }
+    case 'RANGE':
+      if (amount === null || denominationId !== null) {
+        throw new Error('Service ini memerlukan amount');
+      }
+
+      if ((service.min_amount !== null && amount < service.min_amount)
+        || (service.max_amount !== null && amount > service.max_amount)) {
+        throw new Error('Amount di luar batas yang diizinkan');
+      }
+
+      return { amount, tariffId: null, denominationId: null };
+    default:
+      if (amount !== null || denominationId !== null) {
+        throw new Error('Service ini bertarif tetap, amount dan denomination_id tidak diperlukan');
+      }
+
+      return { amount: service.tariff, tariffId: service.tariff_id, denominationId: null };
+  }
+}
+
+/**
+ * Get the fee rule that applies to a payment
+ * A rule for the service beats a rule for any service, and within those a
+ * rule for the user tier beats a rule for any tier
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {number} userId - User ID (its tier is looked up)
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Object|null>} Fee rule row (id, fee_type, fee_value) or null if none matches
+ */
+async function getFeeRule(db_conn, userId, serviceId) {
+  const result = await db_conn.execute(
+    sql`SELECT fr.id, fr.fee_type, fr.fee_value
+        FROM fee_rules fr
+        WHERE fr.deleted_on IS NULL
+          AND (fr.service_id = ${serviceId} OR fr.service_id IS NULL)
+          AND (fr.tier = (SELECT tier FROM users WHERE id = ${userId}) OR fr.tier IS NULL)
+        ORDER BY fr.service_id IS NULL, fr.tier IS NULL
+        LIMIT 1`
+  );
+
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Fee charged on top of a base amount
+ * FLAT fee_value is rupiah, PERCENTAGE fee_value is basis points (150 = 1.5%),
+ * rounded to the nearest rupiah
+ * @param {Object|null} feeRule - Fee rule from getFeeRule
+ * @param {number} baseAmount - Amount before fees
+ * @returns {number} Fee amount
+ */
+function calculateFee(feeRule, baseAmount) {
+  if (!feeRule) {
+    return 0;
+  }
+
+  if (feeRule.fee_type === 'PERCENTAGE') {
+    return Math.round(baseAmount * feeRule.fee_value / 10000);
+  }
+
+  return feeRule.fee_value;
+}
+
+/**
+ * Get the fee a user pays on top of a base amount for a service
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {number} userId - User ID
+ * @param {number} serviceId - Service ID
+ * @param {number} baseAmount - Amount before fees
+ * @returns {Promise<Object>} { feeAmount, feeRuleId }
+ */
+async function getPaymentFee(db_conn, userId, serviceId, baseAmount) {
+  const feeRule = await getFeeRule(db_conn, userId, serviceId);
+
+  return {
+    feeAmount: calculateFee(feeRule, baseAmount),
+    feeRuleId: feeRule?.id ?? null
+  };
+}
+
+/**
+ * Debit the balance and record a payment
+ * The fee of the matching fee rule is added on top of the base amount
+ * Posts debit the user's wallet, credit SERVICE_PAYABLE (base) and FEE_REVENUE (fee)
  * @param {Object} tx - Database transaction
  * @param {number} userId - User ID
- * @param {string} serviceCode - Service code
+ * @param {Object} service - Service row (id, code, name)
+ * @param {number} baseAmount - Amount to charge before fees
+ * @param {number|null} tariffId - Applied service_tariffs id (null unless the service is FIXED)
+ * @param {number|null} denominationId - Picked service_denominations id (null unless the service is DENOMINATION)
  * @returns {Promise<Object>} Transaction record with service details
  */
-export async function createTransaction(tx, userId, serviceCode) {
-  // Get service
-  const service = await getServiceByCode(tx, serviceCode);
+async function recordPayment(tx, userId, service, baseAmount, tariffId, denominationId = null) {
+  const { feeAmount, feeRuleId } = await getPaymentFee(tx, userId, service.id, baseAmount);
+  const amount = baseAmount + feeAmount;
 
-  // Get current balance
-  const balanceResult = await tx.execute(
-    sql`SELECT balance FROM user_balance WHERE user_id = ${userId} LIMIT 1`
+  // Debit only if the balance covers the amount, checked and updated in one
+  // statement: concurrent payments wait on the row lock and re-check the balance
+  const debitResult = await tx.execute(
+    sql`UPDATE user_balance
+        SET balance = balance - ${amount}
+        WHERE user_id = ${userId} AND balance >= ${amount}
+        RETURNING balance`
   );
 
-  if (balanceResult.rows.length === 0) {
-    throw new Error('User balance not found');
-  }
+  if (debitResult.rows.length === 0) {
+    const balanceResult = await tx.execute(
+      sql`SELECT 1 FROM user_balance WHERE user_id = ${userId} LIMIT 1`
+    );
 
-  const currentBalance = balanceResult.rows[0].balance;
+    if (balanceResult.rows.length === 0) {
+      throw new Error('User balance not found');
+    }
 
-  // Check balance
-  if (currentBalance < service.tariff) {
     throw new Error('Balance tidak mencukupi');
   }
 
-  const newBalance = currentBalance - service.tariff;
-
-  // Update balance
-  await tx.execute(
-    sql`UPDATE user_balance SET balance = ${newBalance} WHERE user_id = ${userId}`
-  );
-
   // Get transaction type ID for PAYMENT
   const transactionTypeId = await getTransactionTypeId(tx, 'PAYMENT');
 
-  // Create transaction record (invoice_number will be auto-generated by database trigger)
+  // Create transaction record
   // Use service name as description
+  const invoiceNumber = await generateInvoiceNumber(tx);
   const transactionResult = await tx.execute(
-    sql`INSERT INTO user_transactions (user_id, invoice_number, service_id, description, transaction_type_id, total_amount, created_on)
-        VALUES (${userId}, NULL, ${service.id}, ${service.name}, ${transactionTypeId}, ${service.tariff}, NOW())
+    sql`INSERT INTO user_transactions (user_id, invoice_number, service_id, service_tariff_id, service_denomination_id, description, transaction_type_id, total_amount, fee_amount, fee_rule_id, created_on)
+        VALUES (${userId}, ${invoiceNumber}, ${service.id}, ${tariffId}, ${denominationId}, ${service.name}, ${transactionTypeId}, ${amount}, ${feeAmount}, ${feeRuleId}, NOW())
         RETURNING *`
   );
 
+  await postJournalEntry(tx, {
+    transactionId: transactionResult.rows[0].id,
+    description: `Payment ${invoiceNumber} ${service.code}`,
+    postings: [
+      { accountCode: walletAccountCode(userId), amount },
+      { accountCode: LEDGER_ACCOUNT.SERVICE_PAYABLE, amount: -baseAmount },
+      { accountCode: LEDGER_ACCOUNT.FEE_REVENUE, amount: -feeAmount }
+    ]
+  });
+
   // Get transaction type name
   const transactionTypeResult = await tx.execute(
     sql`SELECT transaction_type FROM transaction_type_enum WHERE id = ${transactionTypeId} LIMIT 1`
@@ -159,6 +369,342 @@ export async function createTransaction(tx, userId, serviceCode) {
   };
 }
 
+/**
+ * Create a transaction (payment) for a service paid without inquiry
+ * Billed services (requires_inquiry) must be paid through payInquiry
+ * @param {Object} tx - Database transaction
+ * @param {number} userId - User ID
+ * @param {string} serviceCode - Service code
+ * @param {Object} options - { amount, denominationId } for RANGE / DENOMINATION services
+ * @returns {Promise<Object>} Transaction record with service details
+ */
+export async function createTransaction(tx, userId, serviceCode, options = {}) {
+  // Get service with the tariff effective at payment time
+  const service = await getServiceByCode(tx, serviceCode);
+
+  if (service.requires_inquiry) {
+    throw new Error('Service memerlukan inquiry, bayar dengan inquiry_id');
+  }
+
+  const { amount, tariffId, denominationId } = await resolvePaymentAmount(tx, service, options);
+
+  return await recordPayment(tx, userId, service, amount, tariffId, denominationId);
+}
+
+/**
+ * Ask the biller for the amount due on a customer number and store it as an inquiry
+ * @param {Object} tx - Database transaction
+ * @param {Object} biller - Biller adapter (see lib/util/biller.js)
+ * @param {number} userId - User ID
+ * @param {string} serviceCode - Service code of a billed service
+ * @param {string} customerNumber - Customer / meter number
+ * @returns {Promise<Object>} Inquiry row with service_code, service_name and fee_amount
+ * @throws {Error} If the service is unknown, unavailable or not billed, the customer
+ *                 is unknown or the biller cannot be reached
+ */
+export async function createInquiry(tx, biller, userId, serviceCode, customerNumber) {
+  const service = await getServiceByCode(tx, serviceCode);
+
+  if (!service.requires_inquiry) {
+    throw new Error('Service tidak memerlukan inquiry');
+  }
+
+  let bill;
+  try {
+    bill = await biller.inquire({ serviceCode: service.code, customerNumber });
+  } catch (err) {
+    if (err.message === 'Customer not found') {
+      throw new Error('Nomor pelanggan tidak ditemukan');
+    }
+    throw err;
+  }
+
+  const result = await tx.execute(
+    sql`INSERT INTO bill_inquiries (user_id, service_id, customer_number, customer_name,
+                                    amount, biller_reference, expires_at)
+        VALUES (${userId}, ${service.id}, ${customerNumber}, ${bill.customerName},
+                ${bill.amount}, ${bill.reference}, NOW() + make_interval(secs => ${getInquiryTtl()}))
+        RETURNING *`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Failed to create bill inquiry');
+  }
+
+  // Fee as of now, it is worked out again when the inquiry is paid
+  const { feeAmount } = await getPaymentFee(tx, userId, service.id, bill.amount);
+
+  return {
+    ...result.rows[0],
+    service_code: service.code,
+    service_name: service.name,
+    fee_amount: feeAmount
+  };
+}
+
+/**
+ * Pay a bill inquiry, charging the amount returned by the biller
+ * @param {Object} tx - Database transaction
+ * @param {number} userId - User ID owning the inquiry
+ * @param {string} inquiryId - Inquiry id (UUID)
+ * @returns {Promise<Object>} Transaction record with service and customer details
+ * @throws {Error} If the inquiry is unknown, expired or already paid, or the service became unavailable
+ */
+export async function payInquiry(tx, userId, inquiryId) {
+  // Lock the inquiry so two concurrent payments cannot both pay it
+  const inquiryResult = await tx.execute(
+    sql`SELECT bi.*, s.code AS service_code, bi.expires_at <= NOW() AS is_expired
+        FROM bill_inquiries bi
+        JOIN services s ON s.id = bi.service_id
+        WHERE bi.id = ${inquiryId} AND bi.user_id = ${userId}
+        LIMIT 1
+        FOR UPDATE OF bi`
+  );
+
+  if (inquiryResult.rows.length === 0) {
+    throw new Error('Inquiry tidak ditemukan');
+  }
+
+  const inquiry = inquiryResult.rows[0];
+
+  if (inquiry.paid_on) {
+    throw new Error('Inquiry sudah dibayar');
+  }
+
+  if (inquiry.is_expired) {
+    throw new Error('Inquiry sudah kadaluwarsa');
+  }
+
+  // The service may have been deleted or put under maintenance since the inquiry
+  const service = await getServiceByCode(tx, inquiry.service_code);
+
+  const transaction = await recordPayment(tx, userId, service, inquiry.amount, null);
+
+  await tx.execute(
+    sql`UPDATE bill_inquiries
+        SET paid_on = NOW(), transaction_id = ${transaction.id}
+        WHERE id = ${inquiry.id}`
+  );
+
+  return {
+    ...transaction,
+    customer_number: inquiry.customer_number,
+    customer_name: inquiry.customer_name
+  };
+}
+
+/**
+ * Refund a payment back to the user's balance, fully or partly
+ * Refunds come out of the base amount first, the fee is only given back once
+ * the whole base amount has been. The refunds of a payment never add up to
+ * more than its total_amount.
+ * Posts debit SERVICE_PAYABLE (base) and FEE_REVENUE (fee), credit the user's wallet
+ * @param {Object} tx - Database transaction
+ * @param {string} invoiceNumber - Invoice number of the payment
+ * @param {Object} options - { amount, reason }; amount defaults to everything not refunded yet
+ * @returns {Promise<Object>} REFUND transaction record with service details, the
+ *   original invoice number, the new balance and refunded_amount / refundable_amount
+ *   of the payment after this refund
+ * @throws {Error} If the transaction is unknown, not a payment, already fully refunded or the amount is too high
+ */
+export async function refundTransaction(tx, invoiceNumber, { amount = null, reason = null } = {}) {
+  // Lock the payment so concurrent refunds see each other
+  const paymentResult = await tx.execute(
+    sql`SELECT ut.*, tte.transaction_type, s.code AS service_code, s.name AS service_name
+        FROM user_transactions ut
+        INNER JOIN transaction_type_enum tte ON ut.transaction_type_id = tte.id
+        LEFT JOIN services s ON s.id = ut.service_id
+        WHERE ut.invoice_number = ${invoiceNumber}
+        LIMIT 1
+        FOR UPDATE OF ut`
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw new Error('Transaksi tidak ditemukan');
+  }
+
+  const payment = paymentResult.rows[0];
+
+  if (payment.transaction_type !== 'PAYMENT') {
+    throw new Error('Hanya transaksi PAYMENT yang dapat di-refund');
+  }
+
+  const refundedResult = await tx.execute(
+    sql`SELECT COALESCE(SUM(total_amount), 0)::integer AS total_amount,
+               COALESCE(SUM(fee_amount), 0)::integer AS fee_amount
+        FROM user_transactions
+        WHERE original_transaction_id = ${payment.id}`
+  );
+  const refunded = refundedResult.rows[0];
+
+  const refundable = payment.total_amount - refunded.total_amount;
+
+  if (refundable === 0) {
+    throw new Error('Transaksi sudah di-refund penuh');
+  }
+
+  const refundAmount = amount ?? refundable;
+
+  if (refundAmount > refundable) {
+    throw new Error('Amount refund melebihi sisa yang dapat di-refund');
+  }
+
+  const baseRefundable = (payment.total_amount - payment.fee_amount) - (refunded.total_amount - refunded.fee_amount);
+  const baseRefund = Math.min(refundAmount, baseRefundable);
+  const feeRefund = refundAmount - baseRefund;
+
+  const balanceResult = await tx.execute(
+    sql`UPDATE user_balance
+        SET balance = balance + ${refundAmount}
+        WHERE user_id = ${payment.user_id}
+        RETURNING balance`
+  );
+
+  if (balanceResult.rows.length === 0) {
+    throw new Error('User balance not found');
+  }
+
+  const transactionTypeId = await getTransactionTypeId(tx, 'REFUND');
+
+  const description = reason
+    ? `Refund ${payment.invoice_number}: ${reason}`
+    : `Refund ${payment.invoice_number}`;
+
+  const refundInvoiceNumber = await generateInvoiceNumber(tx);
+  const transactionResult = await tx.execute(
+    sql`INSERT INTO user_transactions (user_id, invoice_number, service_id, description, transaction_type_id, total_amount, fee_amount, original_transaction_id, created_on)
+        VALUES (${payment.user_id}, ${refundInvoiceNumber}, ${payment.service_id}, ${description}, ${transactionTypeId}, ${refundAmount}, ${feeRefund}, ${payment.id}, NOW())
+        RETURNING *`
+  );
+
+  await postJournalEntry(tx, {
+    transactionId: transactionResult.rows[0].id,
+    description: `Refund ${refundInvoiceNumber} of ${payment.invoice_number}`,
+    postings: [
+      { accountCode: LEDGER_ACCOUNT.SERVICE_PAYABLE, amount: baseRefund },
+      { accountCode: LEDGER_ACCOUNT.FEE_REVENUE, amount: feeRefund },
+      { accountCode: walletAccountCode(payment.user_id), amount: -refundAmount }
+    ]
+  });
+
+  return {
+    ...transactionResult.rows[0],
+    service_code: payment.service_code,
+    service_name: payment.service_name,
+    transaction_type: 'REFUND',
+    original_invoice_number: payment.invoice_number,
+    balance: balanceResult.rows[0].balance,
+    refunded_amount: refunded.total_amount + refundAmount,
+    refundable_amount: refundable - refundAmount
+  };
+}
+
+/**
+ * How long an Idempotency-Key is remembered, in seconds
+ * (IDEMPOTENCY_KEY_EXPIRES_IN, default 86400 = 24 hours)
+ * @returns {number} Lifetime in seconds
+ */
+export function getIdempotencyKeyTtl() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_KEY_EXPIRES_IN, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : 86400;
+}
+
+/**
+ * Claim an Idempotency-Key for a request
+ * A key is claimed when it is new for the user or its previous use has expired.
+ * Otherwise the stored key is returned so the caller can replay or reject.
+ * @param {Object} db_conn - Database connection
+ * @param {number} userId - User ID
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - Hash of the request (method, path and body)
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, record: { fingerprint, response_status, response_body } }
+ * @throws {Error} If the key keeps disappearing between claim and lookup
+ */
+export async function claimIdempotencyKey(db_conn, userId, key, fingerprint) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const claimResult = await db_conn.execute(
+      sql`INSERT INTO idempotency_keys (user_id, key, fingerprint)
+          VALUES (${userId}, ${key}, ${fingerprint})
+          ON CONFLICT (user_id, key) DO UPDATE
+          SET fingerprint = EXCLUDED.fingerprint,
+              response_status = NULL,
+              response_body = NULL,
+              created_on = NOW(),
+              completed_on = NULL
+          WHERE idempotency_keys.created_on <= NOW() - make_interval(secs => ${getIdempotencyKeyTtl()})
+          RETURNING id`
+    );
+
+    if (claimResult.rows.length > 0) {
+      return { claimed: true };
+    }
+
+    const result = await db_conn.execute(
+      sql`SELECT fingerprint, response_status, response_body
+          FROM idempotency_keys
+          WHERE user_id = ${userId} AND key = ${key}
+          LIMIT 1`
+    );
+
+    if (result.rows.length > 0) {
+      return { claimed: false, record: result.rows[0] };
+    }
+
+    // Deleted (cleanup job, released by a failed request) since the insert: claim it again
+  }
+
+  throw new Error('Failed to claim idempotency key');
+}
+
+/**
+ * Store the response of a request made with a claimed Idempotency-Key
+ * Pass the transaction that moved the money, so the two commit together
+ * @param {Object} db_conn - Database connection or transaction
+ * @param {number} userId - User ID
+ * @param {string} key - Idempotency-Key header value
+ * @param {number} statusCode - HTTP status code of the response
+ * @param {Object} body - JSON response body
+ * @returns {Promise<void>}
+ */
+export async function saveIdempotentResponse(db_conn, userId, key, statusCode, body) {
+  await db_conn.execute(
+    sql`UPDATE idempotency_keys
+        SET response_status = ${statusCode},
+            response_body = ${JSON.stringify(body)}::jsonb,
+            completed_on = NOW()
+        WHERE user_id = ${userId} AND key = ${key} AND response_status IS NULL`
+  );
+}
+
+/**
+ * Release a claimed Idempotency-Key whose request did not succeed,
+ * so the client can retry with the same key
+ * @param {Object} db_conn - Database connection
+ * @param {number} userId - User ID
+ * @param {string} key - Idempotency-Key header value
+ * @returns {Promise<void>}
+ */
+export async function releaseIdempotencyKey(db_conn, userId, key) {
+  await db_conn.execute(
+    sql`DELETE FROM idempotency_keys
+        WHERE user_id = ${userId} AND key = ${key} AND response_status IS NULL`
+  );
+}
+
+/**
+ * Delete Idempotency-Keys older than their lifetime
+ * @param {Object} db_conn - Database connection
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function deleteExpiredIdempotencyKeys(db_conn) {
+  const result = await db_conn.execute(
+    sql`DELETE FROM idempotency_keys
+        WHERE created_on <= NOW() - make_interval(secs => ${getIdempotencyKeyTtl()})`
+  );
+
+  return result.rowCount || 0;
+}
+
 /**
  * Get transaction history for a user
  * @param {Object} db_conn - Database connection
@@ -177,9 +723,12 @@ export async function getTransactionHistory(db_conn, userId, offset = 0, limit =
             tte.transaction_type,
             ut.description,
             ut.total_amount,
+            ut.fee_amount,
+            original.invoice_number AS original_invoice_number,
             ut.created_on
           FROM user_transactions ut
           INNER JOIN transaction_type_enum tte ON ut.transaction_type_id = tte.id
+          LEFT JOIN user_transactions original ON original.id = ut.original_transaction_id
           WHERE ut.user_id = ${userId}
           ORDER BY ut.created_on DESC
           LIMIT ${limit} OFFSET ${offset}`
@@ -191,9 +740,12 @@ export async function getTransactionHistory(db_conn, userId, offset = 0, limit =
             tte.transaction_type,
             ut.description,
             ut.total_amount,
+            ut.fee_amount,
+            original.invoice_number AS original_invoice_number,
             ut.created_on
           FROM user_transactions ut
           INNER JOIN transaction_type_enum tte ON ut.transaction_type_id = tte.id
+          LEFT JOIN user_transactions original ON original.id = ut.original_transaction_id
           WHERE ut.user_id = ${userId}
           ORDER BY ut.created_on DESC
           OFFSET ${offset}`
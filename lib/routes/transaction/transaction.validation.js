@@ -1,4 +1,5 @@
 import { body, query } from 'express-validator';
+import { pinFormat } from '#lib/routes/pin/pin.validation.js';
 
 /**
  * Validation rules for top up endpoint
@@ -14,19 +15,69 @@ export const validateTopUp = [
         throw new Error('Paramter amount hanya boleh angka dan tidak boleh lebih kecil dari 0');
       }
       return true;
-    })
+    }),
+
+  pinFormat('pin', 'PIN')
 ];
 
 /**
  * Validation rules for transaction endpoint
+ * Services are paid with service_code (plus denomination_id or amount for
+ * DENOMINATION / RANGE services), billed services with the inquiry_id
+ * returned by POST /transaction/inquiry
  */
 export const validateTransaction = [
+  body('service_code')
+    .if(body('inquiry_id').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Service code is required')
+    .isString()
+    .withMessage('Service code must be a string'),
+
+  body('inquiry_id')
+    .optional()
+    .isUUID()
+    .withMessage('Inquiry id must be a valid UUID')
+    .custom((value, { req }) => req.body.service_code === undefined)
+    .withMessage('Send either service_code or inquiry_id, not both')
+    .custom((value, { req }) => req.body.amount === undefined && req.body.denomination_id === undefined)
+    .withMessage('Amount and denomination_id cannot be sent with inquiry_id'),
+
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a positive integer')
+    .toInt(),
+
+  body('denomination_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Denomination id must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => req.body.amount === undefined)
+    .withMessage('Send either amount or denomination_id, not both'),
+
+  pinFormat('pin', 'PIN')
+];
+
+/**
+ * Validation rules for bill inquiry endpoint
+ */
+export const validateInquiry = [
   body('service_code')
     .trim()
     .notEmpty()
     .withMessage('Service code is required')
     .isString()
-    .withMessage('Service code must be a string')
+    .withMessage('Service code must be a string'),
+
+  body('customer_number')
+    .trim()
+    .notEmpty()
+    .withMessage('Customer number is required')
+    .matches(/^[0-9]{6,20}$/)
+    .withMessage('Customer number must be 6 to 20 digits')
 ];
 
 /**
@@ -0,0 +1,284 @@
+/**
+ * Two-Factor Controller Layer
+ * Handles TOTP enrollment and second login step HTTP requests
+ * Manages database transactions and error handling using Result pattern
+ */
+
+import { catchError, catchErrorSync } from '#lib/util/result.js';
+import {
+  success,
+  error,
+  badRequest,
+  unauthorized,
+  forbidden,
+  conflict,
+  tooManyRequests
+} from '#lib/api/response.js';
+import { generateToken, verifyToken } from '#lib/util/jwt.js';
+import * as twoFactorService from './twofactor.service.js';
+import * as twoFactorDTO from './twofactor.dto.js';
+import * as sessionService from '#lib/routes/session/session.service.js';
+import * as membershipService from '#lib/routes/membership/membership.service.js';
+import * as membershipDTO from '#lib/routes/membership/membership.dto.js';
+import logger from '#lib/util/logger.js';
+import { createDeferredMailer } from '#lib/util/mailer.js';
+
+/**
+ * Setup - Start 2FA enrollment
+ * POST /2fa/setup
+ *
+ * Requires authentication (req.middleware.auth populated by middleware)
+ * Calling it again before confirming replaces the pending secret
+ */
+export async function setup(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, enrollment] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await twoFactorService.startSetup(tx, userId);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Two-factor authentication already enabled') {
+      return conflict(res, 'Autentikasi dua langkah sudah aktif');
+    }
+
+    logger.error('Failed to start 2FA setup', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, setupResponse] = catchErrorSync(() =>
+    twoFactorDTO.toTwoFactorSetupDTO(enrollment)
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform 2FA setup to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('2FA setup started', { userId });
+
+  return success(res, 'Pindai QR code lalu konfirmasi dengan kode dari aplikasi autentikator', setupResponse);
+}
+
+/**
+ * Confirm - Enable 2FA with a code from the authenticator app
+ * POST /2fa/confirm
+ *
+ * Body: { code }
+ * Requires authentication (req.middleware.auth populated by middleware)
+ */
+export async function confirm(req, res) {
+  const { userId } = req.middleware.auth.user;
+  const { code } = req.body;
+  const { db_conn } = req.app.locals.state;
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, recoveryCodes] = await catchError(
+    db_conn.transaction(async (tx) => {
+      return await twoFactorService.confirmSetup(tx, userId, code);
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Two-factor authentication already enabled') {
+      return conflict(res, 'Autentikasi dua langkah sudah aktif');
+    }
+
+    if (txErr.message === 'Two-factor setup not started') {
+      return badRequest(res, 'Autentikasi dua langkah belum disiapkan', null, 102);
+    }
+
+    if (txErr.message === 'Invalid two-factor code') {
+      return badRequest(res, 'Kode verifikasi salah', null, 102);
+    }
+
+    logger.error('Failed to confirm 2FA setup', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  // Transform to DTO with error handling
+  const [dtoErr, codesResponse] = catchErrorSync(() =>
+    twoFactorDTO.toRecoveryCodesDTO(recoveryCodes)
+  );
+
+  if (dtoErr) {
+    logger.error('Failed to transform recovery codes to DTO', {
+      error: dtoErr.message,
+      stack: dtoErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  logger.info('2FA enabled', { userId });
+
+  return success(res, 'Autentikasi dua langkah berhasil diaktifkan', codesResponse);
+}
+
+/**
+ * Login - Second login step, exchange challenge token and code for tokens
+ * POST /login/2fa
+ *
+ * Body: { challenge_token, code }
+ * Wrong codes count towards the account lockout like wrong passwords
+ */
+export async function login(req, res) {
+  const { challenge_token, code } = req.body;
+  const { db_conn, mailer } = req.app.locals.state;
+
+  const challengeResult = verifyToken(challenge_token);
+  const challenge = challengeResult.isOk() ? challengeResult.unwrap() : null;
+
+  if (!challenge || challenge.purpose !== twoFactorService.TWO_FACTOR_CHALLENGE_PURPOSE) {
+    logger.warn('2FA login rejected: invalid challenge token', { ip: req.ip });
+    return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+  }
+
+  const { userId, email, jti, exp } = challenge;
+  const outbox = createDeferredMailer(mailer);
+
+  // Execute transaction with callback pattern (auto-commits on success)
+  const [txErr, session] = await catchError(
+    db_conn.transaction(async (tx) => {
+      // Challenge tokens are single use
+      if (await sessionService.isTokenRevoked(tx, jti)) {
+        throw new Error('Invalid challenge token');
+      }
+
+      const block = await membershipService.getLoginBlock(tx, email, req.ip);
+      if (block) {
+        return { block };
+      }
+
+      const [codeErr, method] = await catchError(twoFactorService.verifyLoginCode(tx, userId, code));
+
+      // Counted while getLoginBlock's locks are held, so parallel guesses see this failure
+      if (codeErr?.message === 'Invalid two-factor code') {
+        await membershipService.recordFailedLogin(tx, outbox, email, req.ip);
+        return { failed: true };
+      }
+
+      if (codeErr) {
+        throw codeErr;
+      }
+
+      await sessionService.revokeAccessToken(tx, userId, jti, exp);
+      await membershipService.recordSuccessfulLogin(tx, userId, email, req.ip);
+
+      const user = await membershipService.getUserById(tx, userId);
+
+      // Start a new session (and its refresh token family) for this login
+      const session = await sessionService.createSession(tx, user.id, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+      const refresh = await sessionService.createRefreshToken(tx, user.id, session.id);
+
+      return { user, method, refreshToken: refresh.refreshToken, sessionId: session.id };
+    })
+  );
+
+  if (txErr) {
+    // Transaction auto-rolled back on error
+    if (txErr.message === 'Invalid challenge token' ||
+        txErr.message === 'Two-factor authentication not enabled') {
+      logger.warn('2FA login rejected', { error: txErr.message, userId });
+      return unauthorized(res, 'Token tidak tidak valid atau kadaluwarsa');
+    }
+
+    logger.error('2FA login failed', {
+      error: txErr.message,
+      stack: txErr.stack,
+      userId
+    });
+    return error(res, 'Internal server error', 500);
+  }
+
+  if (session.failed) {
+    // The unlock link is only mailed once the lock is committed
+    const [mailErr] = await catchError(outbox.flush());
+    if (mailErr) {
+      logger.error('Failed to send account unlock email', {
+        error: mailErr.message,
+        stack: mailErr.stack,
+        userId
+      });
+    }
+
+    logger.warn('2FA login rejected: invalid code', { userId, ip: req.ip });
+    return unauthorized(res, 'Kode verifikasi salah', 103);
+  }
+
+  if (session.block) {
+    const { reason, retryAfterSeconds } = session.block;
+    logger.warn('2FA login attempt blocked', { userId, ip: req.ip, reason, retryAfterSeconds });
+
+    if (reason === membershipService.LOGIN_BLOCK_REASON.ACCOUNT_LOCKED) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return forbidden(res, 'Akun terkunci sementara karena terlalu banyak percobaan login gagal', 106);
+    }
+
+    return tooManyRequests(res, 'Terlalu banyak percobaan login, coba lagi nanti', retryAfterSeconds);
+  }
+
+  const { user } = session;
+
+  // Generate JWT token (synchronous)
+  const tokenResult = generateToken({
+    userId: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    sid: session.sessionId
+  });
+
+  return tokenResult.match({
+    ok: (token) => {
+      logger.info('User logged in with 2FA', { userId: user.id, method: session.method });
+
+      // Transform to DTO (with error handling)
+      const [dtoErr, loginResponse] = catchErrorSync(() =>
+        membershipDTO.toLoginResponseDTO(token, session.refreshToken)
+      );
+
+      if (dtoErr) {
+        logger.error('Failed to transform login response to DTO', {
+          error: dtoErr.message,
+          stack: dtoErr.stack,
+          userId: user.id
+        });
+        return error(res, 'Internal server error', 500);
+      }
+
+      return success(res, 'Login Sukses', loginResponse);
+    },
+    err: (tokenErr) => {
+      logger.error('Failed to generate token', {
+        error: tokenErr.message,
+        stack: tokenErr.stack,
+        userId: user.id
+      });
+      return error(res, 'Failed to generate authentication token', 500);
+    }
+  });
+}
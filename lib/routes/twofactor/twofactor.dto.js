@@ -0,0 +1,66 @@
+/**
+ * Two-Factor Data Transfer Objects (DTOs)
+ * Defines the structure of data returned from two-factor controllers
+ */
+
+/**
+ * Transform enrollment data to TwoFactorSetupDTO format
+ *
+ * @param {object} setup - { secret, otpauthUri }
+ * @returns {object} TwoFactorSetupDTO
+ */
+export function toTwoFactorSetupDTO(setup) {
+  return {
+    secret: setup.secret,
+    otpauth_uri: setup.otpauthUri
+  };
+}
+
+/**
+ * Transform recovery codes to RecoveryCodesDTO format
+ *
+ * @param {Array<string>} codes - Raw recovery codes
+ * @returns {object} RecoveryCodesDTO
+ */
+export function toRecoveryCodesDTO(codes) {
+  return {
+    recovery_codes: codes
+  };
+}
+
+/**
+ * Transform a challenge token to TwoFactorChallengeDTO format
+ *
+ * @param {string} challengeToken - Short-lived JWT with the LOGIN_2FA purpose
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {object} TwoFactorChallengeDTO
+ */
+export function toTwoFactorChallengeDTO(challengeToken, expiresIn) {
+  return {
+    two_factor_required: true,
+    challenge_token: challengeToken,
+    expires_in: expiresIn
+  };
+}
+
+/**
+ * DTO Schemas Documentation
+ *
+ * TwoFactorSetupDTO:
+ * {
+ *   secret: string (base32),
+ *   otpauth_uri: string
+ * }
+ *
+ * RecoveryCodesDTO:
+ * {
+ *   recovery_codes: string[]
+ * }
+ *
+ * TwoFactorChallengeDTO:
+ * {
+ *   two_factor_required: true,
+ *   challenge_token: string,
+ *   expires_in: number
+ * }
+ */
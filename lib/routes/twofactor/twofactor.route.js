@@ -0,0 +1,34 @@
+/**
+ * Two-Factor Routes
+ * TOTP enrollment and second login step endpoints
+ */
+
+import express from 'express';
+import * as twoFactorController from './twofactor.controller.js';
+import { authenticate } from '#lib/middleware/auth.js';
+import { handleValidationErrors } from '#lib/middleware/validation.js';
+import { validateTwoFactorConfirm, validateTwoFactorLogin } from './twofactor.validation.js';
+
+const router = express.Router();
+
+// Start 2FA enrollment, returns the secret and otpauth URI (requires authentication)
+router.post('/2fa/setup', authenticate, twoFactorController.setup);
+
+// Enable 2FA with a code from the authenticator app (requires authentication)
+router.post(
+  '/2fa/confirm',
+  authenticate,
+  validateTwoFactorConfirm,
+  handleValidationErrors,
+  twoFactorController.confirm
+);
+
+// Exchange a login challenge token and 2FA code for access/refresh tokens
+router.post(
+  '/login/2fa',
+  validateTwoFactorLogin,
+  handleValidationErrors,
+  twoFactorController.login
+);
+
+export default router;
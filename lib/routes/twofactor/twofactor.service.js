@@ -0,0 +1,252 @@
+/**
+ * Two-Factor Service Layer
+ * Contains TOTP enrollment, recovery code and login verification logic
+ * Uses Drizzle ORM with Raw SQL for database operations
+ *
+ * Enrollment is two steps: setup stores a new secret on the user without
+ * enabling it, confirm enables it once the user proves their authenticator
+ * app produces valid codes, and hands out recovery codes (shown only once).
+ *
+ * A code is accepted at most once: the time step of the last accepted TOTP
+ * code is stored, and recovery codes are marked used.
+ *
+ * NOTE: All service functions accept a transaction (tx) parameter
+ * Services throw errors instead of returning Result - errors are caught in controllers
+ */
+
+import { sql } from 'drizzle-orm';
+import crypto from 'crypto';
+import { hashToken } from '#lib/util/token.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '#lib/util/totp.js';
+
+/**
+ * `purpose` claim of the short-lived token issued between password and 2FA code
+ * Such tokens are rejected by the authenticate middleware
+ */
+export const TWO_FACTOR_CHALLENGE_PURPOSE = 'LOGIN_2FA';
+
+/**
+ * How a login code was verified
+ */
+export const TWO_FACTOR_METHOD = {
+  TOTP: 'TOTP',
+  RECOVERY_CODE: 'RECOVERY_CODE'
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Get 2FA challenge token lifetime in seconds from environment
+ * Defaults to 300 seconds (5 minutes)
+ *
+ * @returns {number} Challenge token lifetime in seconds
+ */
+export function getChallengeTtl() {
+  const seconds = parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '300', 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error('TWO_FACTOR_CHALLENGE_EXPIRES_IN must be a positive number of seconds');
+  }
+  return seconds;
+}
+
+/**
+ * Normalize a recovery code as typed by the user (case, spaces, dashes)
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Raw recovery codes (xxxxx-xxxxx)
+ */
+async function replaceRecoveryCodes(tx, userId) {
+  await tx.execute(
+    sql`DELETE FROM user_recovery_codes WHERE user_id = ${userId}`
+  );
+
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+
+    await tx.execute(
+      sql`INSERT INTO user_recovery_codes (user_id, code_hash)
+          VALUES (${userId}, ${hashToken(normalizeRecoveryCode(code))})`
+    );
+
+    codes.push(code);
+  }
+
+  return codes;
+}
+
+/**
+ * Load the 2FA state of a user, locking the row
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<object>} { id, email, two_factor_secret, two_factor_enabled_at, two_factor_last_step }
+ * @throws {Error} If user not found
+ */
+async function getTwoFactorState(tx, userId) {
+  const result = await tx.execute(
+    sql`SELECT id, email, two_factor_secret, two_factor_enabled_at, two_factor_last_step
+        FROM users
+        WHERE id = ${parseInt(userId)}
+        LIMIT 1
+        FOR UPDATE`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check whether a user has two-factor authentication enabled
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<boolean>} True if 2FA is enabled
+ */
+export async function isTwoFactorEnabled(tx, userId) {
+  const result = await tx.execute(
+    sql`SELECT two_factor_enabled_at
+        FROM users
+        WHERE id = ${parseInt(userId)}
+        LIMIT 1`
+  );
+
+  return result.rows.length > 0 && result.rows[0].two_factor_enabled_at !== null;
+}
+
+/**
+ * Start 2FA enrollment
+ * Generates a new secret (replacing any unconfirmed one) for the authenticator app
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @returns {Promise<object>} { secret, otpauthUri }
+ * @throws {Error} If 2FA is already enabled
+ */
+export async function startSetup(tx, userId) {
+  const state = await getTwoFactorState(tx, userId);
+
+  if (state.two_factor_enabled_at) {
+    throw new Error('Two-factor authentication already enabled');
+  }
+
+  const secret = generateTotpSecret();
+
+  await tx.execute(
+    sql`UPDATE users
+        SET two_factor_secret = ${secret},
+            two_factor_last_step = NULL
+        WHERE id = ${state.id}`
+  );
+
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Nutech Integrasi';
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, state.email, issuer)
+  };
+}
+
+/**
+ * Confirm 2FA enrollment with a code from the authenticator app
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} code - 6 digit code
+ * @returns {Promise<Array<string>>} Recovery codes, shown to the user once
+ * @throws {Error} If 2FA is already enabled, setup was not started or the code is invalid
+ */
+export async function confirmSetup(tx, userId, code) {
+  const state = await getTwoFactorState(tx, userId);
+
+  if (state.two_factor_enabled_at) {
+    throw new Error('Two-factor authentication already enabled');
+  }
+
+  if (!state.two_factor_secret) {
+    throw new Error('Two-factor setup not started');
+  }
+
+  const step = verifyTotp(state.two_factor_secret, code);
+  if (step === null) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  await tx.execute(
+    sql`UPDATE users
+        SET two_factor_enabled_at = NOW(),
+            two_factor_last_step = ${step}
+        WHERE id = ${state.id}`
+  );
+
+  return await replaceRecoveryCodes(tx, state.id);
+}
+
+/**
+ * Verify the second factor of a login
+ * Accepts a 6 digit TOTP code or an unused recovery code
+ *
+ * @param {object} tx - Drizzle transaction object
+ * @param {number|string} userId - User ID
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<string>} Method used (see TWO_FACTOR_METHOD)
+ * @throws {Error} If 2FA is not enabled or the code is invalid / already used
+ */
+export async function verifyLoginCode(tx, userId, code) {
+  const state = await getTwoFactorState(tx, userId);
+
+  if (!state.two_factor_enabled_at) {
+    throw new Error('Two-factor authentication not enabled');
+  }
+
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(state.two_factor_secret, code);
+
+    // Reject replays of a code (or an older one) that was already accepted
+    if (step === null || (state.two_factor_last_step !== null && step <= state.two_factor_last_step)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await tx.execute(
+      sql`UPDATE users SET two_factor_last_step = ${step} WHERE id = ${state.id}`
+    );
+
+    return TWO_FACTOR_METHOD.TOTP;
+  }
+
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (!recoveryCode) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  const result = await tx.execute(
+    sql`UPDATE user_recovery_codes
+        SET used_on = NOW()
+        WHERE user_id = ${state.id}
+          AND code_hash = ${hashToken(recoveryCode)}
+          AND used_on IS NULL
+        RETURNING id`
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  return TWO_FACTOR_METHOD.RECOVERY_CODE;
+}
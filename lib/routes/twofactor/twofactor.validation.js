@@ -0,0 +1,49 @@
+/**
+ * Two-Factor Validation Rules
+ * Uses express-validator for request payload validation
+ */
+
+import { body } from 'express-validator';
+
+/**
+ * Validation rules for confirming 2FA enrollment
+ *
+ * Payload structure:
+ * {
+ *   code: string (6 digits from the authenticator app)
+ * }
+ */
+export const validateTwoFactorConfirm = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+/**
+ * Validation rules for the second login step
+ *
+ * Payload structure:
+ * {
+ *   challenge_token: string (from POST /login),
+ *   code: string (6 digit TOTP code or recovery code)
+ * }
+ */
+export const validateTwoFactorLogin = [
+  body('challenge_token')
+    .trim()
+    .notEmpty()
+    .withMessage('Challenge token is required')
+    .isString()
+    .withMessage('Challenge token must be a string'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .isString()
+    .withMessage('Code must be a string')
+    .isLength({ max: 32 })
+    .withMessage('Code is too long'),
+];
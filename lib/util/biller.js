@@ -0,0 +1,74 @@
+/**
+ * Biller Utilities
+ * Pluggable biller adapters used for bill inquiries (PLN, PDAM, PAJAK, ...)
+ *
+ * Drivers (selected with BILLER_DRIVER):
+ * - simulator: deterministic local biller for development and integration tests
+ *
+ * Every driver exposes the same interface:
+ * ```js
+ * const bill = await biller.inquire({ serviceCode, customerNumber });
+ * // => { customerName, amount, reference }
+ * ```
+ *
+ * Drivers throw Error('Customer not found') for unknown customer numbers and
+ * Error('Biller unavailable') when the biller cannot be reached.
+ */
+
+import crypto from 'crypto';
+
+const SIMULATOR_CUSTOMER_NAMES = [
+  'Budi Santoso',
+  'Siti Rahayu',
+  'Agus Wijaya',
+  'Dewi Lestari',
+  'Rudi Hartono',
+  'Sri Wahyuni'
+];
+
+/**
+ * Simulator driver
+ * The bill is derived from a hash of service code and customer number, so the
+ * same customer always owes the same amount (between 20.000 and 500.000, in
+ * multiples of 500). Test numbers:
+ * - ending in 0000: customer not found
+ * - ending in 9999: biller unavailable
+ */
+function createSimulatorBiller() {
+  return {
+    driver: 'simulator',
+    async inquire({ serviceCode, customerNumber }) {
+      if (customerNumber.endsWith('0000')) {
+        throw new Error('Customer not found');
+      }
+
+      if (customerNumber.endsWith('9999')) {
+        throw new Error('Biller unavailable');
+      }
+
+      const digest = crypto.createHash('sha256').update(`${serviceCode}:${customerNumber}`).digest();
+
+      return {
+        customerName: SIMULATOR_CUSTOMER_NAMES[digest[0] % SIMULATOR_CUSTOMER_NAMES.length],
+        amount: 20000 + (digest.readUInt32BE(1) % 961) * 500,
+        reference: `SIM-${crypto.randomUUID()}`
+      };
+    }
+  };
+}
+
+/**
+ * Create a biller for the driver configured in BILLER_DRIVER (default: simulator)
+ *
+ * @param {string} driver - Optional driver override ('simulator')
+ * @returns {object} Biller with an async inquire({ serviceCode, customerNumber }) method
+ * @throws {Error} If the driver is unknown
+ */
+export function createBiller(driver = process.env.BILLER_DRIVER || 'simulator') {
+  switch (driver) {
+    case 'simulator':
+      return createSimulatorBiller();
+    default:
+      throw new Error(`Unknown BILLER_DRIVER: ${driver}`);
+  }
+}
@@ -3,11 +3,14 @@
  * Handles JWT token generation and validation
  *
  * Token Structure:
- * - Access Token: 12 hours, used for API requests
+ * - Access Token: short-lived (default 15 minutes), used for API requests
+ * - Refresh Token: opaque random string persisted in refresh_tokens (see session module)
+ * - Every access token carries a unique `jti` so it can be revoked individually
  * - Uses jsonwebtoken package with HMAC-SHA256
  */
 
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { Result } from '#lib/util/result.js';
 
 /**
@@ -21,12 +24,43 @@ function getJwtSecret() {
   return secret;
 }
 
+/**
+ * Read a positive integer (seconds) from environment with a default
+ */
+function getSecondsFromEnv(name, defaultValue) {
+  const seconds = parseInt(process.env[name] || String(defaultValue), 10);
+  if (isNaN(seconds) || seconds <= 0) {
+    throw new Error(`${name} must be a positive number of seconds`);
+  }
+  return seconds;
+}
+
+/**
+ * Get access token lifetime in seconds from environment
+ * Defaults to 900 seconds (15 minutes)
+ *
+ * @returns {number} Access token lifetime in seconds
+ */
+export function getAccessTokenTtl() {
+  return getSecondsFromEnv('JWT_ACCESS_TOKEN_EXPIRES_IN', 900);
+}
+
+/**
+ * Get refresh token lifetime in seconds from environment
+ * Defaults to 2592000 seconds (30 days)
+ *
+ * @returns {number} Refresh token lifetime in seconds
+ */
+export function getRefreshTokenTtl() {
+  return getSecondsFromEnv('JWT_REFRESH_TOKEN_EXPIRES_IN', 2592000);
+}
+
 /**
  * Generate JWT access token
  *
  * @param {object} payload - User data to encode { userId, email, etc. }
  * @param {object} options - Token options
- * @param {number} options.expiresIn - Token expiration in seconds (default: 43200 = 12 hours)
+ * @param {number} options.expiresIn - Token expiration in seconds (default: JWT_ACCESS_TOKEN_EXPIRES_IN or 900)
  * @returns {Result} Result containing JWT token string or error
  *
  * @example
@@ -43,12 +77,13 @@ export function generateToken(payload, options = {}) {
     }
 
     const secret = getJwtSecret();
-    const expiresIn = options.expiresIn || 43200; // 12 hours
+    const expiresIn = options.expiresIn || getAccessTokenTtl();
 
-    // Sign token with expiration (synchronous)
+    // Sign token with expiration and a unique token id (synchronous)
     const token = jwt.sign(payload, secret, {
       algorithm: 'HS256',
-      expiresIn: expiresIn
+      expiresIn: expiresIn,
+      jwtid: crypto.randomUUID()
     });
 
     return Result.ok(token);
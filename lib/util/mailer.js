@@ -0,0 +1,177 @@
+/**
+ * Mailer Utilities
+ * Pluggable email delivery used for password reset links and other notifications
+ *
+ * Drivers (selected with MAIL_DRIVER, which is required):
+ * - smtp:   real delivery through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_SECURE)
+ * - file:   writes every message as a JSON file into MAIL_FILE_DIR (local development and integration tests)
+ * - memory: keeps messages in an in-process array exposed as `mailer.outbox` (unit tests, scripts)
+ *
+ * Every driver exposes the same interface:
+ * ```js
+ * await mailer.send({ to, subject, text, html });
+ * ```
+ *
+ * Mail that carries a token stored by a transaction goes through a deferred
+ * mailer, flushed once the transaction has committed:
+ * ```js
+ * const outbox = createDeferredMailer(mailer);
+ * await db_conn.transaction(async (tx) => service.requestPasswordReset(tx, outbox, email));
+ * await outbox.flush();
+ * ```
+ */
+
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const workspaceDir = path.resolve(__dirname, '..', '..');
+
+/**
+ * Build the message stored/sent by every driver
+ *
+ * @param {object} message - { to, subject, text, html }
+ * @returns {object} Normalized message with sender and timestamp
+ */
+function buildMessage(message) {
+  if (!message || !message.to || !message.subject) {
+    throw new Error('Mail recipient and subject are required');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    from: process.env.MAIL_FROM || 'no-reply@nutech-integrasi.app',
+    to: message.to,
+    subject: message.subject,
+    text: message.text || '',
+    html: message.html || null,
+    sentOn: new Date().toISOString()
+  };
+}
+
+/**
+ * SMTP driver backed by nodemailer
+ */
+function createSmtpMailer() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    driver: 'smtp',
+    async send(message) {
+      const mail = buildMessage(message);
+      await transporter.sendMail({
+        from: mail.from,
+        to: mail.to,
+        subject: mail.subject,
+        text: mail.text,
+        html: mail.html || undefined
+      });
+      return mail;
+    }
+  };
+}
+
+/**
+ * File driver, one JSON file per message
+ * File names start with the send timestamp so they sort chronologically
+ */
+function createFileMailer() {
+  const directory = path.resolve(workspaceDir, process.env.MAIL_FILE_DIR || 'logs/mail');
+
+  return {
+    driver: 'file',
+    directory,
+    async send(message) {
+      const mail = buildMessage(message);
+      const filename = `${Date.now()}-${mail.id}.json`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, filename), JSON.stringify(mail, null, 2));
+
+      return mail;
+    }
+  };
+}
+
+/**
+ * Memory driver, messages are kept in `outbox`
+ */
+function createMemoryMailer() {
+  const outbox = [];
+
+  return {
+    driver: 'memory',
+    outbox,
+    async send(message) {
+      const mail = buildMessage(message);
+      outbox.push(mail);
+      return mail;
+    }
+  };
+}
+
+/**
+ * Create a mailer for the driver configured in MAIL_DRIVER
+ * There is no default, so a missing setting fails at startup instead of
+ * silently writing tokens to disk in production
+ *
+ * @param {string} driver - Optional driver override ('smtp' | 'file' | 'memory')
+ * @returns {object} Mailer with an async send({ to, subject, text, html }) method
+ * @throws {Error} If the driver is missing or unknown
+ */
+export function createMailer(driver = process.env.MAIL_DRIVER) {
+  if (!driver) {
+    throw new Error('MAIL_DRIVER is required (smtp, file or memory)');
+  }
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpMailer();
+    case 'file':
+      return createFileMailer();
+    case 'memory':
+      return createMemoryMailer();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+}
+
+/**
+ * Wrap a mailer so messages are only queued by send() and delivered by flush()
+ * Used inside transactions: nothing is mailed for a transaction that rolls back
+ *
+ * @param {object} mailer - Mailer instance (see createMailer)
+ * @returns {object} Mailer with send() (queues, validates the message) and async flush()
+ */
+export function createDeferredMailer(mailer) {
+  const queue = [];
+
+  return {
+    driver: mailer.driver,
+    async send(message) {
+      // Invalid messages still fail inside the transaction
+      buildMessage(message);
+      queue.push(message);
+    },
+    async flush() {
+      const messages = queue.splice(0);
+
+      for (const message of messages) {
+        await mailer.send(message);
+      }
+
+      return messages.length;
+    }
+  };
+}
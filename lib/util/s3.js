@@ -3,8 +3,61 @@
  * Helper functions for S3 operations including signed URL generation
  */
 
-import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
+
+// Signed URLs keyed by "{fullUrl}|{expiresInSeconds}", value: { signedUrl, refreshAt }
+const signedUrlCache = new Map();
+const SIGNED_URL_CACHE_MAX_ENTRIES = 1000;
+
+/**
+ * Build the full URL stored in the database for an S3 key
+ *
+ * @param {string} s3Key - Object key, e.g. user_photos/file.jpg
+ * @returns {string} Full URL: {S3_URL_API}/{S3_BUCKET_NAME}/{s3Key}
+ */
+export function buildS3Url(s3Key) {
+  return `${process.env.S3_URL_API}/${process.env.S3_BUCKET_NAME}/${s3Key}`;
+}
+
+/**
+ * Upload an image to S3 under a folder
+ * File name: {uuid}_{ownerId}_{timestamptz}.{jpeg|png}
+ *
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {string} folder - Key prefix, e.g. user_photos
+ * @param {number|string} ownerId - Id of the record the image belongs to
+ * @param {Buffer} fileBuffer - File buffer from multer
+ * @param {string} mimetype - File mimetype (image/jpeg or image/png)
+ * @returns {Promise<string>} Full URL of the uploaded image
+ * @throws {Error} If the upload fails
+ */
+export async function uploadImageToS3(s3Client, folder, ownerId, fileBuffer, mimetype) {
+  if (!fileBuffer) {
+    throw new Error('File buffer is required');
+  }
+
+  // Determine file extension from mimetype
+  const fileExtension = mimetype === 'image/jpeg' ? 'jpeg' : 'png';
+
+  const uuid = crypto.randomUUID();
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const s3Key = `${folder}/${uuid}_${ownerId}_${timestamp}.${fileExtension}`;
+
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: s3Key,
+      Body: fileBuffer,
+      ContentType: mimetype,
+    }));
+  } catch (error) {
+    throw new Error(`Failed to upload image to S3: ${error.message}`);
+  }
+
+  return buildS3Url(s3Key);
+}
 
 /**
  * Generate a signed URL from a full S3 URL
@@ -49,3 +102,52 @@ export async function generateSignedUrlFromFullUrl(s3Client, fullUrl, expiresInS
 
   return signedUrl;
 }
+
+/**
+ * Check whether a stored URL points at an object in our bucket
+ * Seed data and admin-entered URLs may point anywhere else
+ *
+ * @param {string} fullUrl - URL stored in database
+ * @returns {boolean} True if the URL can be signed
+ */
+export function isS3Url(fullUrl) {
+  return Boolean(fullUrl) && fullUrl.startsWith(buildS3Url(''));
+}
+
+/**
+ * Signed URL for a stored URL, reused until half of its lifetime has passed
+ * URLs outside our bucket are returned unchanged. Uploads always get a new key,
+ * so a cached entry never outlives the object it points at.
+ *
+ * @param {object} s3Client - AWS S3 client instance
+ * @param {string} fullUrl - Full URL stored in database
+ * @param {number} expiresInSeconds - Expiration time in seconds (default: 3600 = 1 hour)
+ * @returns {Promise<string>} Signed URL, or fullUrl if it is not an S3 URL
+ */
+export async function getCachedSignedUrl(s3Client, fullUrl, expiresInSeconds = 3600) {
+  if (!isS3Url(fullUrl)) {
+    return fullUrl;
+  }
+
+  const cacheKey = `${fullUrl}|${expiresInSeconds}`;
+  const cached = signedUrlCache.get(cacheKey);
+
+  if (cached && cached.refreshAt > Date.now()) {
+    return cached.signedUrl;
+  }
+
+  const signedUrl = await generateSignedUrlFromFullUrl(s3Client, fullUrl, expiresInSeconds);
+
+  // Map keeps insertion order, drop the oldest entry when full
+  signedUrlCache.delete(cacheKey);
+  if (signedUrlCache.size >= SIGNED_URL_CACHE_MAX_ENTRIES) {
+    signedUrlCache.delete(signedUrlCache.keys().next().value);
+  }
+
+  signedUrlCache.set(cacheKey, {
+    signedUrl,
+    refreshAt: Date.now() + (expiresInSeconds * 1000) / 2
+  });
+
+  return signedUrl;
+}
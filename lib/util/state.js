@@ -108,6 +108,8 @@ import { drizzle } from 'drizzle-orm/node-postgres';
 import { S3Client } from '@aws-sdk/client-s3';
 import { sql } from 'drizzle-orm';
 import { catchError } from '#lib/util/result.js';
+import { createMailer } from '#lib/util/mailer.js';
+import { createBiller } from '#lib/util/biller.js';
 import pkg from 'pg';
 const { Pool } = pkg;
 
@@ -154,9 +156,19 @@ export async function createAppState() {
         }
     });
 
+    // Initialize mailer (driver selected by MAIL_DRIVER)
+    const mailer = createMailer();
+    logger.info('Mailer initialized', { driver: mailer.driver });
+
+    // Initialize biller adapter for bill inquiries (driver selected by BILLER_DRIVER)
+    const biller = createBiller();
+    logger.info('Biller initialized', { driver: biller.driver });
+
     const state = {
         db_conn: db_conn,
         s3Client: s3Client,
+        mailer: mailer,
+        biller: biller,
         logger,
     };
 
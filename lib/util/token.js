@@ -0,0 +1,32 @@
+/**
+ * Opaque Token Utilities
+ * Helpers for random, non-JWT tokens (refresh tokens, one-time links, etc.)
+ *
+ * Only the SHA-256 hash of a token is ever stored in the database,
+ * the raw value is handed to the client once and never persisted.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate a cryptographically random opaque token
+ *
+ * @param {number} bytes - Number of random bytes (default: 48)
+ * @returns {string} URL-safe base64 encoded token
+ */
+export function generateOpaqueToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash an opaque token for storage and lookup
+ *
+ * @param {string} token - Raw token value
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Token is required and must be a string');
+  }
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,164 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ * (Google Authenticator, Authy, 1Password, ...)
+ *
+ * - Secrets are 20 random bytes, shared with the app as base32 (RFC 4648, no padding)
+ * - Codes are 6 digits, HMAC-SHA1, 30 second time steps
+ * - Verification accepts one step of clock drift in either direction
+ */
+
+import crypto from 'crypto';
+import { URLSearchParams } from 'url';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as base32 without padding
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains characters outside the base32 alphabet
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Get the time step for a moment in time
+ *
+ * @param {number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {number} Time step counter
+ */
+export function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate a new random TOTP secret
+ *
+ * @returns {string} Base32 encoded secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Generate the code for a secret at a given time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter (default: current step)
+ * @returns {string} Zero-padded 6 digit code
+ */
+export function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code against a secret
+ * Compares in constant time and accepts the previous and next time step
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, timestamp = Date.now()) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan as a QR code
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label shown in the app (usually the email)
+ * @param {string} issuer - Issuer label shown in the app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,19 @@
+CREATE TABLE "user_sessions" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" integer NOT NULL,
+	"user_agent" text,
+	"ip_address" text,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"last_seen_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"terminated_on" timestamp with time zone
+);
+--> statement-breakpoint
+ALTER TABLE "user_sessions" ADD CONSTRAINT "user_sessions_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "user_sessions_user_id_idx" ON "user_sessions" USING btree ("user_id");--> statement-breakpoint
+-- Backfill a session for every refresh token family issued before sessions existed
+INSERT INTO "user_sessions" ("id", "user_id", "created_on", "last_seen_on", "terminated_on")
+SELECT "family_id", MIN("user_id"), MIN("created_on"), MAX(COALESCE("used_on", "created_on")),
+       CASE WHEN BOOL_AND("revoked_on" IS NOT NULL) THEN MAX("revoked_on") END
+FROM "refresh_tokens"
+GROUP BY "family_id";--> statement-breakpoint
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_family_id_user_sessions_id_fk" FOREIGN KEY ("family_id") REFERENCES "public"."user_sessions"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,13 @@
+CREATE TABLE "login_attempts" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"email" text NOT NULL,
+	"ip_address" text,
+	"succeeded" boolean NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "failed_login_count" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "last_failed_login_on" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "locked_until" timestamp with time zone;--> statement-breakpoint
+CREATE INDEX "login_attempts_ip_address_created_on_idx" ON "login_attempts" USING btree ("ip_address","created_on");--> statement-breakpoint
+CREATE INDEX "login_attempts_created_on_idx" ON "login_attempts" USING btree ("created_on");
\ No newline at end of file
@@ -0,0 +1,3 @@
+ALTER TABLE "users" ADD COLUMN "pin_hash" text;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "pin_failed_count" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "pin_locked_until" timestamp with time zone;
\ No newline at end of file
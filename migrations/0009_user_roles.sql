@@ -0,0 +1,2 @@
+ALTER TABLE "users" ADD COLUMN "role" text DEFAULT 'USER' NOT NULL;--> statement-breakpoint
+ALTER TABLE "users" ADD CONSTRAINT "users_role_check" CHECK ("users"."role" IN ('USER', 'ADMIN', 'SUPPORT'));
\ No newline at end of file
@@ -0,0 +1,7 @@
+ALTER TABLE "services" ADD COLUMN "created_on" timestamp with time zone DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "updated_on" timestamp with time zone DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "deleted_on" timestamp with time zone;--> statement-breakpoint
+-- Seeding twice used to insert duplicate codes: keep the oldest row of each code active
+UPDATE "services" s SET "deleted_on" = NOW()
+WHERE EXISTS (SELECT 1 FROM "services" d WHERE d."code" = s."code" AND d."id" < s."id");--> statement-breakpoint
+CREATE UNIQUE INDEX "services_code_active_unique" ON "services" USING btree ("code") WHERE "services"."deleted_on" IS NULL;
\ No newline at end of file
@@ -0,0 +1,8 @@
+ALTER TABLE "banners" ADD COLUMN "sort_order" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "banners" ADD COLUMN "active_from" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "banners" ADD COLUMN "active_until" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "banners" ADD COLUMN "created_on" timestamp with time zone DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "banners" ADD COLUMN "updated_on" timestamp with time zone DEFAULT now() NOT NULL;--> statement-breakpoint
+ALTER TABLE "banners" ADD COLUMN "retired_on" timestamp with time zone;--> statement-breakpoint
+-- Keep the current id order for existing banners
+UPDATE "banners" SET "sort_order" = "id";
@@ -0,0 +1,28 @@
+CREATE TABLE "service_categories" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"code" text NOT NULL,
+	"name" text NOT NULL,
+	"sort_order" integer DEFAULT 0 NOT NULL,
+	CONSTRAINT "service_categories_code_unique" UNIQUE("code")
+);
+--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "category_id" integer;--> statement-breakpoint
+ALTER TABLE "services" ADD CONSTRAINT "services_category_id_service_categories_id_fk" FOREIGN KEY ("category_id") REFERENCES "public"."service_categories"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+INSERT INTO "service_categories" ("code", "name", "sort_order") VALUES
+  ('UTILITIES', 'Tagihan & Utilitas', 1),
+  ('TELCO', 'Pulsa & Data', 2),
+  ('ENTERTAINMENT', 'Hiburan', 3),
+  ('LIFESTYLE', 'Gaya Hidup', 4),
+  ('RELIGIOUS', 'Religi', 5)
+ON CONFLICT ("code") DO NOTHING;--> statement-breakpoint
+-- Categorize the services that are already seeded
+UPDATE "services" s SET "category_id" = c."id"
+FROM (VALUES
+  ('PAJAK', 'UTILITIES'), ('PLN', 'UTILITIES'), ('PDAM', 'UTILITIES'), ('PGN', 'UTILITIES'),
+  ('PULSA', 'TELCO'), ('PAKET_DATA', 'TELCO'),
+  ('MUSIK', 'ENTERTAINMENT'), ('TV', 'ENTERTAINMENT'), ('VOUCHER_GAME', 'ENTERTAINMENT'),
+  ('VOUCHER_MAKANAN', 'LIFESTYLE'),
+  ('QURBAN', 'RELIGIOUS'), ('ZAKAT', 'RELIGIOUS')
+) AS m("service_code", "category_code")
+JOIN "service_categories" c ON c."code" = m."category_code"
+WHERE s."code" = m."service_code";
@@ -0,0 +1,3 @@
+ALTER TABLE "services" ADD COLUMN "is_active" boolean DEFAULT true NOT NULL;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "maintenance_from" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "maintenance_until" timestamp with time zone;
\ No newline at end of file
@@ -0,0 +1,20 @@
+CREATE TABLE "service_tariffs" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"service_id" integer NOT NULL,
+	"tariff" integer NOT NULL,
+	"effective_from" timestamp with time zone DEFAULT now() NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD COLUMN "service_tariff_id" integer;--> statement-breakpoint
+ALTER TABLE "service_tariffs" ADD CONSTRAINT "service_tariffs_service_id_services_id_fk" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "service_tariffs_service_id_effective_from_idx" ON "service_tariffs" USING btree ("service_id","effective_from");--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD CONSTRAINT "user_transactions_service_tariff_id_service_tariffs_id_fk" FOREIGN KEY ("service_tariff_id") REFERENCES "public"."service_tariffs"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+-- Current prices become the first history entry, effective since the epoch so
+-- every earlier payment resolves to them
+INSERT INTO "service_tariffs" ("service_id", "tariff", "effective_from")
+SELECT "id", "tariff", to_timestamp(0) FROM "services";--> statement-breakpoint
+UPDATE "user_transactions" ut SET "service_tariff_id" = st."id"
+FROM "service_tariffs" st
+WHERE st."service_id" = ut."service_id";--> statement-breakpoint
+ALTER TABLE "services" DROP COLUMN "tariff";
\ No newline at end of file
@@ -0,0 +1,20 @@
+CREATE TABLE "bill_inquiries" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" integer NOT NULL,
+	"service_id" integer NOT NULL,
+	"customer_number" text NOT NULL,
+	"customer_name" text NOT NULL,
+	"amount" integer NOT NULL,
+	"biller_reference" text NOT NULL,
+	"expires_at" timestamp with time zone NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"paid_on" timestamp with time zone,
+	"transaction_id" integer
+);
+--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "requires_inquiry" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "bill_inquiries" ADD CONSTRAINT "bill_inquiries_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "bill_inquiries" ADD CONSTRAINT "bill_inquiries_service_id_services_id_fk" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "bill_inquiries" ADD CONSTRAINT "bill_inquiries_transaction_id_user_transactions_id_fk" FOREIGN KEY ("transaction_id") REFERENCES "public"."user_transactions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "bill_inquiries_user_id_idx" ON "bill_inquiries" USING btree ("user_id");--> statement-breakpoint
+UPDATE "services" SET "requires_inquiry" = true WHERE "code" IN ('PLN', 'PDAM', 'PAJAK', 'PGN');
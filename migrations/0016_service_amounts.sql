@@ -0,0 +1,32 @@
+CREATE TABLE "service_denominations" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"service_id" integer NOT NULL,
+	"name" text NOT NULL,
+	"amount" integer NOT NULL,
+	"sort_order" integer DEFAULT 0 NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "amount_type" text DEFAULT 'FIXED' NOT NULL;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "min_amount" integer;--> statement-breakpoint
+ALTER TABLE "services" ADD COLUMN "max_amount" integer;--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD COLUMN "service_denomination_id" integer;--> statement-breakpoint
+ALTER TABLE "service_denominations" ADD CONSTRAINT "service_denominations_service_id_services_id_fk" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "service_denominations_service_id_idx" ON "service_denominations" USING btree ("service_id");--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD CONSTRAINT "user_transactions_service_denomination_id_service_denominations_id_fk" FOREIGN KEY ("service_denomination_id") REFERENCES "public"."service_denominations"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "services" ADD CONSTRAINT "services_amount_type_check" CHECK ("services"."amount_type" IN ('FIXED', 'DENOMINATION', 'RANGE'));--> statement-breakpoint
+UPDATE "services" SET "amount_type" = 'DENOMINATION' WHERE "code" IN ('PULSA', 'VOUCHER_GAME') AND "deleted_on" IS NULL;--> statement-breakpoint
+UPDATE "services" SET "amount_type" = 'RANGE', "min_amount" = 10000, "max_amount" = 50000000 WHERE "code" = 'ZAKAT' AND "deleted_on" IS NULL;--> statement-breakpoint
+INSERT INTO "service_denominations" ("service_id", "name", "amount", "sort_order")
+SELECT s."id", d."name", d."amount", d."sort_order"
+FROM "services" s
+JOIN (VALUES
+	('PULSA', 'Pulsa 10.000', 10000, 1),
+	('PULSA', 'Pulsa 25.000', 25000, 2),
+	('PULSA', 'Pulsa 50.000', 50000, 3),
+	('PULSA', 'Pulsa 100.000', 100000, 4),
+	('VOUCHER_GAME', 'Voucher Game 50.000', 50000, 1),
+	('VOUCHER_GAME', 'Voucher Game 100.000', 100000, 2),
+	('VOUCHER_GAME', 'Voucher Game 250.000', 250000, 3)
+) AS d("code", "name", "amount", "sort_order") ON d."code" = s."code"
+WHERE s."deleted_on" IS NULL;
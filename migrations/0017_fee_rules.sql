@@ -0,0 +1,20 @@
+CREATE TABLE "fee_rules" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"service_id" integer,
+	"tier" text,
+	"fee_type" text NOT NULL,
+	"fee_value" integer NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"deleted_on" timestamp with time zone,
+	CONSTRAINT "fee_rules_fee_type_check" CHECK ("fee_rules"."fee_type" IN ('FLAT', 'PERCENTAGE')),
+	CONSTRAINT "fee_rules_tier_check" CHECK ("fee_rules"."tier" IS NULL OR "fee_rules"."tier" IN ('REGULAR', 'PREMIUM'))
+);
+--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD COLUMN "fee_amount" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD COLUMN "fee_rule_id" integer;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "tier" text DEFAULT 'REGULAR' NOT NULL;--> statement-breakpoint
+ALTER TABLE "fee_rules" ADD CONSTRAINT "fee_rules_service_id_services_id_fk" FOREIGN KEY ("service_id") REFERENCES "public"."services"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "fee_rules_scope_active_unique" ON "fee_rules" USING btree (COALESCE("service_id", 0),COALESCE("tier", '')) WHERE "fee_rules"."deleted_on" IS NULL;--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD CONSTRAINT "user_transactions_fee_rule_id_fee_rules_id_fk" FOREIGN KEY ("fee_rule_id") REFERENCES "public"."fee_rules"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "users" ADD CONSTRAINT "users_tier_check" CHECK ("users"."tier" IN ('REGULAR', 'PREMIUM'));
\ No newline at end of file
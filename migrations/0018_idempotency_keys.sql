@@ -0,0 +1,13 @@
+CREATE TABLE "idempotency_keys" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"user_id" integer NOT NULL,
+	"key" text NOT NULL,
+	"fingerprint" text NOT NULL,
+	"response_status" integer,
+	"response_body" jsonb,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL,
+	"completed_on" timestamp with time zone
+);
+--> statement-breakpoint
+ALTER TABLE "idempotency_keys" ADD CONSTRAINT "idempotency_keys_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "idempotency_keys_user_id_key_unique" ON "idempotency_keys" USING btree ("user_id","key");
\ No newline at end of file
@@ -0,0 +1,23 @@
+CREATE TABLE "invoice_counters" (
+	"period" text PRIMARY KEY NOT NULL,
+	"last_sequence" integer NOT NULL,
+	"updated_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+-- Invoice numbers handed out twice by the old trigger: the first row keeps
+-- the number, later rows get their id appended so the constraint can be added
+UPDATE "user_transactions" ut SET "invoice_number" = ut."invoice_number" || '-' || ut."id"
+WHERE EXISTS (
+	SELECT 1 FROM "user_transactions" earlier
+	WHERE earlier."invoice_number" = ut."invoice_number" AND earlier."id" < ut."id"
+);--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD CONSTRAINT "user_transactions_invoice_number_unique" UNIQUE("invoice_number");--> statement-breakpoint
+-- Continue the sequences of the old INV{DDMMYYYY}-NNN numbers
+INSERT INTO "invoice_counters" ("period", "last_sequence")
+SELECT SUBSTRING("invoice_number" FROM '^(INV[0-9]{8})-'), MAX(CAST(SUBSTRING("invoice_number" FROM '^INV[0-9]{8}-([0-9]+)') AS integer))
+FROM "user_transactions"
+WHERE "invoice_number" ~ '^INV[0-9]{8}-[0-9]+'
+GROUP BY 1;--> statement-breakpoint
+-- Invoice numbers are generated by the application from now on
+DROP TRIGGER IF EXISTS trigger_generate_invoice_number ON "user_transactions";--> statement-breakpoint
+DROP FUNCTION IF EXISTS generate_invoice_number();
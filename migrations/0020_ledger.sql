@@ -0,0 +1,99 @@
+CREATE TABLE "journal_entries" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"transaction_id" integer,
+	"description" text NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "ledger_accounts" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"code" text NOT NULL,
+	"name" text NOT NULL,
+	"account_type" text NOT NULL,
+	"user_id" integer,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "ledger_accounts_code_unique" UNIQUE("code"),
+	CONSTRAINT "ledger_accounts_user_id_unique" UNIQUE("user_id"),
+	CONSTRAINT "ledger_accounts_account_type_check" CHECK ("ledger_accounts"."account_type" IN ('ASSET', 'LIABILITY', 'EQUITY', 'REVENUE'))
+);
+--> statement-breakpoint
+CREATE TABLE "ledger_postings" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"journal_entry_id" integer NOT NULL,
+	"account_id" integer NOT NULL,
+	"amount" integer NOT NULL,
+	CONSTRAINT "ledger_postings_amount_check" CHECK ("ledger_postings"."amount" <> 0)
+);
+--> statement-breakpoint
+ALTER TABLE "journal_entries" ADD CONSTRAINT "journal_entries_transaction_id_user_transactions_id_fk" FOREIGN KEY ("transaction_id") REFERENCES "public"."user_transactions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "ledger_accounts" ADD CONSTRAINT "ledger_accounts_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "ledger_postings" ADD CONSTRAINT "ledger_postings_journal_entry_id_journal_entries_id_fk" FOREIGN KEY ("journal_entry_id") REFERENCES "public"."journal_entries"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "ledger_postings" ADD CONSTRAINT "ledger_postings_account_id_ledger_accounts_id_fk" FOREIGN KEY ("account_id") REFERENCES "public"."ledger_accounts"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "journal_entries_transaction_id_idx" ON "journal_entries" USING btree ("transaction_id");--> statement-breakpoint
+CREATE INDEX "ledger_postings_journal_entry_id_idx" ON "ledger_postings" USING btree ("journal_entry_id");--> statement-breakpoint
+CREATE INDEX "ledger_postings_account_id_idx" ON "ledger_postings" USING btree ("account_id");--> statement-breakpoint
+INSERT INTO "ledger_accounts" ("code", "name", "account_type") VALUES
+	('CASH', 'Cash received from top ups', 'ASSET'),
+	('SERVICE_PAYABLE', 'Payable to service providers', 'LIABILITY'),
+	('FEE_REVENUE', 'Admin fee revenue', 'REVENUE'),
+	('OPENING_BALANCE', 'Balances before the ledger', 'EQUITY');--> statement-breakpoint
+INSERT INTO "ledger_accounts" ("code", "name", "account_type", "user_id")
+SELECT 'WALLET-' || "id", 'Wallet of user ' || "id", 'LIABILITY', "id" FROM "users";--> statement-breakpoint
+-- Existing balances become opening entries: debit OPENING_BALANCE, credit the wallet
+DO $$
+DECLARE
+    opening RECORD;
+    entry_id integer;
+BEGIN
+    FOR opening IN
+        SELECT ub.balance, wallet.id AS wallet_id, equity.id AS equity_id
+        FROM user_balance ub
+        INNER JOIN ledger_accounts wallet ON wallet.user_id = ub.user_id
+        CROSS JOIN ledger_accounts equity
+        WHERE equity.code = 'OPENING_BALANCE' AND ub.balance <> 0
+    LOOP
+        INSERT INTO journal_entries (description) VALUES ('Opening balance') RETURNING id INTO entry_id;
+        INSERT INTO ledger_postings (journal_entry_id, account_id, amount) VALUES
+            (entry_id, opening.equity_id, opening.balance),
+            (entry_id, opening.wallet_id, -opening.balance);
+    END LOOP;
+END;
+$$;--> statement-breakpoint
+-- New users get their wallet account together with their balance row
+CREATE OR REPLACE FUNCTION initialize_user_balance()
+    RETURNS TRIGGER AS $$
+BEGIN
+    -- Insert a balance record for the new user with initial balance of 0
+    INSERT INTO user_balance (user_id, balance)
+    VALUES (NEW.id, 0);
+    INSERT INTO ledger_accounts (code, name, account_type, user_id)
+    VALUES ('WALLET-' || NEW.id, 'Wallet of user ' || NEW.id, 'LIABILITY', NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;--> statement-breakpoint
+-- The postings of a journal entry must sum to zero once the transaction commits
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+    RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT SUM(amount) FROM ledger_postings WHERE journal_entry_id = NEW.journal_entry_id) <> 0 THEN
+        RAISE EXCEPTION 'Journal entry % is not balanced', NEW.journal_entry_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;--> statement-breakpoint
+CREATE CONSTRAINT TRIGGER trigger_check_journal_entry_balanced
+    AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW
+EXECUTE FUNCTION check_journal_entry_balanced();--> statement-breakpoint
+-- Postings are append-only
+CREATE OR REPLACE FUNCTION reject_ledger_posting_change()
+    RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger postings cannot be changed or deleted';
+END;
+$$ LANGUAGE plpgsql;--> statement-breakpoint
+CREATE TRIGGER trigger_reject_ledger_posting_change
+    BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW
+EXECUTE FUNCTION reject_ledger_posting_change();
@@ -0,0 +1,16 @@
+CREATE TABLE "balance_adjustments" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"user_id" integer NOT NULL,
+	"previous_balance" integer NOT NULL,
+	"new_balance" integer NOT NULL,
+	"reason" text NOT NULL,
+	"adjusted_by" text NOT NULL,
+	"journal_entry_id" integer NOT NULL,
+	"created_on" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "balance_adjustments" ADD CONSTRAINT "balance_adjustments_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "balance_adjustments" ADD CONSTRAINT "balance_adjustments_journal_entry_id_journal_entries_id_fk" FOREIGN KEY ("journal_entry_id") REFERENCES "public"."journal_entries"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "balance_adjustments_user_id_idx" ON "balance_adjustments" USING btree ("user_id");--> statement-breakpoint
+INSERT INTO "ledger_accounts" ("code", "name", "account_type") VALUES
+	('BALANCE_ADJUSTMENT', 'Balance corrections from reconciliation', 'EQUITY');
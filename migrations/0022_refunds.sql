@@ -0,0 +1,4 @@
+ALTER TABLE "user_transactions" ADD COLUMN "original_transaction_id" integer;--> statement-breakpoint
+ALTER TABLE "user_transactions" ADD CONSTRAINT "user_transactions_original_transaction_id_user_transactions_id_fk" FOREIGN KEY ("original_transaction_id") REFERENCES "public"."user_transactions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "user_transactions_original_transaction_id_idx" ON "user_transactions" USING btree ("original_transaction_id");--> statement-breakpoint
+INSERT INTO "transaction_type_enum" ("transaction_type") VALUES ('REFUND') ON CONFLICT ("transaction_type") DO NOTHING;
@@ -0,0 +1 @@
+ALTER TABLE "service_denominations" ADD COLUMN "deleted_on" timestamp with time zone;
\ No newline at end of file
@@ -0,0 +1 @@
+ALTER TABLE "balance_adjustments" ALTER COLUMN "journal_entry_id" DROP NOT NULL;
\ No newline at end of file
@@ -1,6 +1,7 @@
 /**
  * Integration Tests - Module Membership
- * Tests for Registration, Login, Get Profile, Update Profile, Upload Profile Image
+ * Tests for Registration, Email Verification, Login, Login Lockout, Get Profile, Update Profile,
+ * Change Password, Forgot/Reset Password, Upload Profile Image
  */
 
 import { get, post, put } from '../utils/http-client.js';
@@ -9,8 +10,10 @@ import {
   createAuthenticatedUser,
   assertResponseFormat,
   assertErrorResponse,
-  authHeaders
+  authHeaders,
+  decodeTokenPayload
 } from '../utils/test-helpers.js';
+import { readLatestMail, extractToken } from '../utils/mailbox.js';
 
 const baseURL = global.testConfig.baseURL;
 
@@ -85,6 +88,67 @@ describe('Module Membership - Registration', () => {
   });
 });
 
+describe('Module Membership - Email Verification', () => {
+  test('should send a verification email on registration and verify with it', async () => {
+    const user = generateTestUser();
+    await post(`${baseURL}/registration`, user);
+
+    const mail = await readLatestMail(user.email);
+    expect(mail).not.toBeNull();
+    expect(mail.subject).toBe('Verifikasi Email');
+
+    const token = extractToken(mail);
+    expect(token).not.toBeNull();
+
+    const response = await get(`${baseURL}/registration/verify?token=${encodeURIComponent(token)}`);
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(response.body.message).toContain('Verifikasi email berhasil');
+  });
+
+  test('should allow login and profile access before verification', async () => {
+    const authContext = await createAuthenticatedUser(baseURL, { verifyEmail: false });
+
+    const response = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+  });
+
+  test('should resend a working verification link', async () => {
+    const user = generateTestUser();
+    await post(`${baseURL}/registration`, user);
+    const firstToken = extractToken(await readLatestMail(user.email));
+
+    const resendResponse = await post(`${baseURL}/registration/resend`, { email: user.email });
+    assertResponseFormat(resendResponse, 200);
+
+    const secondToken = extractToken(await readLatestMail(user.email));
+    expect(secondToken).not.toBe(firstToken);
+
+    // Only the latest link is valid
+    const oldResponse = await get(`${baseURL}/registration/verify?token=${encodeURIComponent(firstToken)}`);
+    assertErrorResponse(oldResponse, 400, 102);
+
+    const newResponse = await get(`${baseURL}/registration/verify?token=${encodeURIComponent(secondToken)}`);
+    assertResponseFormat(newResponse, 200);
+  });
+
+  test('should fail verification with invalid token', async () => {
+    const response = await get(`${baseURL}/registration/verify?token=invalid-token`);
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail verification without token', async () => {
+    const response = await get(`${baseURL}/registration/verify`);
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
 describe('Module Membership - Login', () => {
   let testUser;
 
@@ -106,6 +170,18 @@ describe('Module Membership - Login', () => {
     expect(response.body.data).toHaveProperty('token');
     expect(typeof response.body.data.token).toBe('string');
     expect(response.body.data.token.length).toBeGreaterThan(0);
+    expect(response.body.data).toHaveProperty('refresh_token');
+    expect(typeof response.body.data.refresh_token).toBe('string');
+  });
+
+  test('should carry the USER role in the token claims', async () => {
+    const response = await post(`${baseURL}/login`, {
+      email: testUser.email,
+      password: testUser.password
+    });
+
+    assertResponseFormat(response, 200);
+    expect(decodeTokenPayload(response.body.data.token).role).toBe('USER');
   });
 
   test('should fail login with invalid email format', async () => {
@@ -154,6 +230,125 @@ describe('Module Membership - Login', () => {
   });
 });
 
+describe('Module Membership - Login Lockout', () => {
+  const wrongPassword = 'WrongPassword1!';
+  let testUser;
+
+  /**
+   * Attempt a login, waiting out progressive delays (429 + Retry-After)
+   */
+  async function loginWaitingOutDelays(email, password) {
+    for (;;) {
+      const response = await post(`${baseURL}/login`, { email, password });
+      if (response.status !== 429) {
+        return response;
+      }
+      const retryAfter = parseInt(response.headers['retry-after'], 10);
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    }
+  }
+
+  beforeEach(async () => {
+    testUser = generateTestUser();
+    await post(`${baseURL}/registration`, testUser);
+  });
+
+  test('should slow down repeated failed logins with Retry-After', async () => {
+    let throttled = null;
+
+    for (let attempt = 0; attempt < 4 && !throttled; attempt++) {
+      const response = await post(`${baseURL}/login`, {
+        email: testUser.email,
+        password: wrongPassword
+      });
+      if (response.status === 429) {
+        throttled = response;
+      }
+    }
+
+    expect(throttled).not.toBeNull();
+    assertErrorResponse(throttled, 429, 107);
+    expect(parseInt(throttled.headers['retry-after'], 10)).toBeGreaterThan(0);
+  }, 30000);
+
+  test('should count parallel failed logins before checking the next one', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => post(`${baseURL}/login`, {
+        email: testUser.email,
+        password: wrongPassword
+      }))
+    );
+
+    // Only the free attempts and the first delayed one reach the password check
+    const checked = responses.filter(response => response.status === 401);
+    expect(checked.length).toBeLessThanOrEqual(3);
+    responses
+      .filter(response => response.status !== 401)
+      .forEach(response => assertErrorResponse(response, 429, 107));
+  }, 30000);
+
+  test('should lock the account after repeated failures and unlock it by email', async () => {
+    let response;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      response = await loginWaitingOutDelays(testUser.email, wrongPassword);
+      assertErrorResponse(response, 401, 103);
+    }
+
+    // Correct password is refused while locked
+    const lockedResponse = await post(`${baseURL}/login`, {
+      email: testUser.email,
+      password: testUser.password
+    });
+    assertErrorResponse(lockedResponse, 403, 106);
+    expect(parseInt(lockedResponse.headers['retry-after'], 10)).toBeGreaterThan(0);
+
+    const mail = await readLatestMail(testUser.email);
+    expect(mail).not.toBeNull();
+    expect(mail.subject).toBe('Akun Terkunci');
+
+    const token = extractToken(mail);
+    expect(token).not.toBeNull();
+
+    const unlockResponse = await get(`${baseURL}/login/unlock?token=${encodeURIComponent(token)}`);
+    assertResponseFormat(unlockResponse, 200);
+    expect(unlockResponse.body.status).toBe(0);
+
+    const loginResponse = await post(`${baseURL}/login`, {
+      email: testUser.email,
+      password: testUser.password
+    });
+    assertResponseFormat(loginResponse, 200);
+
+    // Unlock token is single use
+    const reusedResponse = await get(`${baseURL}/login/unlock?token=${encodeURIComponent(token)}`);
+    assertErrorResponse(reusedResponse, 400, 102);
+  }, 60000);
+
+  test('should reset the failure counter after a successful login', async () => {
+    await post(`${baseURL}/login`, { email: testUser.email, password: wrongPassword });
+    await post(`${baseURL}/login`, { email: testUser.email, password: wrongPassword });
+
+    const loginResponse = await post(`${baseURL}/login`, {
+      email: testUser.email,
+      password: testUser.password
+    });
+    assertResponseFormat(loginResponse, 200);
+
+    // Back to free attempts: no delay on the next failure
+    const response = await post(`${baseURL}/login`, {
+      email: testUser.email,
+      password: wrongPassword
+    });
+    assertErrorResponse(response, 401, 103);
+  });
+
+  test('should reject unlock with invalid token', async () => {
+    const response = await get(`${baseURL}/login/unlock?token=invalid-token`);
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
 describe('Module Membership - Get Profile', () => {
   let authContext;
 
@@ -306,6 +501,213 @@ describe('Module Membership - Update Profile', () => {
   });
 });
 
+describe('Module Membership - Change Password', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should change password and allow login with the new one', async () => {
+    const newPassword = 'NewPassword456!';
+
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: authContext.user.password,
+      new_password: newPassword
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(response.body.data).toBeNull();
+
+    const oldLogin = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: authContext.user.password
+    });
+    assertErrorResponse(oldLogin, 401, 103);
+
+    const newLogin = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: newPassword
+    });
+    assertResponseFormat(newLogin, 200);
+  });
+
+  test('should terminate other sessions but keep the current one', async () => {
+    const otherLogin = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: authContext.user.password
+    });
+    assertResponseFormat(otherLogin, 200);
+
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: authContext.user.password,
+      new_password: 'NewPassword456!'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+    assertResponseFormat(response, 200);
+
+    const otherProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(otherLogin.body.data.token)
+    });
+    assertErrorResponse(otherProfile, 401, 108);
+
+    const currentProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+    assertResponseFormat(currentProfile, 200);
+  });
+
+  test('should fail with wrong current password', async () => {
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: 'WrongPassword1!',
+      new_password: 'NewPassword456!'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+    expect(response.body.message).toContain('Password lama salah');
+  });
+
+  test('should fail when new password does not meet complexity rules', async () => {
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: authContext.user.password,
+      new_password: 'nouppercase1!'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail when new password equals current password', async () => {
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: authContext.user.password,
+      new_password: authContext.user.password
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail without token', async () => {
+    const response = await put(`${baseURL}/profile/password`, {
+      current_password: authContext.user.password,
+      new_password: 'NewPassword456!'
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Membership - Forgot and Reset Password', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should send a reset link and reset the password with it', async () => {
+    const forgotResponse = await post(`${baseURL}/password/forgot`, {
+      email: authContext.user.email
+    });
+
+    assertResponseFormat(forgotResponse, 200);
+    expect(forgotResponse.body.status).toBe(0);
+
+    const mail = await readLatestMail(authContext.user.email);
+    expect(mail).not.toBeNull();
+    expect(mail.subject).toBe('Reset Password');
+
+    const token = extractToken(mail);
+    expect(token).not.toBeNull();
+
+    const newPassword = 'ResetPassword789!';
+    const resetResponse = await post(`${baseURL}/password/reset`, {
+      token,
+      new_password: newPassword
+    });
+
+    assertResponseFormat(resetResponse, 200);
+    expect(resetResponse.body.status).toBe(0);
+
+    // Existing sessions are logged out
+    const profileResponse = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+    assertErrorResponse(profileResponse, 401, 108);
+
+    const loginResponse = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: newPassword
+    });
+    assertResponseFormat(loginResponse, 200);
+  });
+
+  test('should not allow a reset token to be used twice', async () => {
+    await post(`${baseURL}/password/forgot`, { email: authContext.user.email });
+    const token = extractToken(await readLatestMail(authContext.user.email));
+
+    const firstReset = await post(`${baseURL}/password/reset`, {
+      token,
+      new_password: 'ResetPassword789!'
+    });
+    assertResponseFormat(firstReset, 200);
+
+    const secondReset = await post(`${baseURL}/password/reset`, {
+      token,
+      new_password: 'AnotherPassword1!'
+    });
+    assertErrorResponse(secondReset, 400, 102);
+  });
+
+  test('should invalidate an older reset token when a new one is requested', async () => {
+    await post(`${baseURL}/password/forgot`, { email: authContext.user.email });
+    const oldToken = extractToken(await readLatestMail(authContext.user.email));
+
+    await post(`${baseURL}/password/forgot`, { email: authContext.user.email });
+
+    const response = await post(`${baseURL}/password/reset`, {
+      token: oldToken,
+      new_password: 'ResetPassword789!'
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should answer the same way for an unknown email', async () => {
+    const response = await post(`${baseURL}/password/forgot`, {
+      email: 'nonexistent@nutech-integrasi.com'
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+  });
+
+  test('should fail reset with invalid token', async () => {
+    const response = await post(`${baseURL}/password/reset`, {
+      token: 'invalid-token',
+      new_password: 'ResetPassword789!'
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail reset when new password does not meet complexity rules', async () => {
+    const response = await post(`${baseURL}/password/reset`, {
+      token: 'any-token',
+      new_password: 'weak'
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
 describe('Module Membership - Upload Profile Image', () => {
   let authContext;
 
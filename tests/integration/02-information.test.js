@@ -1,6 +1,6 @@
 /**
  * Integration Tests - Module Information
- * Tests for Get Banner, Get Services
+ * Tests for Get Banner, Get Services (search and filters), Get Service Categories
  */
 
 import { get } from '../utils/http-client.js';
@@ -217,3 +217,206 @@ describe('Module Information - Get Services', () => {
     });
   });
 });
+
+describe('Module Information - Service Categories', () => {
+  let authContext;
+
+  beforeAll(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should return every service with its category', async () => {
+    const response = await get(`${baseURL}/services`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+
+    const pln = response.body.data.find(service => service.service_code === 'PLN');
+    expect(pln).toHaveProperty('service_category', 'UTILITIES');
+  });
+
+  test('should filter services by category', async () => {
+    const response = await get(`${baseURL}/services?category=TELCO`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+
+    const serviceCodes = response.body.data.map(service => service.service_code);
+    expect(serviceCodes).toContain('PULSA');
+    expect(serviceCodes).toContain('PAKET_DATA');
+    expect(serviceCodes).not.toContain('PLN');
+    response.body.data.forEach(service => {
+      expect(service.service_category).toBe('TELCO');
+    });
+  });
+
+  test('should accept a lowercase category code', async () => {
+    const response = await get(`${baseURL}/services?category=religious`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+
+    const serviceCodes = response.body.data.map(service => service.service_code);
+    expect(serviceCodes).toEqual(expect.arrayContaining(['QURBAN', 'ZAKAT']));
+  });
+
+  test('should return 404 for an unknown category', async () => {
+    const response = await get(`${baseURL}/services?category=UNKNOWN_CATEGORY`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should return categories with grouped services', async () => {
+    const response = await get(`${baseURL}/service-categories`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(Array.isArray(response.body.data)).toBe(true);
+
+    const categoryCodes = response.body.data.map(category => category.category_code);
+    expect(categoryCodes).toEqual(
+      expect.arrayContaining(['UTILITIES', 'TELCO', 'ENTERTAINMENT', 'LIFESTYLE', 'RELIGIOUS'])
+    );
+
+    const utilities = response.body.data.find(category => category.category_code === 'UTILITIES');
+    expect(typeof utilities.category_name).toBe('string');
+    expect(utilities.services.map(service => service.service_code)).toEqual(
+      expect.arrayContaining(['PAJAK', 'PLN', 'PDAM', 'PGN'])
+    );
+  });
+
+  test('should fail to get service categories without token', async () => {
+    const response = await get(`${baseURL}/service-categories`);
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Information - Service Search and Filters', () => {
+  let authContext;
+
+  beforeAll(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should search services by name, case-insensitively', async () => {
+    const response = await get(`${baseURL}/services?q=listrik`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.map(service => service.service_code)).toContain('PLN');
+    response.body.data.forEach(service => {
+      const matches = service.service_name.toLowerCase().includes('listrik') ||
+        service.service_code.toLowerCase().includes('listrik');
+      expect(matches).toBe(true);
+    });
+  });
+
+  test('should search services by code', async () => {
+    const response = await get(`${baseURL}/services?q=voucher`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.map(service => service.service_code)).toEqual(
+      expect.arrayContaining(['VOUCHER_GAME', 'VOUCHER_MAKANAN'])
+    );
+  });
+
+  test('should treat wildcard characters literally', async () => {
+    const response = await get(`${baseURL}/services?q=%25`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    response.body.data.forEach(service => {
+      expect(`${service.service_name}${service.service_code}`).toContain('%');
+    });
+  });
+
+  test('should filter services by tariff range', async () => {
+    const response = await get(`${baseURL}/services?min_tariff=40000&max_tariff=50000`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.length).toBeGreaterThan(0);
+    response.body.data.forEach(service => {
+      expect(service.service_tariff).toBeGreaterThanOrEqual(40000);
+      expect(service.service_tariff).toBeLessThanOrEqual(50000);
+    });
+  });
+
+  test('should expose amount rules of each service', async () => {
+    const response = await get(`${baseURL}/services`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    const servicesByCode = Object.fromEntries(
+      response.body.data.map(service => [service.service_code, service])
+    );
+
+    expect(servicesByCode.MUSIK.service_amount_type).toBe('FIXED');
+    expect(servicesByCode.MUSIK.service_denominations).toEqual([]);
+
+    expect(servicesByCode.PULSA.service_amount_type).toBe('DENOMINATION');
+    expect(servicesByCode.PULSA.service_denominations.length).toBeGreaterThan(0);
+    servicesByCode.PULSA.service_denominations.forEach(denomination => {
+      expect(typeof denomination.denomination_id).toBe('number');
+      expect(typeof denomination.denomination_name).toBe('string');
+      expect(denomination.amount).toBeGreaterThan(0);
+    });
+
+    expect(servicesByCode.ZAKAT.service_amount_type).toBe('RANGE');
+    expect(servicesByCode.ZAKAT.service_min_amount).toBeGreaterThan(0);
+    expect(servicesByCode.ZAKAT.service_max_amount).toBeGreaterThan(servicesByCode.ZAKAT.service_min_amount);
+  });
+
+  test('should combine category and search filters', async () => {
+    const response = await get(`${baseURL}/services?category=TELCO&q=pulsa`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.map(service => service.service_code)).toEqual(['PULSA']);
+  });
+
+  test('should report availability of every service', async () => {
+    const response = await get(`${baseURL}/services?available=true`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    response.body.data.forEach(service => {
+      expect(service.service_available).toBe(true);
+    });
+  });
+
+  test('should reject an inverted tariff range', async () => {
+    const response = await get(`${baseURL}/services?min_tariff=50000&max_tariff=10000`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject invalid filter values', async () => {
+    const invalidQueries = ['min_tariff=-1', 'max_tariff=abc', 'available=maybe'];
+
+    for (const query of invalidQueries) {
+      const response = await get(`${baseURL}/services?${query}`, {
+        headers: authHeaders(authContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+});
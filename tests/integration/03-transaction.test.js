@@ -1,6 +1,6 @@
 /**
  * Integration Tests - Module Transaction
- * Tests for Get Balance, Top Up, Transaction, Transaction History
+ * Tests for Get Balance, Top Up, Transaction, Bill Inquiry, Idempotency-Key, Transaction History
  */
 
 import { get, post } from '../utils/http-client.js';
@@ -87,7 +87,7 @@ describe('Module Transaction - Top Up', () => {
     const topUpAmount = 1000000;
     const response = await post(
       `${baseURL}/topup`,
-      { top_up_amount: topUpAmount },
+      { top_up_amount: topUpAmount, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -107,7 +107,7 @@ describe('Module Transaction - Top Up', () => {
     const topUpAmount = 1;
     const response = await post(
       `${baseURL}/topup`,
-      { top_up_amount: topUpAmount },
+      { top_up_amount: topUpAmount, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -121,7 +121,7 @@ describe('Module Transaction - Top Up', () => {
     // First top up
     const firstResponse = await post(
       `${baseURL}/topup`,
-      { top_up_amount: topUpAmount },
+      { top_up_amount: topUpAmount, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
     const firstBalance = firstResponse.body.data.balance;
@@ -129,7 +129,7 @@ describe('Module Transaction - Top Up', () => {
     // Second top up
     const secondResponse = await post(
       `${baseURL}/topup`,
-      { top_up_amount: topUpAmount },
+      { top_up_amount: topUpAmount, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
     const secondBalance = secondResponse.body.data.balance;
@@ -140,7 +140,7 @@ describe('Module Transaction - Top Up', () => {
   test('should fail to top up with negative amount', async () => {
     const response = await post(
       `${baseURL}/topup`,
-      { top_up_amount: -1000 },
+      { top_up_amount: -1000, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -151,7 +151,7 @@ describe('Module Transaction - Top Up', () => {
   test('should fail to top up with zero amount', async () => {
     const response = await post(
       `${baseURL}/topup`,
-      { top_up_amount: 0 },
+      { top_up_amount: 0, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -161,7 +161,7 @@ describe('Module Transaction - Top Up', () => {
   test('should fail to top up with non-numeric amount', async () => {
     const response = await post(
       `${baseURL}/topup`,
-      { top_up_amount: 'abc' },
+      { top_up_amount: 'abc', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -195,6 +195,42 @@ describe('Module Transaction - Top Up', () => {
   });
 });
 
+describe('Module Transaction - Email Verification Gate', () => {
+  let authContext;
+
+  beforeAll(async () => {
+    authContext = await createAuthenticatedUser(baseURL, { verifyEmail: false });
+  });
+
+  test('should reject top up for unverified email', async () => {
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 403, 105);
+  });
+
+  test('should reject transaction for unverified email', async () => {
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA', pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 403, 105);
+  });
+
+  test('should still allow balance check for unverified email', async () => {
+    const response = await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+  });
+});
+
 describe('Module Transaction - Transaction', () => {
   let authContext;
 
@@ -203,7 +239,7 @@ describe('Module Transaction - Transaction', () => {
     // Top up balance first
     await post(
       `${baseURL}/topup`,
-      { top_up_amount: 1000000 },
+      { top_up_amount: 1000000, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
   });
@@ -211,7 +247,7 @@ describe('Module Transaction - Transaction', () => {
   test('should successfully create transaction with valid service', async () => {
     const response = await post(
       `${baseURL}/transaction`,
-      { service_code: 'PULSA' },
+      { service_code: 'MUSIK', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -225,6 +261,7 @@ describe('Module Transaction - Transaction', () => {
     expect(response.body.data).toHaveProperty('total_amount');
     expect(response.body.data).toHaveProperty('created_on');
     expect(response.body.data.transaction_type).toBe('PAYMENT');
+    expect(response.body.data.base_amount + response.body.data.fee_amount).toBe(response.body.data.total_amount);
     expect(typeof response.body.data.invoice_number).toBe('string');
     expect(response.body.data.invoice_number.length).toBeGreaterThan(0);
   });
@@ -239,7 +276,7 @@ describe('Module Transaction - Transaction', () => {
     // Make transaction
     const transactionResponse = await post(
       `${baseURL}/transaction`,
-      { service_code: 'PLN' },
+      { service_code: 'PAKET_DATA', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
     const transactionAmount = transactionResponse.body.data.total_amount;
@@ -257,7 +294,7 @@ describe('Module Transaction - Transaction', () => {
     // First transaction
     const firstResponse = await post(
       `${baseURL}/transaction`,
-      { service_code: 'PULSA' },
+      { service_code: 'MUSIK', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
     expect(firstResponse.status).toBe(200);
@@ -265,7 +302,7 @@ describe('Module Transaction - Transaction', () => {
     // Second transaction
     const secondResponse = await post(
       `${baseURL}/transaction`,
-      { service_code: 'PLN' },
+      { service_code: 'PAKET_DATA', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
     expect(secondResponse.status).toBe(200);
@@ -279,7 +316,7 @@ describe('Module Transaction - Transaction', () => {
   test('should fail transaction with invalid service code', async () => {
     const response = await post(
       `${baseURL}/transaction`,
-      { service_code: 'INVALID_SERVICE' },
+      { service_code: 'INVALID_SERVICE', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -290,7 +327,7 @@ describe('Module Transaction - Transaction', () => {
   test('should fail transaction with empty service code', async () => {
     const response = await post(
       `${baseURL}/transaction`,
-      { service_code: '' },
+      { service_code: '', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -313,7 +350,7 @@ describe('Module Transaction - Transaction', () => {
 
     const response = await post(
       `${baseURL}/transaction`,
-      { service_code: 'QURBAN' }, // Expensive service
+      { service_code: 'QURBAN', pin: newAuthContext.pin }, // Expensive service
       { headers: authHeaders(newAuthContext.token) }
     );
 
@@ -337,10 +374,98 @@ describe('Module Transaction - Transaction', () => {
     assertErrorResponse(response, 401, 108);
   });
 
+  test('should charge the picked denomination', async () => {
+    const servicesResponse = await get(`${baseURL}/services?q=PULSA`, {
+      headers: authHeaders(authContext.token)
+    });
+    const denomination = servicesResponse.body.data[0].service_denominations[0];
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA', denomination_id: denomination.denomination_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_code).toBe('PULSA');
+    expect(response.body.data.base_amount).toBe(denomination.amount);
+  });
+
+  test('should require a denomination for denomination services', async () => {
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA', pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject a denomination of another service', async () => {
+    const servicesResponse = await get(`${baseURL}/services?q=VOUCHER_GAME`, {
+      headers: authHeaders(authContext.token)
+    });
+    const denomination = servicesResponse.body.data[0].service_denominations[0];
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA', denomination_id: denomination.denomination_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should charge the chosen amount within the service range', async () => {
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'ZAKAT', amount: 125000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.base_amount).toBe(125000);
+  });
+
+  test('should reject amounts outside the service range', async () => {
+    const servicesResponse = await get(`${baseURL}/services?q=ZAKAT`, {
+      headers: authHeaders(authContext.token)
+    });
+    const { service_min_amount, service_max_amount } = servicesResponse.body.data[0];
+
+    for (const amount of [service_min_amount - 1, service_max_amount + 1]) {
+      const response = await post(
+        `${baseURL}/transaction`,
+        { service_code: 'ZAKAT', amount, pin: authContext.pin },
+        { headers: authHeaders(authContext.token) }
+      );
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should reject amounts that do not match the service amount type', async () => {
+    const invalidPayloads = [
+      { service_code: 'MUSIK', amount: 10000, pin: authContext.pin },
+      { service_code: 'MUSIK', denomination_id: 1, pin: authContext.pin },
+      { service_code: 'ZAKAT', pin: authContext.pin },
+      { service_code: 'ZAKAT', amount: 'abc', pin: authContext.pin },
+      { service_code: 'PULSA', amount: 10000, denomination_id: 1, pin: authContext.pin }
+    ];
+
+    for (const payload of invalidPayloads) {
+      const response = await post(`${baseURL}/transaction`, payload, {
+        headers: authHeaders(authContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
   test('transaction should have valid timestamp format', async () => {
     const response = await post(
       `${baseURL}/transaction`,
-      { service_code: 'PULSA' },
+      { service_code: 'MUSIK', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -351,6 +476,322 @@ describe('Module Transaction - Transaction', () => {
   });
 });
 
+describe('Module Transaction - Bill Inquiry', () => {
+  let authContext;
+
+  // Simulator biller: numbers ending in 0000 are unknown, 9999 makes the biller unavailable
+  const CUSTOMER_NUMBER = '5123456789';
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 1000000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+  });
+
+  async function createInquiry(serviceCode = 'PLN', customerNumber = CUSTOMER_NUMBER) {
+    return await post(
+      `${baseURL}/transaction/inquiry`,
+      { service_code: serviceCode, customer_number: customerNumber },
+      { headers: authHeaders(authContext.token) }
+    );
+  }
+
+  test('should return the amount due for a customer number', async () => {
+    const response = await createInquiry();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.message).toBe('Inquiry berhasil');
+    expect(response.body.data).toHaveProperty('inquiry_id');
+    expect(response.body.data.service_code).toBe('PLN');
+    expect(response.body.data.customer_number).toBe(CUSTOMER_NUMBER);
+    expect(typeof response.body.data.customer_name).toBe('string');
+    expect(response.body.data.amount).toBeGreaterThan(0);
+    expect(response.body.data.total_amount).toBe(response.body.data.amount + response.body.data.fee_amount);
+    expect(response.body.data).toHaveProperty('expires_at');
+
+    // The simulator bills the same customer the same amount
+    const secondResponse = await createInquiry();
+    expect(secondResponse.body.data.amount).toBe(response.body.data.amount);
+  });
+
+  test('should pay an inquiry and charge the billed amount plus fees', async () => {
+    const inquiryResponse = await createInquiry();
+    const { inquiry_id, amount } = inquiryResponse.body.data;
+
+    const balanceBefore = (await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    })).body.data.balance;
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { inquiry_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_code).toBe('PLN');
+    expect(response.body.data.base_amount).toBe(amount);
+    expect(response.body.data.customer_number).toBe(CUSTOMER_NUMBER);
+
+    const balanceAfter = (await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    })).body.data.balance;
+    expect(balanceAfter).toBe(balanceBefore - response.body.data.total_amount);
+  });
+
+  test('should not pay the same inquiry twice', async () => {
+    const inquiryResponse = await createInquiry();
+    const { inquiry_id } = inquiryResponse.body.data;
+
+    const firstResponse = await post(
+      `${baseURL}/transaction`,
+      { inquiry_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertResponseFormat(firstResponse, 200);
+
+    const secondResponse = await post(
+      `${baseURL}/transaction`,
+      { inquiry_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertErrorResponse(secondResponse, 409, 109);
+  });
+
+  test('should not pay an inquiry of another user', async () => {
+    const inquiryResponse = await createInquiry();
+    const otherContext = await createAuthenticatedUser(baseURL);
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { inquiry_id: inquiryResponse.body.data.inquiry_id, pin: otherContext.pin },
+      { headers: authHeaders(otherContext.token) }
+    );
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should require an inquiry for billed services', async () => {
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PLN', pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject an inquiry for a fixed-tariff service', async () => {
+    const response = await createInquiry('PULSA');
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject an unknown customer number', async () => {
+    const response = await createInquiry('PLN', '5123450000');
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should report an unavailable biller', async () => {
+    const response = await createInquiry('PLN', '5123459999');
+
+    assertErrorResponse(response, 503, 114);
+  });
+
+  test('should reject invalid inquiry payloads', async () => {
+    const invalidPayloads = [
+      { service_code: 'PLN' },
+      { service_code: 'PLN', customer_number: '12ab56' },
+      { service_code: 'PLN', customer_number: '123' },
+      { customer_number: CUSTOMER_NUMBER }
+    ];
+
+    for (const payload of invalidPayloads) {
+      const response = await post(`${baseURL}/transaction/inquiry`, payload, {
+        headers: authHeaders(authContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should reject sending both service_code and inquiry_id', async () => {
+    const inquiryResponse = await createInquiry();
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA', inquiry_id: inquiryResponse.body.data.inquiry_id, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
+describe('Module Transaction - Idempotency Key', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  function idempotentHeaders(key) {
+    return { ...authHeaders(authContext.token), 'Idempotency-Key': key };
+  }
+
+  function generateIdempotencyKey() {
+    return `test-${Date.now()}-${Math.floor(Math.random() * 1000000)}`;
+  }
+
+  async function getBalance() {
+    const response = await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    });
+    return response.body.data.balance;
+  }
+
+  test('should credit a retried top up only once', async () => {
+    const key = generateIdempotencyKey();
+    const payload = { top_up_amount: 50000, pin: authContext.pin };
+
+    const firstResponse = await post(`${baseURL}/topup`, payload, { headers: idempotentHeaders(key) });
+    const retryResponse = await post(`${baseURL}/topup`, payload, { headers: idempotentHeaders(key) });
+
+    assertResponseFormat(firstResponse, 200);
+    assertResponseFormat(retryResponse, 200);
+    expect(retryResponse.body).toEqual(firstResponse.body);
+    expect(retryResponse.headers['idempotent-replayed']).toBe('true');
+    expect(await getBalance()).toBe(50000);
+  });
+
+  test('should credit parallel top ups with the same key only once', async () => {
+    const key = generateIdempotencyKey();
+    const payload = { top_up_amount: 50000, pin: authContext.pin };
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => post(`${baseURL}/topup`, payload, { headers: idempotentHeaders(key) }))
+    );
+
+    // The others get 409 (still processing) or replay the stored response
+    const executed = responses.filter(response =>
+      response.status === 200 && response.headers['idempotent-replayed'] === undefined);
+    expect(executed).toHaveLength(1);
+    responses
+      .filter(response => response.status !== 200)
+      .forEach(response => assertErrorResponse(response, 409, 109));
+    expect(await getBalance()).toBe(50000);
+  });
+
+  test('should charge a retried payment only once', async () => {
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 500000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    const key = generateIdempotencyKey();
+    const payload = { service_code: 'MUSIK', pin: authContext.pin };
+
+    const firstResponse = await post(`${baseURL}/transaction`, payload, { headers: idempotentHeaders(key) });
+    const retryResponse = await post(`${baseURL}/transaction`, payload, { headers: idempotentHeaders(key) });
+
+    assertResponseFormat(firstResponse, 200);
+    expect(retryResponse.body.data.invoice_number).toBe(firstResponse.body.data.invoice_number);
+    expect(await getBalance()).toBe(500000 - firstResponse.body.data.total_amount);
+  });
+
+  test('should reject a key reused with a different body', async () => {
+    const key = generateIdempotencyKey();
+
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 20000, pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+
+    assertErrorResponse(response, 409, 109);
+    expect(await getBalance()).toBe(10000);
+  });
+
+  test('should reject a key reused on another endpoint', async () => {
+    const key = generateIdempotencyKey();
+
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'MUSIK', pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should allow retrying a failed request with the same key', async () => {
+    const key = generateIdempotencyKey();
+
+    const failedResponse = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'MUSIK', pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+    assertErrorResponse(failedResponse, 400, 102);
+
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 100000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    const retryResponse = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'MUSIK', pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+    assertResponseFormat(retryResponse, 200);
+  });
+
+  test('should scope keys to the user', async () => {
+    const key = generateIdempotencyKey();
+    const otherContext = await createAuthenticatedUser(baseURL);
+
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: idempotentHeaders(key) }
+    );
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: otherContext.pin },
+      { headers: { ...authHeaders(otherContext.token), 'Idempotency-Key': key } }
+    );
+
+    assertResponseFormat(response, 200);
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('should reject an invalid key', async () => {
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: idempotentHeaders('has spaces') }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
 describe('Module Transaction - Transaction History', () => {
   let authContext;
 
@@ -360,7 +801,7 @@ describe('Module Transaction - Transaction History', () => {
     // Create some transactions
     await post(
       `${baseURL}/topup`,
-      { top_up_amount: 1000000 },
+      { top_up_amount: 1000000, pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -368,7 +809,7 @@ describe('Module Transaction - Transaction History', () => {
 
     await post(
       `${baseURL}/transaction`,
-      { service_code: 'PULSA' },
+      { service_code: 'MUSIK', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
 
@@ -376,7 +817,7 @@ describe('Module Transaction - Transaction History', () => {
 
     await post(
       `${baseURL}/transaction`,
-      { service_code: 'PLN' },
+      { service_code: 'PAKET_DATA', pin: authContext.pin },
       { headers: authHeaders(authContext.token) }
     );
   });
@@ -0,0 +1,258 @@
+/**
+ * Integration Tests - Module Session
+ * Tests for Refresh Token rotation and reuse detection, Logout, Logout All, Active Sessions
+ */
+
+import { get, post, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders,
+  decodeTokenPayload
+} from '../utils/test-helpers.js';
+import { setUserRole, closeDatabase } from '../utils/database.js';
+
+const baseURL = global.testConfig.baseURL;
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Module Session - Refresh Token', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should issue a new token pair for a valid refresh token', async () => {
+    const response = await post(`${baseURL}/token/refresh`, {
+      refresh_token: authContext.refreshToken
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(response.body.data).toHaveProperty('token');
+    expect(response.body.data).toHaveProperty('refresh_token');
+    expect(response.body.data.refresh_token).not.toBe(authContext.refreshToken);
+
+    // New access token must be usable
+    const profileResponse = await get(`${baseURL}/profile`, {
+      headers: authHeaders(response.body.data.token)
+    });
+
+    assertResponseFormat(profileResponse, 200);
+    expect(profileResponse.body.data.email).toBe(authContext.user.email);
+  });
+
+  test('should carry the current role in the refreshed token', async () => {
+    expect(decodeTokenPayload(authContext.token).role).toBe('USER');
+
+    await setUserRole(authContext.user.email, 'SUPPORT');
+
+    const response = await post(`${baseURL}/token/refresh`, {
+      refresh_token: authContext.refreshToken
+    });
+
+    assertResponseFormat(response, 200);
+    expect(decodeTokenPayload(response.body.data.token).role).toBe('SUPPORT');
+  });
+
+  test('should fail with missing refresh token', async () => {
+    const response = await post(`${baseURL}/token/refresh`, {});
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail with unknown refresh token', async () => {
+    const response = await post(`${baseURL}/token/refresh`, {
+      refresh_token: 'not-a-real-refresh-token'
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+
+  test('should revoke the whole token family when a rotated token is reused', async () => {
+    // First rotation succeeds
+    const firstRefresh = await post(`${baseURL}/token/refresh`, {
+      refresh_token: authContext.refreshToken
+    });
+    assertResponseFormat(firstRefresh, 200);
+    const rotatedToken = firstRefresh.body.data.refresh_token;
+
+    // Replaying the original token is detected as reuse
+    const reuseResponse = await post(`${baseURL}/token/refresh`, {
+      refresh_token: authContext.refreshToken
+    });
+    assertErrorResponse(reuseResponse, 401, 108);
+
+    // The legitimate successor is revoked as well
+    const successorResponse = await post(`${baseURL}/token/refresh`, {
+      refresh_token: rotatedToken
+    });
+    assertErrorResponse(successorResponse, 401, 108);
+  });
+});
+
+describe('Module Session - Logout', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should reject the access token after logout', async () => {
+    const response = await post(`${baseURL}/logout`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+
+    const profileResponse = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(profileResponse, 401, 108);
+  });
+
+  test('should reject the refresh token of the logged out session', async () => {
+    await post(`${baseURL}/logout`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+
+    const response = await post(`${baseURL}/token/refresh`, {
+      refresh_token: authContext.refreshToken
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+
+  test('should fail to logout without token', async () => {
+    const response = await post(`${baseURL}/logout`, {});
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Session - Logout All', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should revoke every session of the user', async () => {
+    // Second login creates another session for the same user
+    const secondLogin = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: authContext.user.password
+    });
+    assertResponseFormat(secondLogin, 200);
+
+    const response = await post(`${baseURL}/logout/all`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+
+    const firstProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+    assertErrorResponse(firstProfile, 401, 108);
+
+    const secondProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(secondLogin.body.data.token)
+    });
+    assertErrorResponse(secondProfile, 401, 108);
+
+    const refreshResponse = await post(`${baseURL}/token/refresh`, {
+      refresh_token: secondLogin.body.data.refresh_token
+    });
+    assertErrorResponse(refreshResponse, 401, 108);
+  });
+});
+
+describe('Module Session - Active Sessions', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should list the current session', async () => {
+    const response = await get(`${baseURL}/sessions`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(Array.isArray(response.body.data)).toBe(true);
+    expect(response.body.data.length).toBe(1);
+
+    const session = response.body.data[0];
+    expect(session).toHaveProperty('session_id');
+    expect(session).toHaveProperty('user_agent');
+    expect(session).toHaveProperty('ip_address');
+    expect(session).toHaveProperty('created_on');
+    expect(session).toHaveProperty('last_seen_on');
+    expect(session.is_current).toBe(true);
+  });
+
+  test('should terminate another session and reject its token', async () => {
+    const secondLogin = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: authContext.user.password
+    });
+    assertResponseFormat(secondLogin, 200);
+
+    const listResponse = await get(`${baseURL}/sessions`, {
+      headers: authHeaders(authContext.token)
+    });
+    expect(listResponse.body.data.length).toBe(2);
+
+    const otherSession = listResponse.body.data.find(session => !session.is_current);
+
+    const response = await del(`${baseURL}/sessions/${otherSession.session_id}`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+
+    const otherProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(secondLogin.body.data.token)
+    });
+    assertErrorResponse(otherProfile, 401, 108);
+
+    // Current session is untouched
+    const currentProfile = await get(`${baseURL}/profile`, {
+      headers: authHeaders(authContext.token)
+    });
+    assertResponseFormat(currentProfile, 200);
+  });
+
+  test('should return 404 for a session that does not belong to the user', async () => {
+    const response = await del(`${baseURL}/sessions/00000000-0000-4000-8000-000000000000`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should fail with invalid session id', async () => {
+    const response = await del(`${baseURL}/sessions/not-a-uuid`, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should fail to list sessions without token', async () => {
+    const response = await get(`${baseURL}/sessions`);
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Integration Tests - Module Two-Factor
+ * Tests for 2FA Setup, Confirm, two-step Login with TOTP and recovery codes
+ */
+
+import { get, post } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+import { generateTotp, getTimeStep } from '#lib/util/totp.js';
+
+const baseURL = global.testConfig.baseURL;
+
+/**
+ * Enroll the user in 2FA, returns { secret, recoveryCodes }
+ * Confirms with the current step, so later logins use the next one
+ */
+async function enableTwoFactor(token) {
+  const setupResponse = await post(`${baseURL}/2fa/setup`, {}, {
+    headers: authHeaders(token)
+  });
+  const { secret } = setupResponse.body.data;
+
+  const confirmResponse = await post(`${baseURL}/2fa/confirm`, {
+    code: generateTotp(secret)
+  }, {
+    headers: authHeaders(token)
+  });
+
+  return { secret, recoveryCodes: confirmResponse.body.data.recovery_codes };
+}
+
+describe('Module Two-Factor - Setup', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should return a secret and otpauth URI', async () => {
+    const response = await post(`${baseURL}/2fa/setup`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(response.body.data.otpauth_uri).toMatch(/^otpauth:\/\/totp\//);
+    expect(response.body.data.otpauth_uri).toContain(`secret=${response.body.data.secret}`);
+  });
+
+  test('should enable 2FA and return recovery codes on confirm', async () => {
+    const { recoveryCodes } = await enableTwoFactor(authContext.token);
+
+    expect(Array.isArray(recoveryCodes)).toBe(true);
+    expect(recoveryCodes.length).toBe(10);
+  });
+
+  test('should reject confirm with a wrong code', async () => {
+    const setupResponse = await post(`${baseURL}/2fa/setup`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+    const { secret } = setupResponse.body.data;
+    const wrongCode = generateTotp(secret) === '000000' ? '111111' : '000000';
+
+    const response = await post(`${baseURL}/2fa/confirm`, { code: wrongCode }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject confirm before setup', async () => {
+    const response = await post(`${baseURL}/2fa/confirm`, { code: '123456' }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject setup when 2FA is already enabled', async () => {
+    await enableTwoFactor(authContext.token);
+
+    const response = await post(`${baseURL}/2fa/setup`, {}, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should fail without token', async () => {
+    const response = await post(`${baseURL}/2fa/setup`, {});
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Two-Factor - Login', () => {
+  let authContext;
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+    ({ secret, recoveryCodes } = await enableTwoFactor(authContext.token));
+  });
+
+  async function startLogin() {
+    const response = await post(`${baseURL}/login`, {
+      email: authContext.user.email,
+      password: authContext.user.password
+    });
+    return response;
+  }
+
+  test('should return a challenge instead of tokens when 2FA is enabled', async () => {
+    const response = await startLogin();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.two_factor_required).toBe(true);
+    expect(typeof response.body.data.challenge_token).toBe('string');
+    expect(response.body.data).not.toHaveProperty('token');
+  });
+
+  test('should not accept the challenge token as an access token', async () => {
+    const { challenge_token } = (await startLogin()).body.data;
+
+    const response = await get(`${baseURL}/profile`, {
+      headers: authHeaders(challenge_token)
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+
+  test('should issue tokens for a valid TOTP code', async () => {
+    const { challenge_token } = (await startLogin()).body.data;
+
+    const response = await post(`${baseURL}/login/2fa`, {
+      challenge_token,
+      code: generateTotp(secret, getTimeStep() + 1)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data).toHaveProperty('token');
+    expect(response.body.data).toHaveProperty('refresh_token');
+
+    const profileResponse = await get(`${baseURL}/profile`, {
+      headers: authHeaders(response.body.data.token)
+    });
+    assertResponseFormat(profileResponse, 200);
+
+    // Challenge token is single use
+    const reuseResponse = await post(`${baseURL}/login/2fa`, {
+      challenge_token,
+      code: recoveryCodes[0]
+    });
+    assertErrorResponse(reuseResponse, 401, 108);
+  });
+
+  test('should reject a TOTP code that was already used', async () => {
+    const code = generateTotp(secret, getTimeStep() + 1);
+
+    const first = await post(`${baseURL}/login/2fa`, {
+      challenge_token: (await startLogin()).body.data.challenge_token,
+      code
+    });
+    assertResponseFormat(first, 200);
+
+    const second = await post(`${baseURL}/login/2fa`, {
+      challenge_token: (await startLogin()).body.data.challenge_token,
+      code
+    });
+    assertErrorResponse(second, 401, 103);
+  });
+
+  test('should accept a recovery code only once', async () => {
+    const first = await post(`${baseURL}/login/2fa`, {
+      challenge_token: (await startLogin()).body.data.challenge_token,
+      code: recoveryCodes[0]
+    });
+    assertResponseFormat(first, 200);
+
+    const second = await post(`${baseURL}/login/2fa`, {
+      challenge_token: (await startLogin()).body.data.challenge_token,
+      code: recoveryCodes[0]
+    });
+    assertErrorResponse(second, 401, 103);
+  });
+
+  test('should reject an invalid challenge token', async () => {
+    const response = await post(`${baseURL}/login/2fa`, {
+      challenge_token: 'not-a-challenge-token',
+      code: '123456'
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+
+  test('should not accept an access token as challenge token', async () => {
+    const response = await post(`${baseURL}/login/2fa`, {
+      challenge_token: authContext.token,
+      code: generateTotp(secret, getTimeStep() + 1)
+    });
+
+    assertErrorResponse(response, 401, 108);
+  });
+
+  test('should fail with missing code', async () => {
+    const { challenge_token } = (await startLogin()).body.data;
+
+    const response = await post(`${baseURL}/login/2fa`, { challenge_token });
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Integration Tests - Module PIN
+ * Tests for Set PIN, Change PIN, Reset PIN and PIN enforcement on Top Up and Transaction
+ */
+
+import { get, post, put } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders,
+  TEST_PIN
+} from '../utils/test-helpers.js';
+
+const baseURL = global.testConfig.baseURL;
+const WRONG_PIN = '000000';
+
+describe('Module PIN - Set PIN', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL, { setPin: false });
+  });
+
+  test('should set the PIN with the account password', async () => {
+    const response = await post(`${baseURL}/profile/pin`, {
+      password: authContext.user.password,
+      pin: '246810'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.status).toBe(0);
+    expect(response.body.data).toBeNull();
+  });
+
+  test('should reject a wrong password', async () => {
+    const response = await post(`${baseURL}/profile/pin`, {
+      password: 'WrongPassword1!',
+      pin: '246810'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject a PIN that is not 6 digits', async () => {
+    for (const pin of ['12345', '1234567', 'abcdef', 123456]) {
+      const response = await post(`${baseURL}/profile/pin`, {
+        password: authContext.user.password,
+        pin
+      }, {
+        headers: authHeaders(authContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should reject setting the PIN twice', async () => {
+    const body = { password: authContext.user.password, pin: '246810' };
+    await post(`${baseURL}/profile/pin`, body, { headers: authHeaders(authContext.token) });
+
+    const response = await post(`${baseURL}/profile/pin`, body, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should reject top up before a PIN is set', async () => {
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: TEST_PIN },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 403, 110);
+  });
+
+  test('should fail without token', async () => {
+    const response = await post(`${baseURL}/profile/pin`, { password: 'x', pin: '246810' });
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module PIN - Change and Reset PIN', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should change the PIN with the current PIN', async () => {
+    const response = await put(`${baseURL}/profile/pin`, {
+      current_pin: authContext.pin,
+      new_pin: '135790'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+
+    // Old PIN no longer authorizes a top up
+    const oldPinResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertErrorResponse(oldPinResponse, 403, 111);
+
+    const newPinResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: '135790' },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertResponseFormat(newPinResponse, 200);
+  });
+
+  test('should reject change with a wrong current PIN', async () => {
+    const response = await put(`${baseURL}/profile/pin`, {
+      current_pin: WRONG_PIN,
+      new_pin: '135790'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 403, 111);
+  });
+
+  test('should reject a new PIN equal to the current one', async () => {
+    const response = await put(`${baseURL}/profile/pin`, {
+      current_pin: authContext.pin,
+      new_pin: authContext.pin
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reset the PIN with the account password', async () => {
+    const response = await post(`${baseURL}/profile/pin/reset`, {
+      password: authContext.user.password,
+      new_pin: '975310'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+
+    const topUpResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: '975310' },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertResponseFormat(topUpResponse, 200);
+  });
+
+  test('should reject reset with a wrong password', async () => {
+    const response = await post(`${baseURL}/profile/pin/reset`, {
+      password: 'WrongPassword1!',
+      new_pin: '975310'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
+describe('Module PIN - Enforcement and Lockout', () => {
+  let authContext;
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  test('should require a PIN for top up and transaction', async () => {
+    const topUpResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000 },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertErrorResponse(topUpResponse, 400, 102);
+
+    const transactionResponse = await post(
+      `${baseURL}/transaction`,
+      { service_code: 'PULSA' },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertErrorResponse(transactionResponse, 400, 102);
+  });
+
+  test('should reject a wrong PIN without moving money', async () => {
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: WRONG_PIN },
+      { headers: authHeaders(authContext.token) }
+    );
+
+    assertErrorResponse(response, 403, 111);
+    expect(response.body.data.remaining_attempts).toBeGreaterThan(0);
+
+    const balanceResponse = await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    });
+    expect(balanceResponse.body.data.balance).toBe(0);
+  });
+
+  test('should lock the PIN after repeated wrong entries until it is reset', async () => {
+    let response;
+    do {
+      response = await post(
+        `${baseURL}/transaction`,
+        { service_code: 'PULSA', pin: WRONG_PIN },
+        { headers: authHeaders(authContext.token) }
+      );
+    } while (response.body.status === 111);
+
+    assertErrorResponse(response, 403, 112);
+
+    // Correct PIN is refused while locked
+    const lockedResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertErrorResponse(lockedResponse, 403, 112);
+
+    await post(`${baseURL}/profile/pin/reset`, {
+      password: authContext.user.password,
+      new_pin: authContext.pin
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+
+    const unlockedResponse = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 10000, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+    assertResponseFormat(unlockedResponse, 200);
+  });
+
+  test('should throttle PIN resets with a wrong password like failed logins', async () => {
+    let response;
+    for (let attempt = 0; attempt < 5 && response?.status !== 429; attempt++) {
+      response = await post(`${baseURL}/profile/pin/reset`, {
+        password: 'WrongPassword1!',
+        new_pin: '975310'
+      }, {
+        headers: authHeaders(authContext.token)
+      });
+    }
+
+    assertErrorResponse(response, 429, 107);
+    expect(parseInt(response.headers['retry-after'], 10)).toBeGreaterThan(0);
+
+    // Correct password is refused as well until the delay has passed
+    const blockedResponse = await post(`${baseURL}/profile/pin/reset`, {
+      password: authContext.user.password,
+      new_pin: '975310'
+    }, {
+      headers: authHeaders(authContext.token)
+    });
+    assertErrorResponse(blockedResponse, 429, 107);
+  }, 30000);
+});
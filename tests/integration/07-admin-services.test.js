@@ -0,0 +1,645 @@
+/**
+ * Integration Tests - Module Admin Services
+ * Tests for role authorization, service Create, Update, Delete (soft), Icon upload, Tariff history
+ * and amount types (FIXED, DENOMINATION, RANGE, requires_inquiry)
+ */
+
+import { get, post, put, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+import { closeDatabase } from '../utils/database.js';
+
+const baseURL = global.testConfig.baseURL;
+
+/**
+ * Generate a unique service code for a test
+ */
+function generateServiceCode() {
+  return `TEST_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+}
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Module Admin Services - Authorization', () => {
+  test('should reject users without the ADMIN role', async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+
+    const response = await get(`${baseURL}/admin/services`, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+
+  test('should reject the SUPPORT role', async () => {
+    const supportContext = await createAuthenticatedUser(baseURL, { role: 'SUPPORT' });
+
+    const response = await post(`${baseURL}/admin/services`, {
+      service_code: generateServiceCode(),
+      service_name: 'Support Service',
+      service_tariff: 1000
+    }, {
+      headers: authHeaders(supportContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+
+  test('should fail without token', async () => {
+    const response = await get(`${baseURL}/admin/services`);
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Admin Services - Manage Services', () => {
+  let adminContext;
+  let serviceCode;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+  });
+
+  beforeEach(async () => {
+    serviceCode = generateServiceCode();
+
+    const response = await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Test Service',
+      service_tariff: 15000,
+      service_icon: 'https://nutech-integrasi.app/dummy.jpg'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+  });
+
+  test('should create a service visible in GET /services', async () => {
+    const response = await get(`${baseURL}/services`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    const service = response.body.data.find(item => item.service_code === serviceCode);
+    expect(service).toBeDefined();
+    expect(service.service_name).toBe('Test Service');
+    expect(service.service_tariff).toBe(15000);
+  });
+
+  test('should reject a duplicate service code', async () => {
+    const response = await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Duplicate',
+      service_tariff: 1000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should reject invalid service payloads', async () => {
+    const invalidPayloads = [
+      { service_name: 'No Code', service_tariff: 1000 },
+      { service_code: 'lower_case', service_name: 'Bad Code', service_tariff: 1000 },
+      { service_code: generateServiceCode(), service_name: 'Zero Tariff', service_tariff: 0 },
+      { service_code: generateServiceCode(), service_tariff: 1000 }
+    ];
+
+    for (const payload of invalidPayloads) {
+      const response = await post(`${baseURL}/admin/services`, payload, {
+        headers: authHeaders(adminContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should update name and tariff', async () => {
+    const response = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_name: 'Renamed Service',
+      service_tariff: 25000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_code).toBe(serviceCode);
+    expect(response.body.data.service_name).toBe('Renamed Service');
+    expect(response.body.data.service_tariff).toBe(25000);
+    expect(response.body.data.service_icon).toBe('https://nutech-integrasi.app/dummy.jpg');
+  });
+
+  test('should not allow changing the service code', async () => {
+    const response = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_code: 'OTHER_CODE'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should return 404 when updating an unknown service', async () => {
+    const response = await put(`${baseURL}/admin/services/UNKNOWN_SERVICE_CODE`, {
+      service_tariff: 1000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should soft-delete a service and keep past transactions', async () => {
+    // Pay for the service before it is deleted
+    const userContext = await createAuthenticatedUser(baseURL);
+    await post(`${baseURL}/topup`, { top_up_amount: 100000, pin: userContext.pin }, {
+      headers: authHeaders(userContext.token)
+    });
+    const paymentResponse = await post(`${baseURL}/transaction`, {
+      service_code: serviceCode,
+      pin: userContext.pin
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+    assertResponseFormat(paymentResponse, 200);
+
+    const deleteResponse = await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(deleteResponse, 200);
+    expect(deleteResponse.body.data.deleted_on).not.toBeNull();
+
+    // Gone from the public catalog
+    const servicesResponse = await get(`${baseURL}/services`, {
+      headers: authHeaders(userContext.token)
+    });
+    expect(servicesResponse.body.data.find(item => item.service_code === serviceCode)).toBeUndefined();
+
+    // Cannot be paid for anymore
+    const secondPayment = await post(`${baseURL}/transaction`, {
+      service_code: serviceCode,
+      pin: userContext.pin
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+    assertErrorResponse(secondPayment, 400, 102);
+
+    // History still shows the payment
+    const historyResponse = await get(`${baseURL}/transaction/history`, {
+      headers: authHeaders(userContext.token)
+    });
+    const payment = historyResponse.body.data.records.find(
+      record => record.invoice_number === paymentResponse.body.data.invoice_number
+    );
+    expect(payment).toBeDefined();
+
+    // Still listed for admins with include_deleted
+    const adminListResponse = await get(`${baseURL}/admin/services?include_deleted=true`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(adminListResponse.body.data.find(item => item.service_code === serviceCode)).toBeDefined();
+  });
+
+  test('should allow reusing the code of a deleted service', async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    const response = await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Recreated Service',
+      service_tariff: 5000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.deleted_on).toBeNull();
+  });
+
+  test('should return 404 when deleting twice', async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    const response = await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should reject an icon that is not an image', async () => {
+    const formData = new FormData();
+    const blob = new Blob(['mock text data'], { type: 'text/plain' });
+    formData.append('file', blob, 'document.txt');
+
+    const response = await fetch(`${baseURL}/admin/services/${serviceCode}/icon`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${adminContext.token}`
+      },
+      body: formData
+    });
+
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.status).toBe(102);
+    expect(body.message).toContain('Format Image tidak sesuai');
+  });
+
+  test('should assign and clear a category', async () => {
+    const assignResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_category: 'UTILITIES'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(assignResponse, 200);
+    expect(assignResponse.body.data.service_category).toBe('UTILITIES');
+
+    const filteredResponse = await get(`${baseURL}/services?category=UTILITIES`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(filteredResponse.body.data.map(item => item.service_code)).toContain(serviceCode);
+
+    const clearResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_category: null
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(clearResponse, 200);
+    expect(clearResponse.body.data.service_category).toBeNull();
+  });
+
+  test('should reject an unknown category', async () => {
+    const response = await post(`${baseURL}/admin/services`, {
+      service_code: generateServiceCode(),
+      service_name: 'Unknown Category',
+      service_tariff: 1000,
+      service_category: 'UNKNOWN_CATEGORY'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject payments to an inactive service with a dedicated status', async () => {
+    const updateResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_active: false
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(updateResponse, 200);
+    expect(updateResponse.body.data.service_active).toBe(false);
+
+    const userContext = await createAuthenticatedUser(baseURL);
+    await post(`${baseURL}/topup`, { top_up_amount: 100000, pin: userContext.pin }, {
+      headers: authHeaders(userContext.token)
+    });
+
+    const paymentResponse = await post(`${baseURL}/transaction`, {
+      service_code: serviceCode,
+      pin: userContext.pin
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+    assertErrorResponse(paymentResponse, 400, 113);
+
+    // Still listed, flagged as unavailable
+    const servicesResponse = await get(`${baseURL}/services?available=false`, {
+      headers: authHeaders(userContext.token)
+    });
+    const service = servicesResponse.body.data.find(item => item.service_code === serviceCode);
+    expect(service).toBeDefined();
+    expect(service.service_available).toBe(false);
+  });
+
+  test('should reject payments during a maintenance window', async () => {
+    const now = Date.now();
+    const updateResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      maintenance_from: new Date(now - 60 * 1000).toISOString(),
+      maintenance_until: new Date(now + 60 * 60 * 1000).toISOString()
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(updateResponse, 200);
+
+    const userContext = await createAuthenticatedUser(baseURL);
+    const paymentResponse = await post(`${baseURL}/transaction`, {
+      service_code: serviceCode,
+      pin: userContext.pin
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+    assertErrorResponse(paymentResponse, 400, 113);
+
+    // Clearing the window makes the service available again
+    const clearResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      maintenance_from: null,
+      maintenance_until: null
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(clearResponse, 200);
+
+    const servicesResponse = await get(`${baseURL}/services?q=${serviceCode}`, {
+      headers: authHeaders(userContext.token)
+    });
+    expect(servicesResponse.body.data[0].service_available).toBe(true);
+  });
+
+  test('should reject an invalid maintenance window', async () => {
+    const now = Date.now();
+    const invalidWindows = [
+      { maintenance_from: new Date(now).toISOString() },
+      {
+        maintenance_from: new Date(now + 60 * 60 * 1000).toISOString(),
+        maintenance_until: new Date(now).toISOString()
+      }
+    ];
+
+    for (const window of invalidWindows) {
+      const response = await put(`${baseURL}/admin/services/${serviceCode}`, window, {
+        headers: authHeaders(adminContext.token)
+      });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should keep the price history when the tariff changes', async () => {
+    const updateResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_tariff: 20000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(updateResponse, 200);
+    expect(updateResponse.body.data.service_tariff).toBe(20000);
+
+    const historyResponse = await get(`${baseURL}/admin/services/${serviceCode}/tariffs`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(historyResponse, 200);
+    expect(historyResponse.body.data.map(tariff => tariff.tariff)).toEqual([20000, 15000]);
+    expect(historyResponse.body.data[0].is_current).toBe(true);
+    expect(historyResponse.body.data[1].is_current).toBe(false);
+  });
+
+  test('should charge the current tariff until a scheduled one takes effect', async () => {
+    const scheduleResponse = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_tariff: 99000,
+      tariff_effective_from: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(scheduleResponse, 200);
+    expect(scheduleResponse.body.data.service_tariff).toBe(15000);
+
+    const userContext = await createAuthenticatedUser(baseURL);
+    await post(`${baseURL}/topup`, { top_up_amount: 100000, pin: userContext.pin }, {
+      headers: authHeaders(userContext.token)
+    });
+
+    const paymentResponse = await post(`${baseURL}/transaction`, {
+      service_code: serviceCode,
+      pin: userContext.pin
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+    assertResponseFormat(paymentResponse, 200);
+    expect(paymentResponse.body.data.total_amount).toBe(15000);
+
+    const historyResponse = await get(`${baseURL}/admin/services/${serviceCode}/tariffs`, {
+      headers: authHeaders(adminContext.token)
+    });
+    const scheduled = historyResponse.body.data.find(tariff => tariff.tariff === 99000);
+    expect(scheduled).toBeDefined();
+    expect(scheduled.is_current).toBe(false);
+  });
+
+  test('should reject a tariff effective in the past', async () => {
+    const response = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      service_tariff: 30000,
+      tariff_effective_from: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject an effective date without a tariff', async () => {
+    const response = await put(`${baseURL}/admin/services/${serviceCode}`, {
+      tariff_effective_from: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
+
+describe('Module Admin Services - Amount Types', () => {
+  let adminContext;
+  let userContext;
+  let serviceCode;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+    userContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 1000000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+  });
+
+  beforeEach(() => {
+    serviceCode = generateServiceCode();
+  });
+
+  afterEach(async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  async function createService(payload) {
+    return await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Amount Test Service',
+      service_tariff: 10000,
+      ...payload
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+  }
+
+  async function updateService(payload) {
+    return await put(`${baseURL}/admin/services/${serviceCode}`, payload, {
+      headers: authHeaders(adminContext.token)
+    });
+  }
+
+  async function pay(payload) {
+    return await post(
+      `${baseURL}/transaction`,
+      { service_code: serviceCode, pin: userContext.pin, ...payload },
+      { headers: authHeaders(userContext.token) }
+    );
+  }
+
+  test('should create a FIXED service by default', async () => {
+    const response = await createService({});
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_amount_type).toBe('FIXED');
+    expect(response.body.data.requires_inquiry).toBe(false);
+    expect(response.body.data.service_min_amount).toBeNull();
+    expect(response.body.data.service_max_amount).toBeNull();
+    expect(response.body.data.service_denominations).toEqual([]);
+  });
+
+  test('should create a RANGE service users can pay any amount within', async () => {
+    const response = await createService({
+      service_amount_type: 'RANGE',
+      service_min_amount: 5000,
+      service_max_amount: 100000
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_amount_type).toBe('RANGE');
+    expect(response.body.data.service_min_amount).toBe(5000);
+    expect(response.body.data.service_max_amount).toBe(100000);
+
+    const paymentResponse = await pay({ amount: 75000 });
+    assertResponseFormat(paymentResponse, 200);
+    expect(paymentResponse.body.data.base_amount).toBe(75000);
+
+    const tooHighResponse = await pay({ amount: 100001 });
+    assertErrorResponse(tooHighResponse, 400, 102);
+  });
+
+  test('should create a DENOMINATION service users can pay a denomination of', async () => {
+    const response = await createService({
+      service_amount_type: 'DENOMINATION',
+      service_denominations: [
+        { denomination_name: 'Paket 20.000', amount: 20000 },
+        { denomination_name: 'Paket 50.000', amount: 50000 }
+      ]
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_amount_type).toBe('DENOMINATION');
+    expect(response.body.data.service_denominations.map(denomination => denomination.denomination_name))
+      .toEqual(['Paket 20.000', 'Paket 50.000']);
+
+    const servicesResponse = await get(`${baseURL}/services?q=${serviceCode}`, {
+      headers: authHeaders(userContext.token)
+    });
+    const [service] = servicesResponse.body.data;
+    expect(service.service_denominations).toEqual(response.body.data.service_denominations);
+
+    const paymentResponse = await pay({ denomination_id: service.service_denominations[1].denomination_id });
+    assertResponseFormat(paymentResponse, 200);
+    expect(paymentResponse.body.data.base_amount).toBe(50000);
+  });
+
+  test('should replace denominations and keep the ids of unchanged ones', async () => {
+    const createResponse = await createService({
+      service_amount_type: 'DENOMINATION',
+      service_denominations: [
+        { denomination_name: 'Paket 20.000', amount: 20000 },
+        { denomination_name: 'Paket 50.000', amount: 50000 }
+      ]
+    });
+    const [small, large] = createResponse.body.data.service_denominations;
+
+    const response = await updateService({
+      service_denominations: [
+        { denomination_name: 'Paket 100.000', amount: 100000 },
+        { denomination_name: 'Paket 20.000', amount: 20000 }
+      ]
+    });
+
+    assertResponseFormat(response, 200);
+    const denominations = response.body.data.service_denominations;
+    expect(denominations.map(denomination => denomination.amount)).toEqual([100000, 20000]);
+    expect(denominations[1].denomination_id).toBe(small.denomination_id);
+
+    // A removed denomination can no longer be paid
+    const paymentResponse = await pay({ denomination_id: large.denomination_id });
+    assertErrorResponse(paymentResponse, 400, 102);
+  });
+
+  test('should drop denominations when switching to FIXED', async () => {
+    await createService({
+      service_amount_type: 'DENOMINATION',
+      service_denominations: [{ denomination_name: 'Paket 20.000', amount: 20000 }]
+    });
+
+    const response = await updateService({ service_amount_type: 'FIXED' });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.service_amount_type).toBe('FIXED');
+    expect(response.body.data.service_denominations).toEqual([]);
+
+    const paymentResponse = await pay({});
+    assertResponseFormat(paymentResponse, 200);
+    expect(paymentResponse.body.data.base_amount).toBe(10000);
+  });
+
+  test('should create a billed service paid through an inquiry', async () => {
+    const response = await createService({ requires_inquiry: true });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.requires_inquiry).toBe(true);
+
+    const paymentResponse = await pay({});
+    assertErrorResponse(paymentResponse, 400, 102);
+  });
+
+  test('should reject amount settings that do not fit the amount type', async () => {
+    const invalidPayloads = [
+      { service_amount_type: 'PERCENT' },
+      { service_amount_type: 'RANGE', service_min_amount: 5000 },
+      { service_amount_type: 'RANGE', service_min_amount: 50000, service_max_amount: 5000 },
+      { service_min_amount: 5000, service_max_amount: 50000 },
+      { service_amount_type: 'DENOMINATION' },
+      { service_amount_type: 'DENOMINATION', service_denominations: [] },
+      { service_amount_type: 'DENOMINATION', service_denominations: [{ denomination_name: 'Nol', amount: 0 }] },
+      { service_amount_type: 'DENOMINATION', service_denominations: [{ amount: 10000 }] },
+      { service_denominations: [{ denomination_name: 'Paket 20.000', amount: 20000 }] },
+      { requires_inquiry: true, service_amount_type: 'RANGE', service_min_amount: 1000, service_max_amount: 2000 },
+      { requires_inquiry: 'yes' }
+    ];
+
+    for (const payload of invalidPayloads) {
+      const response = await createService(payload);
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should reject an update leaving a RANGE service without bounds', async () => {
+    await createService({});
+
+    const response = await updateService({ service_amount_type: 'RANGE', service_min_amount: 1000 });
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
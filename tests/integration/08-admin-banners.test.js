@@ -0,0 +1,294 @@
+/**
+ * Integration Tests - Module Admin Banners
+ * Tests for banner Create, Update, Image upload, Reorder, Retire and live window scheduling
+ */
+
+import { get, post, put, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+import { closeDatabase } from '../utils/database.js';
+
+const baseURL = global.testConfig.baseURL;
+
+/**
+ * Generate a unique banner name for a test
+ */
+function generateBannerName() {
+  return `Test Banner ${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+}
+
+/**
+ * ISO date-time offset from now
+ */
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Module Admin Banners - Authorization', () => {
+  test('should reject users without the ADMIN role', async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+
+    const response = await post(`${baseURL}/admin/banners`, {
+      banner_name: generateBannerName(),
+      banner_image: 'https://nutech-integrasi.app/dummy.jpg',
+      description: 'Not allowed'
+    }, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+});
+
+describe('Module Admin Banners - Manage Banners', () => {
+  let adminContext;
+  const createdBannerIds = [];
+
+  /**
+   * Create a banner through the admin API and remember it for cleanup
+   */
+  async function createBanner(overrides = {}) {
+    const response = await post(`${baseURL}/admin/banners`, {
+      banner_name: generateBannerName(),
+      banner_image: 'https://nutech-integrasi.app/dummy.jpg',
+      description: 'Banner created by integration tests',
+      ...overrides
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    createdBannerIds.push(response.body.data.banner_id);
+
+    return response.body.data;
+  }
+
+  async function getPublicBannerNames() {
+    const response = await get(`${baseURL}/banner`);
+    assertResponseFormat(response, 200);
+    return response.body.data.map(banner => banner.banner_name);
+  }
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+  });
+
+  afterAll(async () => {
+    // Retire every banner created here so GET /banner is left as seeded
+    for (const bannerId of createdBannerIds) {
+      await del(`${baseURL}/admin/banners/${bannerId}`, {
+        headers: authHeaders(adminContext.token)
+      });
+    }
+  });
+
+  test('should create a banner placed after the existing ones', async () => {
+    const banner = await createBanner();
+
+    expect(banner.retired_on).toBeNull();
+    expect(banner.active_from).toBeNull();
+    expect(banner.active_until).toBeNull();
+
+    const names = await getPublicBannerNames();
+    expect(names[names.length - 1]).toBe(banner.banner_name);
+  });
+
+  test('should hide banners outside their live window', async () => {
+    const scheduled = await createBanner({ active_from: hoursFromNow(1) });
+    const expired = await createBanner({
+      active_from: hoursFromNow(-2),
+      active_until: hoursFromNow(-1)
+    });
+    const live = await createBanner({
+      active_from: hoursFromNow(-1),
+      active_until: hoursFromNow(1)
+    });
+
+    const names = await getPublicBannerNames();
+    expect(names).not.toContain(scheduled.banner_name);
+    expect(names).not.toContain(expired.banner_name);
+    expect(names).toContain(live.banner_name);
+
+    // Admins still see scheduled banners
+    const adminResponse = await get(`${baseURL}/admin/banners`, {
+      headers: authHeaders(adminContext.token)
+    });
+    const adminIds = adminResponse.body.data.map(banner => banner.banner_id);
+    expect(adminIds).toContain(scheduled.banner_id);
+  });
+
+  test('should publish a scheduled banner once its window is cleared', async () => {
+    const scheduled = await createBanner({ active_from: hoursFromNow(1) });
+
+    const response = await put(`${baseURL}/admin/banners/${scheduled.banner_id}`, {
+      active_from: null
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.active_from).toBeNull();
+    expect(await getPublicBannerNames()).toContain(scheduled.banner_name);
+  });
+
+  test('should reject a window that ends before it starts', async () => {
+    const response = await post(`${baseURL}/admin/banners`, {
+      banner_name: generateBannerName(),
+      banner_image: 'https://nutech-integrasi.app/dummy.jpg',
+      description: 'Invalid window',
+      active_from: hoursFromNow(2),
+      active_until: hoursFromNow(1)
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reject an update that breaks the window', async () => {
+    const banner = await createBanner({ active_until: hoursFromNow(1) });
+
+    const response = await put(`${baseURL}/admin/banners/${banner.banner_id}`, {
+      active_from: hoursFromNow(2)
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should reorder banners', async () => {
+    const first = await createBanner();
+    const second = await createBanner();
+
+    const response = await put(`${baseURL}/admin/banners/order`, {
+      banner_ids: [second.banner_id, first.banner_id]
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data[0].banner_id).toBe(second.banner_id);
+    expect(response.body.data[1].banner_id).toBe(first.banner_id);
+
+    const names = await getPublicBannerNames();
+    expect(names[0]).toBe(second.banner_name);
+    expect(names[1]).toBe(first.banner_name);
+  });
+
+  test('should reject reordering with unknown or duplicate ids', async () => {
+    const banner = await createBanner();
+
+    const unknownResponse = await put(`${baseURL}/admin/banners/order`, {
+      banner_ids: [banner.banner_id, 999999999]
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertErrorResponse(unknownResponse, 404, 104);
+
+    const duplicateResponse = await put(`${baseURL}/admin/banners/order`, {
+      banner_ids: [banner.banner_id, banner.banner_id]
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertErrorResponse(duplicateResponse, 400, 102);
+  });
+
+  test('should retire a banner', async () => {
+    const banner = await createBanner();
+
+    const response = await del(`${baseURL}/admin/banners/${banner.banner_id}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.retired_on).not.toBeNull();
+    expect(await getPublicBannerNames()).not.toContain(banner.banner_name);
+
+    // Retired banners can no longer be edited
+    const updateResponse = await put(`${baseURL}/admin/banners/${banner.banner_id}`, {
+      banner_name: 'Edited'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertErrorResponse(updateResponse, 404, 104);
+
+    // Still listed for admins with include_retired
+    const adminResponse = await get(`${baseURL}/admin/banners?include_retired=true`, {
+      headers: authHeaders(adminContext.token)
+    });
+    const adminIds = adminResponse.body.data.map(item => item.banner_id);
+    expect(adminIds).toContain(banner.banner_id);
+  });
+
+  test('should use a placeholder image until one is uploaded', async () => {
+    const response = await post(`${baseURL}/admin/banners`, {
+      banner_name: generateBannerName(),
+      description: 'Banner without image'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    createdBannerIds.push(response.body.data.banner_id);
+    expect(response.body.data.banner_image).toContain('banner_images/');
+  });
+
+  test('should keep non S3 image URLs unchanged in GET /banner', async () => {
+    const banner = await createBanner();
+
+    const response = await get(`${baseURL}/banner`);
+    const publicBanner = response.body.data.find(item => item.banner_name === banner.banner_name);
+
+    expect(publicBanner.banner_image).toBe('https://nutech-integrasi.app/dummy.jpg');
+  });
+
+  test('should reject a banner image that is not an image', async () => {
+    const banner = await createBanner();
+
+    const formData = new FormData();
+    const blob = new Blob(['mock text data'], { type: 'text/plain' });
+    formData.append('file', blob, 'document.txt');
+
+    const response = await fetch(`${baseURL}/admin/banners/${banner.banner_id}/image`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${adminContext.token}`
+      },
+      body: formData
+    });
+
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.status).toBe(102);
+    expect(body.message).toContain('Format Image tidak sesuai');
+  });
+
+  test('should return 404 when uploading an image for an unknown banner', async () => {
+    const formData = new FormData();
+    const blob = new Blob(['mock image data'], { type: 'image/png' });
+    formData.append('file', blob, 'banner.png');
+
+    const response = await fetch(`${baseURL}/admin/banners/999999999/image`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${adminContext.token}`
+      },
+      body: formData
+    });
+
+    const body = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(body.status).toBe(104);
+  });
+});
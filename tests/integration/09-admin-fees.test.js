@@ -0,0 +1,297 @@
+/**
+ * Integration Tests - Module Admin Fees
+ * Tests for fee rule Create, Update, Delete (soft), fees on payments, tier rules and the fee report
+ */
+
+import { get, post, put, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+import { setUserTier, closeDatabase } from '../utils/database.js';
+
+const baseURL = global.testConfig.baseURL;
+
+const SERVICE_TARIFF = 20000;
+
+/**
+ * Generate a unique service code for a test
+ */
+function generateServiceCode() {
+  return `FEE_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+}
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Module Admin Fees - Authorization', () => {
+  test('should reject users without the ADMIN role', async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+
+    const response = await get(`${baseURL}/admin/fee-rules`, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+
+  test('should reject the fee report without token', async () => {
+    const response = await get(`${baseURL}/admin/reports/fees`);
+
+    assertErrorResponse(response, 401, 108);
+  });
+});
+
+describe('Module Admin Fees - Fee Rules', () => {
+  let adminContext;
+  let userContext;
+  let serviceCode;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+  });
+
+  beforeEach(async () => {
+    // Fee rules in these tests only target a service of their own
+    serviceCode = generateServiceCode();
+    await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Fee Test Service',
+      service_tariff: SERVICE_TARIFF
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    userContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 1000000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+  });
+
+  afterEach(async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  async function createFeeRule(payload) {
+    return await post(`${baseURL}/admin/fee-rules`, payload, {
+      headers: authHeaders(adminContext.token)
+    });
+  }
+
+  async function pay(context = userContext) {
+    return await post(
+      `${baseURL}/transaction`,
+      { service_code: serviceCode, pin: context.pin },
+      { headers: authHeaders(context.token) }
+    );
+  }
+
+  test('should charge no fee without a matching rule', async () => {
+    const response = await pay();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.base_amount).toBe(SERVICE_TARIFF);
+    expect(response.body.data.fee_amount).toBe(0);
+    expect(response.body.data.total_amount).toBe(SERVICE_TARIFF);
+  });
+
+  test('should add a flat fee on top of the tariff', async () => {
+    const ruleResponse = await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 2500 });
+
+    assertResponseFormat(ruleResponse, 200);
+    expect(ruleResponse.body.data.service_code).toBe(serviceCode);
+    expect(ruleResponse.body.data.user_tier).toBeNull();
+    expect(ruleResponse.body.data.fee_type).toBe('FLAT');
+    expect(ruleResponse.body.data.fee_value).toBe(2500);
+
+    const balanceBefore = (await get(`${baseURL}/balance`, {
+      headers: authHeaders(userContext.token)
+    })).body.data.balance;
+
+    const response = await pay();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.base_amount).toBe(SERVICE_TARIFF);
+    expect(response.body.data.fee_amount).toBe(2500);
+    expect(response.body.data.total_amount).toBe(SERVICE_TARIFF + 2500);
+
+    const balanceAfter = (await get(`${baseURL}/balance`, {
+      headers: authHeaders(userContext.token)
+    })).body.data.balance;
+    expect(balanceAfter).toBe(balanceBefore - SERVICE_TARIFF - 2500);
+  });
+
+  test('should add a percentage fee in basis points', async () => {
+    await createFeeRule({ service_code: serviceCode, fee_type: 'PERCENTAGE', fee_value: 150 });
+
+    const response = await pay();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.fee_amount).toBe(SERVICE_TARIFF * 150 / 10000);
+    expect(response.body.data.total_amount).toBe(SERVICE_TARIFF + SERVICE_TARIFF * 150 / 10000);
+  });
+
+  test('should prefer the rule for the user tier', async () => {
+    await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 3000 });
+    await createFeeRule({ service_code: serviceCode, user_tier: 'PREMIUM', fee_type: 'FLAT', fee_value: 0 });
+
+    const regularResponse = await pay();
+    expect(regularResponse.body.data.fee_amount).toBe(3000);
+
+    const premiumContext = await createAuthenticatedUser(baseURL);
+    await setUserTier(premiumContext.user.email, 'PREMIUM');
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 100000, pin: premiumContext.pin },
+      { headers: authHeaders(premiumContext.token) }
+    );
+
+    const premiumResponse = await pay(premiumContext);
+    assertResponseFormat(premiumResponse, 200);
+    expect(premiumResponse.body.data.fee_amount).toBe(0);
+    expect(premiumResponse.body.data.total_amount).toBe(SERVICE_TARIFF);
+  });
+
+  test('should show the fee breakdown in transaction history', async () => {
+    await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1000 });
+    await pay();
+
+    const response = await get(`${baseURL}/transaction/history?limit=1`, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    const [record] = response.body.data.records;
+    expect(record.base_amount).toBe(SERVICE_TARIFF);
+    expect(record.fee_amount).toBe(1000);
+    expect(record.total_amount).toBe(SERVICE_TARIFF + 1000);
+  });
+
+  test('should reject a second live rule for the same scope', async () => {
+    await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1000 });
+
+    const response = await createFeeRule({ service_code: serviceCode, fee_type: 'PERCENTAGE', fee_value: 100 });
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should update the fee of a rule', async () => {
+    const ruleResponse = await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1000 });
+    const feeRuleId = ruleResponse.body.data.fee_rule_id;
+
+    const response = await put(`${baseURL}/admin/fee-rules/${feeRuleId}`, {
+      fee_value: 4000
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.fee_type).toBe('FLAT');
+    expect(response.body.data.fee_value).toBe(4000);
+
+    const paymentResponse = await pay();
+    expect(paymentResponse.body.data.fee_amount).toBe(4000);
+  });
+
+  test('should not change the scope of a rule', async () => {
+    const ruleResponse = await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1000 });
+
+    const response = await put(`${baseURL}/admin/fee-rules/${ruleResponse.body.data.fee_rule_id}`, {
+      user_tier: 'PREMIUM'
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should stop charging a deleted rule and keep it in the list', async () => {
+    const ruleResponse = await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1000 });
+    const feeRuleId = ruleResponse.body.data.fee_rule_id;
+
+    const deleteResponse = await del(`${baseURL}/admin/fee-rules/${feeRuleId}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(deleteResponse, 200);
+    expect(deleteResponse.body.data.deleted_on).not.toBeNull();
+
+    const paymentResponse = await pay();
+    expect(paymentResponse.body.data.fee_amount).toBe(0);
+
+    const listResponse = await get(`${baseURL}/admin/fee-rules`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(listResponse.body.data.map(rule => rule.fee_rule_id)).not.toContain(feeRuleId);
+
+    const fullListResponse = await get(`${baseURL}/admin/fee-rules?include_deleted=true`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(fullListResponse.body.data.map(rule => rule.fee_rule_id)).toContain(feeRuleId);
+
+    const secondDeleteResponse = await del(`${baseURL}/admin/fee-rules/${feeRuleId}`, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertErrorResponse(secondDeleteResponse, 404, 104);
+  });
+
+  test('should reject invalid fee rule payloads', async () => {
+    const invalidPayloads = [
+      { service_code: serviceCode, fee_type: 'FLAT' },
+      { service_code: serviceCode, fee_type: 'FIXED', fee_value: 1000 },
+      { service_code: serviceCode, fee_type: 'FLAT', fee_value: -1 },
+      { service_code: serviceCode, user_tier: 'GOLD', fee_type: 'FLAT', fee_value: 1000 },
+      { service_code: serviceCode, fee_type: 'PERCENTAGE', fee_value: 10001 },
+      { service_code: 'UNKNOWN_SERVICE', fee_type: 'FLAT', fee_value: 1000 }
+    ];
+
+    for (const payload of invalidPayloads) {
+      const response = await createFeeRule(payload);
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should report fee revenue per service', async () => {
+    const from = new Date(Date.now() - 60 * 1000).toISOString();
+    await createFeeRule({ service_code: serviceCode, fee_type: 'FLAT', fee_value: 1500 });
+    await pay();
+    await pay();
+
+    const response = await get(`${baseURL}/admin/reports/fees?from=${encodeURIComponent(from)}`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.from).toBe(from);
+    expect(response.body.data.total_fee_amount).toBeGreaterThanOrEqual(3000);
+
+    const serviceReport = response.body.data.services.find(service => service.service_code === serviceCode);
+    expect(serviceReport).toEqual({
+      service_code: serviceCode,
+      service_name: 'Fee Test Service',
+      transaction_count: 2,
+      refund_count: 0,
+      refunded_amount: 0,
+      base_amount: SERVICE_TARIFF * 2,
+      fee_amount: 3000,
+      total_amount: (SERVICE_TARIFF + 1500) * 2
+    });
+  });
+
+  test('should reject an inverted report period', async () => {
+    const response = await get(
+      `${baseURL}/admin/reports/fees?from=2025-02-01T00:00:00Z&until=2025-01-01T00:00:00Z`,
+      { headers: authHeaders(adminContext.token) }
+    );
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Integration Tests - Balance Concurrency
+ * Fires parallel top ups and payments at one user and checks the final balance
+ * and that every transaction gets its own invoice number
+ */
+
+import { get, post } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  authHeaders
+} from '../utils/test-helpers.js';
+
+const baseURL = global.testConfig.baseURL;
+
+const PARALLEL_REQUESTS = 10;
+
+describe('Balance Concurrency', () => {
+  let authContext;
+  let serviceTariff;
+
+  beforeAll(async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+    const servicesResponse = await get(`${baseURL}/services?q=MUSIK`, {
+      headers: authHeaders(userContext.token)
+    });
+    serviceTariff = servicesResponse.body.data[0].service_tariff;
+  });
+
+  beforeEach(async () => {
+    authContext = await createAuthenticatedUser(baseURL);
+  });
+
+  async function getBalance() {
+    const response = await get(`${baseURL}/balance`, {
+      headers: authHeaders(authContext.token)
+    });
+    return response.body.data.balance;
+  }
+
+  function topUp(amount) {
+    return post(
+      `${baseURL}/topup`,
+      { top_up_amount: amount, pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+  }
+
+  function pay() {
+    return post(
+      `${baseURL}/transaction`,
+      { service_code: 'MUSIK', pin: authContext.pin },
+      { headers: authHeaders(authContext.token) }
+    );
+  }
+
+  test('should not lose parallel top ups', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, () => topUp(10000))
+    );
+
+    responses.forEach(response => assertResponseFormat(response, 200));
+    expect(await getBalance()).toBe(PARALLEL_REQUESTS * 10000);
+  });
+
+  test('should not overdraw with parallel payments', async () => {
+    // Enough for exactly 3 payments
+    await topUp(serviceTariff * 3);
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, () => pay())
+    );
+
+    const succeeded = responses.filter(response => response.status === 200);
+    const failed = responses.filter(response => response.status !== 200);
+
+    expect(succeeded.length).toBe(3);
+    failed.forEach(response => {
+      expect(response.status).toBe(400);
+      expect(response.body.status).toBe(102);
+      expect(response.body.message).toBe('Balance tidak mencukupi');
+    });
+
+    const balance = await getBalance();
+    expect(balance).toBe(serviceTariff * 3 - succeeded.reduce((total, response) => total + response.body.data.total_amount, 0));
+    expect(balance).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should keep the balance consistent with mixed top ups and payments', async () => {
+    await topUp(serviceTariff * PARALLEL_REQUESTS);
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => (index % 2 === 0 ? pay() : topUp(10000)))
+    );
+
+    responses.forEach(response => assertResponseFormat(response, 200));
+
+    const paid = responses
+      .filter(response => response.body.data.transaction_type === 'PAYMENT')
+      .reduce((total, response) => total + response.body.data.total_amount, 0);
+    const toppedUp = (PARALLEL_REQUESTS / 2) * 10000;
+
+    expect(await getBalance()).toBe(serviceTariff * PARALLEL_REQUESTS + toppedUp - paid);
+  });
+
+  test('should give every parallel transaction its own invoice number', async () => {
+    await topUp(serviceTariff * PARALLEL_REQUESTS);
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => (index % 2 === 0 ? pay() : topUp(10000)))
+    );
+    responses.forEach(response => assertResponseFormat(response, 200));
+
+    const historyResponse = await get(`${baseURL}/transaction/history?limit=100`, {
+      headers: authHeaders(authContext.token)
+    });
+    const invoiceNumbers = historyResponse.body.data.records.map(record => record.invoice_number);
+
+    expect(invoiceNumbers.length).toBe(PARALLEL_REQUESTS + 1);
+    expect(new Set(invoiceNumbers).size).toBe(invoiceNumbers.length);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Integration Tests - Ledger
+ * Checks the journal entries posted by top ups and payments through the ledger trial balance,
+ * the balance drift report and fixing drift with bin/reconcile
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { get, post, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+import { setUserBalance, seedOpeningBalance, closeDatabase } from '../utils/database.js';
+
+const baseURL = global.testConfig.baseURL;
+
+const SERVICE_TARIFF = 20000;
+const FEE_VALUE = 2500;
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Ledger - Authorization', () => {
+  test('should reject users without the ADMIN role', async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+
+    const response = await get(`${baseURL}/admin/reports/ledger`, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+});
+
+describe('Ledger - Trial Balance', () => {
+  let adminContext;
+  let userContext;
+  let serviceCode;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+
+    serviceCode = `LEDGER_${Date.now()}`;
+    await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Ledger Test Service',
+      service_tariff: SERVICE_TARIFF
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    await post(`${baseURL}/admin/fee-rules`, {
+      service_code: serviceCode,
+      fee_type: 'FLAT',
+      fee_value: FEE_VALUE
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  afterAll(async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  beforeEach(async () => {
+    userContext = await createAuthenticatedUser(baseURL);
+  });
+
+  async function getTrialBalance() {
+    const response = await get(`${baseURL}/admin/reports/ledger`, {
+      headers: authHeaders(adminContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    return response.body.data;
+  }
+
+  function getAccount(trialBalance, accountCode) {
+    return trialBalance.accounts.find(account => account.account_code === accountCode);
+  }
+
+  test('should be balanced and in sync with the cached balances', async () => {
+    const trialBalance = await getTrialBalance();
+
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.total_debit).toBe(trialBalance.total_credit);
+    expect(trialBalance.cache_in_sync).toBe(true);
+    expect(trialBalance.wallet_balance).toBe(trialBalance.cached_balance);
+    expect(trialBalance.accounts.map(account => account.account_code)).toEqual(
+      expect.arrayContaining(['CASH', 'SERVICE_PAYABLE', 'FEE_REVENUE', 'OPENING_BALANCE', 'WALLET'])
+    );
+  });
+
+  test('should debit cash and credit the wallet on top up', async () => {
+    const before = await getTrialBalance();
+
+    const response = await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 50000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+    assertResponseFormat(response, 200);
+
+    const after = await getTrialBalance();
+
+    expect(getAccount(after, 'CASH').debit - getAccount(before, 'CASH').debit).toBe(50000);
+    expect(getAccount(after, 'WALLET').credit - getAccount(before, 'WALLET').credit).toBe(50000);
+    expect(after.balanced).toBe(true);
+    expect(after.cache_in_sync).toBe(true);
+  });
+
+  test('should split a payment into service payable and fee revenue', async () => {
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 100000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+    const before = await getTrialBalance();
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: serviceCode, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+    assertResponseFormat(response, 200);
+    expect(response.body.data.fee_amount).toBe(FEE_VALUE);
+
+    const after = await getTrialBalance();
+
+    expect(getAccount(after, 'WALLET').debit - getAccount(before, 'WALLET').debit).toBe(SERVICE_TARIFF + FEE_VALUE);
+    expect(getAccount(after, 'SERVICE_PAYABLE').credit - getAccount(before, 'SERVICE_PAYABLE').credit).toBe(SERVICE_TARIFF);
+    expect(getAccount(after, 'FEE_REVENUE').credit - getAccount(before, 'FEE_REVENUE').credit).toBe(FEE_VALUE);
+    expect(after.balanced).toBe(true);
+    expect(after.cache_in_sync).toBe(true);
+  });
+
+  test('should post nothing for a rejected payment', async () => {
+    const before = await getTrialBalance();
+
+    const response = await post(
+      `${baseURL}/transaction`,
+      { service_code: serviceCode, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+    assertErrorResponse(response, 400, 102);
+
+    const after = await getTrialBalance();
+
+    expect(after.total_debit).toBe(before.total_debit);
+    expect(after.total_credit).toBe(before.total_credit);
+  });
+});
+
+describe('Ledger - Balance Drift', () => {
+  let adminContext;
+  let userContext;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+  });
+
+  beforeEach(async () => {
+    userContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 50000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+  });
+
+  afterEach(async () => {
+    // Put the balance back in line with the transactions
+    await setUserBalance(userContext.user.email, 50000);
+  });
+
+  async function getDriftReport(format = 'json') {
+    return await get(`${baseURL}/admin/reports/balance-drift?format=${format}`, {
+      headers: authHeaders(adminContext.token)
+    });
+  }
+
+  test('should not report balances that match their transactions', async () => {
+    const response = await getDriftReport();
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.users_checked).toBeGreaterThan(0);
+    expect(response.body.data.drifts.map(drift => drift.email)).not.toContain(userContext.user.email);
+  });
+
+  test('should report a balance that differs from its transactions', async () => {
+    const userId = await setUserBalance(userContext.user.email, 70000);
+
+    const response = await getDriftReport();
+
+    assertResponseFormat(response, 200);
+    const drift = response.body.data.drifts.find(row => row.user_id === userId);
+    expect(drift).toEqual({
+      user_id: userId,
+      email: userContext.user.email,
+      cached_balance: 70000,
+      expected_balance: 50000,
+      difference: -20000,
+      adjustment_id: null,
+      fix_error: null
+    });
+    expect(response.body.data.drift_count).toBe(response.body.data.drifts.length);
+  });
+
+  test('should export the report as CSV', async () => {
+    const userId = await setUserBalance(userContext.user.email, 45000);
+
+    const response = await getDriftReport('csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+
+    const lines = response.body.trim().split('\n');
+    expect(lines[0]).toBe('user_id,email,cached_balance,expected_balance,difference,adjustment_id,fix_error');
+    expect(lines).toContain(`${userId},${userContext.user.email},45000,50000,5000,,`);
+  });
+
+  test('should reject an unknown format', async () => {
+    const response = await getDriftReport('xml');
+
+    assertErrorResponse(response, 400, 102);
+  });
+});
+
+describe('Ledger - Balance Fix', () => {
+  let adminContext;
+  let userContext;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+  });
+
+  beforeEach(async () => {
+    userContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: 50000, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+  });
+
+  /**
+   * Run bin/reconcile against the test database and read back its JSON report
+   */
+  async function reconcile(args) {
+    const output = path.join(os.tmpdir(), `reconcile-${Date.now()}.json`);
+
+    await promisify(execFile)(
+      process.execPath,
+      [path.resolve('bin/reconcile'), ...args, '--output', output],
+      { env: { ...process.env, DATABASE_URL: global.testConfig.databaseURL } }
+    );
+
+    try {
+      return JSON.parse(await fs.readFile(output, 'utf8'));
+    } finally {
+      await fs.rm(output, { force: true });
+    }
+  }
+
+  async function getTrialBalance() {
+    const response = await get(`${baseURL}/admin/reports/ledger`, {
+      headers: authHeaders(adminContext.token)
+    });
+    assertResponseFormat(response, 200);
+    return response.body.data;
+  }
+
+  test('should set a drifted balance back to its transactions and keep the ledger balanced', async () => {
+    const userId = await setUserBalance(userContext.user.email, 80000);
+
+    const report = await reconcile(['--user', String(userId), '--fix', '--reason', 'Ledger integration test']);
+
+    expect(report.users_checked).toBe(1);
+    expect(report.drifts).toHaveLength(1);
+    expect(report.drifts[0]).toMatchObject({
+      user_id: userId,
+      cached_balance: 80000,
+      expected_balance: 50000,
+      difference: -30000,
+      fix_error: null
+    });
+    expect(report.drifts[0].adjustment_id).toEqual(expect.any(Number));
+
+    const balanceResponse = await get(`${baseURL}/balance`, {
+      headers: authHeaders(userContext.token)
+    });
+    expect(balanceResponse.body.data.balance).toBe(50000);
+
+    const driftResponse = await get(`${baseURL}/admin/reports/balance-drift`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(driftResponse.body.data.drifts.map(drift => drift.user_id)).not.toContain(userId);
+
+    const trialBalance = await getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.cache_in_sync).toBe(true);
+  });
+
+  test('should keep an opening balance from before the ledger when fixing drift', async () => {
+    await seedOpeningBalance(userContext.user.email, 30000);
+
+    const driftResponse = await get(`${baseURL}/admin/reports/balance-drift`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(driftResponse.body.data.drifts.map(drift => drift.email)).not.toContain(userContext.user.email);
+
+    const userId = await setUserBalance(userContext.user.email, 90000);
+
+    const report = await reconcile(['--user', String(userId), '--fix']);
+
+    expect(report.drifts[0]).toMatchObject({
+      cached_balance: 90000,
+      expected_balance: 80000,
+      difference: -10000,
+      fix_error: null
+    });
+
+    const balanceResponse = await get(`${baseURL}/balance`, {
+      headers: authHeaders(userContext.token)
+    });
+    expect(balanceResponse.body.data.balance).toBe(80000);
+
+    const trialBalance = await getTrialBalance();
+    expect(trialBalance.balanced).toBe(true);
+    expect(trialBalance.cache_in_sync).toBe(true);
+  });
+
+  test('should report nothing to fix for a balance without drift', async () => {
+    const userId = await setUserBalance(userContext.user.email, 50000);
+
+    const report = await reconcile(['--user', String(userId), '--fix']);
+
+    expect(report.users_checked).toBe(1);
+    expect(report.drifts).toEqual([]);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Integration Tests - Module Admin Refunds
+ * Tests for full and partial refunds of payments, the guards against refunding too much
+ * and refunds in the fee report
+ */
+
+import { get, post, del } from '../utils/http-client.js';
+import {
+  createAuthenticatedUser,
+  assertResponseFormat,
+  assertErrorResponse,
+  authHeaders
+} from '../utils/test-helpers.js';
+
+const baseURL = global.testConfig.baseURL;
+
+const SERVICE_TARIFF = 20000;
+const FEE_VALUE = 2000;
+const TOP_UP_AMOUNT = 100000;
+
+describe('Module Admin Refunds - Authorization', () => {
+  test('should reject users without the ADMIN role', async () => {
+    const userContext = await createAuthenticatedUser(baseURL);
+
+    const response = await post(`${baseURL}/admin/transactions/INV01012025-001/refund`, {}, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertErrorResponse(response, 403, 103);
+  });
+});
+
+describe('Module Admin Refunds - Refunds', () => {
+  let adminContext;
+  let userContext;
+  let serviceCode;
+  let invoiceNumber;
+
+  beforeAll(async () => {
+    adminContext = await createAuthenticatedUser(baseURL, { role: 'ADMIN' });
+
+    serviceCode = `REFUND_${Date.now()}`;
+    await post(`${baseURL}/admin/services`, {
+      service_code: serviceCode,
+      service_name: 'Refund Test Service',
+      service_tariff: SERVICE_TARIFF
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+    await post(`${baseURL}/admin/fee-rules`, {
+      service_code: serviceCode,
+      fee_type: 'FLAT',
+      fee_value: FEE_VALUE
+    }, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  afterAll(async () => {
+    await del(`${baseURL}/admin/services/${serviceCode}`, {
+      headers: authHeaders(adminContext.token)
+    });
+  });
+
+  beforeEach(async () => {
+    userContext = await createAuthenticatedUser(baseURL);
+    await post(
+      `${baseURL}/topup`,
+      { top_up_amount: TOP_UP_AMOUNT, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+
+    const paymentResponse = await post(
+      `${baseURL}/transaction`,
+      { service_code: serviceCode, pin: userContext.pin },
+      { headers: authHeaders(userContext.token) }
+    );
+    invoiceNumber = paymentResponse.body.data.invoice_number;
+  });
+
+  async function refund(payload = {}, invoice = invoiceNumber) {
+    return await post(`${baseURL}/admin/transactions/${invoice}/refund`, payload, {
+      headers: authHeaders(adminContext.token)
+    });
+  }
+
+  async function getBalance() {
+    const response = await get(`${baseURL}/balance`, {
+      headers: authHeaders(userContext.token)
+    });
+    return response.body.data.balance;
+  }
+
+  test('should refund the whole payment including the fee', async () => {
+    const response = await refund({ reason: 'Biller failed' });
+
+    assertResponseFormat(response, 200);
+    expect(response.body.data.transaction_type).toBe('REFUND');
+    expect(response.body.data.original_invoice_number).toBe(invoiceNumber);
+    expect(response.body.data.invoice_number).not.toBe(invoiceNumber);
+    expect(response.body.data.service_code).toBe(serviceCode);
+    expect(response.body.data.base_amount).toBe(SERVICE_TARIFF);
+    expect(response.body.data.fee_amount).toBe(FEE_VALUE);
+    expect(response.body.data.total_amount).toBe(SERVICE_TARIFF + FEE_VALUE);
+    expect(response.body.data.refunded_amount).toBe(SERVICE_TARIFF + FEE_VALUE);
+    expect(response.body.data.refundable_amount).toBe(0);
+    expect(response.body.data.description).toBe(`Refund ${invoiceNumber}: Biller failed`);
+
+    expect(await getBalance()).toBe(TOP_UP_AMOUNT);
+  });
+
+  test('should take a full refund out of the fee report', async () => {
+    const getServiceReport = async () => {
+      const response = await get(`${baseURL}/admin/reports/fees`, {
+        headers: authHeaders(adminContext.token)
+      });
+      assertResponseFormat(response, 200);
+      return response.body.data.services.find(service => service.service_code === serviceCode);
+    };
+    const before = await getServiceReport();
+
+    await refund();
+
+    const after = await getServiceReport();
+    expect(after.transaction_count).toBe(before.transaction_count);
+    expect(after.refund_count).toBe(before.refund_count + 1);
+    expect(after.refunded_amount).toBe(before.refunded_amount + SERVICE_TARIFF + FEE_VALUE);
+    expect(after.base_amount).toBe(before.base_amount - SERVICE_TARIFF);
+    expect(after.fee_amount).toBe(before.fee_amount - FEE_VALUE);
+    expect(after.total_amount).toBe(before.total_amount - SERVICE_TARIFF - FEE_VALUE);
+  });
+
+  test('should show the refund linked to the payment in the history', async () => {
+    const refundResponse = await refund();
+
+    const response = await get(`${baseURL}/transaction/history?limit=1`, {
+      headers: authHeaders(userContext.token)
+    });
+
+    assertResponseFormat(response, 200);
+    const [record] = response.body.data.records;
+    expect(record.invoice_number).toBe(refundResponse.body.data.invoice_number);
+    expect(record.transaction_type).toBe('REFUND');
+    expect(record.original_invoice_number).toBe(invoiceNumber);
+    expect(record.total_amount).toBe(SERVICE_TARIFF + FEE_VALUE);
+  });
+
+  test('should refund the base amount before the fee', async () => {
+    const firstResponse = await refund({ amount: 15000 });
+
+    assertResponseFormat(firstResponse, 200);
+    expect(firstResponse.body.data.base_amount).toBe(15000);
+    expect(firstResponse.body.data.fee_amount).toBe(0);
+    expect(firstResponse.body.data.refunded_amount).toBe(15000);
+    expect(firstResponse.body.data.refundable_amount).toBe(SERVICE_TARIFF + FEE_VALUE - 15000);
+
+    const secondResponse = await refund({ amount: 6000 });
+
+    assertResponseFormat(secondResponse, 200);
+    expect(secondResponse.body.data.base_amount).toBe(SERVICE_TARIFF - 15000);
+    expect(secondResponse.body.data.fee_amount).toBe(6000 - (SERVICE_TARIFF - 15000));
+    expect(secondResponse.body.data.refundable_amount).toBe(SERVICE_TARIFF + FEE_VALUE - 21000);
+
+    // No amount refunds whatever is left
+    const lastResponse = await refund();
+
+    assertResponseFormat(lastResponse, 200);
+    expect(lastResponse.body.data.total_amount).toBe(SERVICE_TARIFF + FEE_VALUE - 21000);
+    expect(lastResponse.body.data.refundable_amount).toBe(0);
+
+    expect(await getBalance()).toBe(TOP_UP_AMOUNT);
+  });
+
+  test('should not refund more than was paid', async () => {
+    const response = await refund({ amount: SERVICE_TARIFF + FEE_VALUE + 1 });
+
+    assertErrorResponse(response, 400, 102);
+
+    await refund({ amount: 10000 });
+    const secondResponse = await refund({ amount: SERVICE_TARIFF + FEE_VALUE - 10000 + 1 });
+
+    assertErrorResponse(secondResponse, 400, 102);
+    expect(await getBalance()).toBe(TOP_UP_AMOUNT - (SERVICE_TARIFF + FEE_VALUE) + 10000);
+  });
+
+  test('should reject refunding a fully refunded payment', async () => {
+    await refund();
+
+    const response = await refund();
+
+    assertErrorResponse(response, 409, 109);
+  });
+
+  test('should not let parallel refunds exceed the payment', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => refund({ amount: 10000 }))
+    );
+
+    const succeeded = responses.filter(response => response.status === 200);
+    expect(succeeded.length).toBe(2);
+    expect(await getBalance()).toBe(TOP_UP_AMOUNT - (SERVICE_TARIFF + FEE_VALUE) + 20000);
+  });
+
+  test('should only refund payments', async () => {
+    const historyResponse = await get(`${baseURL}/transaction/history`, {
+      headers: authHeaders(userContext.token)
+    });
+    const topUp = historyResponse.body.data.records.find(record => record.transaction_type === 'TOPUP');
+
+    const response = await refund({}, topUp.invoice_number);
+
+    assertErrorResponse(response, 400, 102);
+  });
+
+  test('should return 404 for an unknown invoice number', async () => {
+    const response = await refund({}, 'INV01011999-999');
+
+    assertErrorResponse(response, 404, 104);
+  });
+
+  test('should reject an invalid amount', async () => {
+    for (const amount of [0, -5000, 'abc']) {
+      const response = await refund({ amount });
+
+      assertErrorResponse(response, 400, 102);
+    }
+  });
+
+  test('should keep the ledger balanced and the balance reconciled', async () => {
+    await refund({ amount: 5000 });
+
+    const ledgerResponse = await get(`${baseURL}/admin/reports/ledger`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(ledgerResponse.body.data.balanced).toBe(true);
+    expect(ledgerResponse.body.data.cache_in_sync).toBe(true);
+
+    const driftResponse = await get(`${baseURL}/admin/reports/balance-drift`, {
+      headers: authHeaders(adminContext.token)
+    });
+    expect(driftResponse.body.data.drifts.map(drift => drift.email)).not.toContain(userContext.user.email);
+  });
+});
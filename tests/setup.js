@@ -8,5 +8,7 @@ config( {
 // Global test configuration
 global.testConfig = {
   baseURL: process.env.TEST_BASE_URL || 'http://localhost:3000',
+  mailDir: process.env.TEST_MAIL_DIR || 'logs/mail',
+  databaseURL: process.env.TEST_DATABASE_URL,
   timeout: 30000
 };
@@ -0,0 +1,127 @@
+/**
+ * Direct database access for integration tests
+ * Only for setup the API cannot do itself (e.g. granting roles)
+ */
+
+import pg from 'pg';
+
+let pool = null;
+
+/**
+ * Get a shared connection pool for TEST_DATABASE_URL
+ */
+function getPool() {
+  if (!global.testConfig.databaseURL) {
+    throw new Error('TEST_DATABASE_URL is required for tests that need database access');
+  }
+
+  if (!pool) {
+    pool = new pg.Pool({ connectionString: global.testConfig.databaseURL, max: 2 });
+  }
+
+  return pool;
+}
+
+/**
+ * Set the role of a user (USER, ADMIN, SUPPORT)
+ * New tokens carry the role, so call this before login
+ */
+export async function setUserRole(email, role) {
+  const result = await getPool().query(
+    'UPDATE users SET role = $1 WHERE email = $2 RETURNING id',
+    [role, email.toLowerCase()]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error(`No user found for ${email}`);
+  }
+}
+
+/**
+ * Set the pricing tier of a user (REGULAR, PREMIUM)
+ * Applies to the next payment, no new login needed
+ */
+export async function setUserTier(email, tier) {
+  const result = await getPool().query(
+    'UPDATE users SET tier = $1 WHERE email = $2 RETURNING id',
+    [tier, email.toLowerCase()]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error(`No user found for ${email}`);
+  }
+}
+
+/**
+ * Overwrite the cached balance of a user, bypassing transactions and ledger
+ * Used to simulate balance drift; restore the balance after the test
+ */
+export async function setUserBalance(email, balance) {
+  const result = await getPool().query(
+    `UPDATE user_balance SET balance = $1
+     WHERE user_id = (SELECT id FROM users WHERE email = $2)
+     RETURNING user_id`,
+    [balance, email.toLowerCase()]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error(`No user found for ${email}`);
+  }
+
+  return result.rows[0].user_id;
+}
+
+/**
+ * Give a user an opening balance, as migration 0020 did for balances from before the ledger:
+ * an OPENING_BALANCE journal entry and the same amount added to the cached balance
+ */
+export async function seedOpeningBalance(email, amount) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      `UPDATE user_balance SET balance = balance + $1
+       WHERE user_id = (SELECT id FROM users WHERE email = $2)
+       RETURNING user_id`,
+      [amount, email.toLowerCase()]
+    );
+
+    if (userResult.rowCount === 0) {
+      throw new Error(`No user found for ${email}`);
+    }
+
+    const userId = userResult.rows[0].user_id;
+    const entryResult = await client.query(
+      'INSERT INTO journal_entries (description) VALUES ($1) RETURNING id',
+      ['Opening balance']
+    );
+
+    await client.query(
+      `INSERT INTO ledger_postings (journal_entry_id, account_id, amount)
+       SELECT $1, id, CASE WHEN user_id IS NULL THEN $2::integer ELSE -$2::integer END
+       FROM ledger_accounts
+       WHERE code = 'OPENING_BALANCE' OR user_id = $3`,
+      [entryResult.rows[0].id, amount, userId]
+    );
+
+    await client.query('COMMIT');
+    return userId;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close the pool, call from afterAll in files that used it
+ */
+export async function closeDatabase() {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Mailbox utility for integration tests
+ * Reads emails written by the API's file mail driver (MAIL_DRIVER=file)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Read the most recent email sent to an address
+ * @param {string} to - Recipient email
+ * @returns {Promise<object|null>} Stored message { to, subject, text, ... } or null
+ */
+export async function readLatestMail(to) {
+  const directory = path.resolve(global.testConfig.mailDir);
+
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch {
+    return null;
+  }
+
+  // File names start with a timestamp, newest last
+  const sortedFiles = files.filter(file => file.endsWith('.json')).sort().reverse();
+
+  for (const file of sortedFiles) {
+    const mail = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+    if (mail.to === to.toLowerCase()) {
+      return mail;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the `token` query parameter of the first link in an email
+ * @param {object} mail - Stored message
+ * @returns {string|null} Token or null if the email has no token link
+ */
+export function extractToken(mail) {
+  const match = mail?.text.match(/[?&]token=([^\s&]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
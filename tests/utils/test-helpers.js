@@ -2,7 +2,9 @@
  * Test helper utilities for integration tests
  */
 
-import { post } from './http-client.js';
+import { get, post } from './http-client.js';
+import { readLatestMail, extractToken } from './mailbox.js';
+import { setUserRole } from './database.js';
 
 /**
  * Generate random email for testing
@@ -26,9 +28,34 @@ export function generateTestUser() {
 }
 
 /**
- * Register and login a test user, returns token
+ * Transaction PIN set for users created by createAuthenticatedUser
  */
-export async function createAuthenticatedUser(baseURL) {
+export const TEST_PIN = '123456';
+
+/**
+ * Verify a registered user's email using the link from the verification email
+ */
+export async function verifyTestUserEmail(baseURL, email) {
+  const token = extractToken(await readLatestMail(email));
+
+  if (!token) {
+    throw new Error(`No verification email found for ${email}`);
+  }
+
+  const verifyResponse = await get(`${baseURL}/registration/verify?token=${encodeURIComponent(token)}`);
+
+  if (verifyResponse.status !== 200) {
+    throw new Error(`Failed to verify email: ${JSON.stringify(verifyResponse.body)}`);
+  }
+}
+
+/**
+ * Register, verify and login a test user, returns token, refresh token and PIN
+ * Pass { verifyEmail: false } to keep the account unverified
+ * Pass { setPin: false } to leave the transaction PIN unset
+ * Pass { role: 'ADMIN' } (or 'SUPPORT') to grant a role before login (needs TEST_DATABASE_URL)
+ */
+export async function createAuthenticatedUser(baseURL, { verifyEmail = true, setPin = true, role = 'USER' } = {}) {
   const user = generateTestUser();
 
   // Register
@@ -38,6 +65,16 @@ export async function createAuthenticatedUser(baseURL) {
     throw new Error(`Failed to register user: ${JSON.stringify(registerResponse.body)}`);
   }
 
+  // Verify email
+  if (verifyEmail) {
+    await verifyTestUserEmail(baseURL, user.email);
+  }
+
+  // Role is read into the token at login
+  if (role !== 'USER') {
+    await setUserRole(user.email, role);
+  }
+
   // Login
   const loginResponse = await post(`${baseURL}/login`, {
     email: user.email,
@@ -48,12 +85,38 @@ export async function createAuthenticatedUser(baseURL) {
     throw new Error(`Failed to login user: ${JSON.stringify(loginResponse.body)}`);
   }
 
+  const token = loginResponse.body.data.token;
+
+  // Transaction PIN
+  if (setPin) {
+    const pinResponse = await post(`${baseURL}/profile/pin`, {
+      password: user.password,
+      pin: TEST_PIN
+    }, {
+      headers: authHeaders(token)
+    });
+
+    if (pinResponse.status !== 200) {
+      throw new Error(`Failed to set PIN: ${JSON.stringify(pinResponse.body)}`);
+    }
+  }
+
   return {
     user,
-    token: loginResponse.body.data.token
+    token,
+    refreshToken: loginResponse.body.data.refresh_token,
+    pin: setPin ? TEST_PIN : null,
+    role
   };
 }
 
+/**
+ * Decode the payload of a JWT without verifying it
+ */
+export function decodeTokenPayload(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
 /**
  * Assert response structure matches expected format
  */